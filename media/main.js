@@ -1,166 +1,428 @@
 (function() {
     const vscode = acquireVsCodeApi();
     
+    let registeredPackages = [];
     let currentPackageInfo = null;
     let currentBoards = [];
     let currentProjects = [];
     let selectedBoard = null;
     let selectedProject = null;
+    // Templates checked for a batch import, by path
+    let checkedProjects = new Map();
+    // Category and group nodes the user expanded, kept across re-renders of the template list
+    let expandedNodes = new Set();
+    // Form state saved by saveState(); replayed step by step as packages, boards and projects arrive
+    let pendingRestore = vscode.getState() || null;
+    // Last-used location and toolchain of the selected package, sent by the extension
+    let packagePreferences = {};
+
+    // Requests to the extension and their responses follow src/webviewProtocol.ts
+    let nextRequestId = 1;
+    const pendingRequests = new Map();
+    // Latest request id of each channel; a response to an older request of the channel is dropped
+    const latestRequests = new Map();
 
     // DOM elements
     const repositorySelect = document.getElementById('repository');
     const selectPackageBtn = document.getElementById('selectPackageBtn');
-    const repositoryError = document.getElementById('repositoryError');
+    const scanPackagesBtn = document.getElementById('scanPackagesBtn');
     const toolchainSelect = document.getElementById('toolchain');
     const boardSelect = document.getElementById('board');
-    const templateSelect = document.getElementById('template');
+    const templateSearch = document.getElementById('templateSearch');
+    const categoryFilter = document.getElementById('categoryFilter');
+    const toolchainFilter = document.getElementById('toolchainFilter');
+    const templateList = document.getElementById('templateList');
+    const templateDetails = document.getElementById('templateDetails');
+    const templateTitle = document.getElementById('templateTitle');
+    const templateDescription = document.getElementById('templateDescription');
+    const templateMeta = document.getElementById('templateMeta');
+    const templateConfig = document.getElementById('templateConfig');
+    const templateReadme = document.getElementById('templateReadme');
+    const checkedCount = document.getElementById('checkedCount');
+    const checkShownBtn = document.getElementById('checkShownBtn');
+    const clearCheckedBtn = document.getElementById('clearCheckedBtn');
     const projectNameInput = document.getElementById('projectName');
     const locationInput = document.getElementById('location');
     const browseLocationBtn = document.getElementById('browseLocationBtn');
     const openReadmeCheckbox = document.getElementById('openReadme');
     const importBtn = document.getElementById('importBtn');
+    const importProgress = document.getElementById('importProgress');
+    const importPhase = document.getElementById('importPhase');
+    const importProgressBar = document.getElementById('importProgressBar');
+    const importProgressText = document.getElementById('importProgressText');
+    const cancelImportBtn = document.getElementById('cancelImportBtn');
+    const importSummary = document.getElementById('importSummary');
     const boardPreview = document.getElementById('boardPreview');
     const boardImage = document.getElementById('boardImage');
+    const boardThumbnails = document.getElementById('boardThumbnails');
+    const boardDocuments = document.getElementById('boardDocuments');
     const boardDescription = document.getElementById('boardDescription');
+    const deviceDetails = document.getElementById('deviceDetails');
 
     // Event listeners
     selectPackageBtn.addEventListener('click', () => {
-        vscode.postMessage({ command: 'selectPackage' });
+        clearFieldError('repository');
+        request('addPackage').then(({ packageInfo }) => {
+            if (packageInfo) {
+                handlePackageSelected(packageInfo);
+                choosePackage(packageInfo.path);
+            }
+        }).catch(error => showRequestError(error, 'repository'));
     });
 
-    repositorySelect.addEventListener('change', (e) => {
-        const selectedPackage = e.target.value;
+    scanPackagesBtn.addEventListener('click', () => {
+        clearFieldError('repository');
+        request('scanPackages').catch(error => showRequestError(error, 'repository'));
+    });
+
+    repositorySelect.addEventListener('change', (e) => choosePackage(e.target.value));
+
+    boardSelect.addEventListener('change', (e) => chooseBoard(e.target.value));
+
+    function choosePackage(selectedPackage) {
+        packagePreferences = {};
+        currentPackageInfo = registeredPackages.find(p => p.path === selectedPackage) || null;
+        resetBoardSelection();
+        clearFieldError('board');
         if (selectedPackage && currentPackageInfo) {
-            repositoryError.style.display = 'none';
-            vscode.postMessage({ 
-                command: 'selectBoard', 
-                packagePath: currentPackageInfo.path 
+            clearFieldError('repository');
+            resetToolchainSelection();
+            const packagePath = currentPackageInfo.path;
+            boardSelect.innerHTML = '<option value="">Loading boards...</option>';
+            request('loadBoards', { packagePath }, 'boards').then(({ boards, preferences }) => {
+                handlePreferencesLoaded(packagePath, preferences);
+                handleBoardsLoaded(boards);
+            }).catch(error => {
+                handleBoardsLoaded([]);
+                showRequestError(error, 'board');
             });
         } else {
-            repositoryError.style.display = 'block';
+            showFieldError('repository', 'Please select a repository');
             resetBoardSelection();
         }
-    });
+    }
 
-    boardSelect.addEventListener('change', (e) => {
-        const boardId = e.target.value;
+    function chooseBoard(boardId) {
         selectedBoard = currentBoards.find(b => b.id === boardId);
+        clearFieldError('board');
+        clearFieldError('template');
         
         if (selectedBoard) {
             showBoardPreview(selectedBoard);
-            templateSelect.disabled = false;
-            templateSelect.innerHTML = '<option value="">Loading projects...</option>';
+            resetTemplateBrowser('Loading projects...');
             
-            vscode.postMessage({ 
-                command: 'selectProject', 
-                packagePath: currentPackageInfo.path,
-                boardId: boardId
-            });
+            request('loadProjects', { packagePath: currentPackageInfo.path, boardId }, 'projects')
+                .then(({ projects }) => handleProjectsLoaded(projects))
+                .catch(error => {
+                    showTemplateMessage('The examples could not be loaded');
+                    showRequestError(error, 'template');
+                    if (pendingRestore) {
+                        finishRestore();
+                    }
+                });
         } else {
             hideBoardPreview();
-            templateSelect.disabled = true;
-            templateSelect.innerHTML = '<option value="">No board selected</option>';
+            resetTemplateBrowser('No board selected');
         }
         
         updateImportButton();
+    }
+
+    // Every user edit of the form is saved; programmatic changes call saveState themselves
+    document.addEventListener('change', saveState);
+    document.addEventListener('input', saveState);
+
+    templateSearch.addEventListener('input', renderTemplateList);
+    categoryFilter.addEventListener('change', renderTemplateList);
+    toolchainFilter.addEventListener('change', renderTemplateList);
+
+    templateList.addEventListener('click', (e) => {
+        const item = e.target.closest('.template-item');
+        if (item && e.target.classList.contains('template-check')) {
+            toggleChecked(currentProjects.find(p => p.path === item.dataset.path), e.target.checked);
+            return;
+        }
+        if (item) {
+            selectProject(currentProjects.find(p => p.path === item.dataset.path));
+        }
     });
 
-    templateSelect.addEventListener('change', (e) => {
-        const projectName = e.target.value;
-        selectedProject = currentProjects.find(p => p.name === projectName);
-        
-        if (selectedProject) {
-            // Suggest a clean folder name (basename of the project path or display name)
-            const suggested = (selectedProject.path && typeof selectedProject.path === 'string')
-                ? selectedProject.path.split(/[/\\]/).pop()
-                : (selectedProject.name || '').split('/').pop();
-            if (!projectNameInput.value || projectNameInput.value === '' || projectNameInput.value === selectedProject.name) {
-                projectNameInput.value = suggested || projectNameInput.value;
+    templateList.addEventListener('keydown', (e) => {
+        const item = e.target.closest('.template-item');
+        if (item && !e.target.classList.contains('template-check') && (e.key === 'Enter' || e.key === ' ')) {
+            e.preventDefault();
+            selectProject(currentProjects.find(p => p.path === item.dataset.path));
+        }
+    });
+
+    // <details> toggles do not bubble, so they are captured on the list
+    templateList.addEventListener('toggle', (e) => {
+        const key = e.target.dataset && e.target.dataset.key;
+        if (key && !templateSearch.value.trim()) {
+            if (e.target.open) {
+                expandedNodes.add(key);
+            } else {
+                expandedNodes.delete(key);
             }
         }
-        
-        updateImportButton();
+    }, true);
+
+    checkShownBtn.addEventListener('click', () => {
+        getFilteredProjects().forEach(project => checkedProjects.set(project.path, project));
+        renderTemplateList();
+        updateBatchMode();
+    });
+
+    clearCheckedBtn.addEventListener('click', () => {
+        checkedProjects.clear();
+        renderTemplateList();
+        updateBatchMode();
     });
 
     projectNameInput.addEventListener('input', updateImportButton);
     locationInput.addEventListener('input', updateImportButton);
 
     browseLocationBtn.addEventListener('click', () => {
-        vscode.postMessage({ command: 'browseLocation' });
+        clearFieldError('location');
+        request('browseLocation').then(({ path }) => handleLocationSelected(path))
+            .catch(error => showRequestError(error, 'location'));
     });
 
     importBtn.addEventListener('click', () => {
-        if (canImport()) {
+        if (canImport() && checkedProjects.size > 0) {
+            clearFieldError('location');
+            clearFieldError('import');
+            request('importProjects', {
+                packagePath: currentPackageInfo.path,
+                boardId: selectedBoard.id,
+                projects: Array.from(checkedProjects.values()).map(p => ({ name: p.name, path: p.path })),
+                location: locationInput.value,
+                toolchain: toolchainSelect.value
+            }).then(result => {
+                showBatchSummary(result.summary, result.results);
+                handleImportComplete(result.success);
+            }).catch(error => {
+                showRequestError(error, 'import');
+                handleImportComplete(false);
+            });
+
+            importBtn.disabled = true;
+            importBtn.textContent = 'Importing...';
+            importSummary.style.display = 'none';
+            document.querySelector('.container').classList.add('loading');
+            showImportProgress('scanning', 'Scanning files...', 0);
+        } else if (canImport()) {
             const projectName = projectNameInput.value.trim();
             
-            vscode.postMessage({
-                command: 'importProject',
+            clearFieldError('location');
+            clearFieldError('import');
+            request('importProject', {
                 packagePath: currentPackageInfo.path,
                 boardId: selectedBoard.id,
                 projectName: selectedProject.name,
                 projectPath: selectedProject.path,
                 targetName: projectName,
                 location: locationInput.value,
+                toolchain: toolchainSelect.value,
                 openReadme: openReadmeCheckbox.checked
+            }).then(() => handleImportComplete(true)).catch(error => {
+                showRequestError(error, 'import');
+                handleImportComplete(false);
             });
             
             // Disable button and show loading state
             importBtn.disabled = true;
             importBtn.textContent = 'Importing...';
+            importSummary.style.display = 'none';
             document.querySelector('.container').classList.add('loading');
+            showImportProgress('scanning', 'Scanning files...', 0);
         }
     });
 
+    cancelImportBtn.addEventListener('click', () => {
+        cancelImportBtn.disabled = true;
+        importProgressText.textContent = 'Cancelling...';
+        request('cancelImport').catch(error => {
+            cancelImportBtn.disabled = false;
+            showRequestError(error, 'import');
+        });
+    });
+
     // Message handler
     window.addEventListener('message', event => {
         const message = event.data;
-        
-        switch (message.command) {
-            case 'packageSelected':
-                handlePackageSelected(message.packageInfo);
-                break;
-            case 'boardsLoaded':
-                handleBoardsLoaded(message.boards);
-                break;
-            case 'projectsLoaded':
-                handleProjectsLoaded(message.projects);
+        if (message.type === 'response') {
+            handleResponse(message);
+        } else if (message.type === 'event') {
+            handleEvent(message.event, message.data);
+        }
+    });
+
+    // Sends a request; the promise settles with the result or rejects with the error reply
+    // ({ message, field, cancelled }), and never settles when a newer request of channel was sent
+    function request(method, params = {}, channel) {
+        const id = nextRequestId++;
+        if (channel) {
+            latestRequests.set(channel, id);
+        }
+        return new Promise((resolve, reject) => {
+            pendingRequests.set(id, { resolve, reject, channel });
+            vscode.postMessage({ type: 'request', id, method, params });
+        });
+    }
+
+    // Drops the answers to requests already sent on these channels
+    function discardRequests(...channels) {
+        channels.forEach(channel => latestRequests.delete(channel));
+    }
+
+    function handleResponse(response) {
+        const pending = pendingRequests.get(response.id);
+        if (!pending) {
+            return;
+        }
+        pendingRequests.delete(response.id);
+        if (pending.channel && latestRequests.get(pending.channel) !== response.id) {
+            return;
+        }
+        if (response.error) {
+            pending.reject(response.error);
+        } else {
+            pending.resolve(response.result);
+        }
+    }
+
+    function handleEvent(name, data) {
+        switch (name) {
+            case 'packagesChanged':
+                handlePackagesLoaded(data.packages);
                 break;
-            case 'importComplete':
-                handleImportComplete(message.success, message.message);
+            case 'importProgress':
+                showImportProgress(data.phase, data.message, data.percent);
                 break;
-            case 'locationSelected':
-                handleLocationSelected(message.path);
+            case 'targetNameChanged':
+                projectNameInput.value = data.targetName;
+                saveState();
                 break;
         }
-    });
+    }
+
+    // Error replies are shown under the form field they concern; cancellations are not errors
+    function showRequestError(error, field) {
+        if (error && error.cancelled) {
+            return;
+        }
+        showFieldError((error && error.field) || field, (error && error.message) || String(error));
+    }
+
+    function showFieldError(field, text) {
+        const element = document.getElementById(`${field}Error`);
+        if (element) {
+            element.textContent = text;
+            element.style.display = 'block';
+        }
+    }
+
+    function clearFieldError(field) {
+        const element = document.getElementById(`${field}Error`);
+        if (element) {
+            element.textContent = '';
+            element.style.display = 'none';
+        }
+    }
+
+    function handlePackagesLoaded(packages) {
+        registeredPackages = packages || [];
+        renderRepositoryOptions();
+
+        if (pendingRestore && !currentPackageInfo) {
+            if (registeredPackages.some(p => p.path === pendingRestore.packagePath)) {
+                repositorySelect.value = pendingRestore.packagePath;
+                choosePackage(pendingRestore.packagePath);
+            } else {
+                finishRestore();
+            }
+        }
+    }
+
+    // Fills in the location and toolchain last used with this package unless the form already has them
+    function handlePreferencesLoaded(packagePath, preferences) {
+        if (!currentPackageInfo || currentPackageInfo.path !== packagePath) {
+            return;
+        }
+        packagePreferences = preferences || {};
+        if (!locationInput.value && packagePreferences.location) {
+            locationInput.value = packagePreferences.location;
+            updateImportButton();
+            saveState();
+        }
+    }
+
+    function renderRepositoryOptions() {
+        const selectedPath = currentPackageInfo ? currentPackageInfo.path : '';
+        repositorySelect.innerHTML = '<option value="">Select...</option>';
+
+        registeredPackages.forEach(packageInfo => {
+            const option = document.createElement('option');
+            option.value = packageInfo.path;
+            option.textContent = `${packageInfo.name} (${packageInfo.version})`;
+            option.title = packageInfo.path;
+            repositorySelect.appendChild(option);
+        });
+
+        // A package that was removed from the registry stays selected until the form is reset
+        if (currentPackageInfo && !registeredPackages.some(p => p.path === selectedPath)) {
+            const option = document.createElement('option');
+            option.value = currentPackageInfo.path;
+            option.textContent = `${currentPackageInfo.name} (${currentPackageInfo.version})`;
+            repositorySelect.appendChild(option);
+        }
+        repositorySelect.value = selectedPath;
+    }
 
     function handlePackageSelected(packageInfo) {
         currentPackageInfo = packageInfo;
+        if (!registeredPackages.some(p => p.path === packageInfo.path)) {
+            registeredPackages.push(packageInfo);
+        }
+        renderRepositoryOptions();
         
-        // Update repository dropdown
-        repositorySelect.innerHTML = '';
-        const option = document.createElement('option');
-        option.value = packageInfo.path;
-        option.textContent = `${packageInfo.name} (${packageInfo.version})`;
-        repositorySelect.appendChild(option);
-        repositorySelect.value = packageInfo.path;
-        
-        repositoryError.style.display = 'none';
-        
-        // Enable toolchain selection (mock data for now)
+        clearFieldError('repository');
+        resetToolchainSelection();
+    }
+
+    function handleToolchainsForProject(project) {
+        // Toolchains come from detectToolchains for the selected project; 'Generic' means none was detected
+        const toolchains = (project.toolchain || []).filter(t => t !== 'Generic');
+        const previous = toolchainSelect.value;
+
+        if (toolchains.length === 0) {
+            toolchainSelect.disabled = true;
+            toolchainSelect.innerHTML = '<option value="">No toolchain detected (all files copied)</option>';
+            return;
+        }
+
         toolchainSelect.disabled = false;
-        toolchainSelect.innerHTML = `
-            <option value="gcc">GCC</option>
-            <option value="keil">Keil</option>
-            <option value="iar">IAR</option>
-            <option value="cube">STM32CubeIDE</option>
-        `;
-        
+        toolchainSelect.innerHTML = '';
+        toolchains.forEach(toolchain => {
+            const option = document.createElement('option');
+            option.value = toolchain;
+            option.textContent = toolchain;
+            toolchainSelect.appendChild(option);
+        });
+        if (toolchains.includes(previous)) {
+            toolchainSelect.value = previous;
+        } else if (toolchains.includes(packagePreferences.toolchain)) {
+            toolchainSelect.value = packagePreferences.toolchain;
+        }
+    }
 
+    function resetToolchainSelection() {
+        toolchainSelect.disabled = true;
+        toolchainSelect.innerHTML = '<option value="">No template selected</option>';
     }
 
     function handleBoardsLoaded(boards) {
-        console.log('Webview received boards:', boards);
         currentBoards = boards;
         
         boardSelect.disabled = false;
@@ -176,59 +438,604 @@
         if (boards.length === 0) {
             boardSelect.innerHTML = '<option value="">No boards found</option>';
         }
+
+        if (pendingRestore) {
+            if (boards.some(b => b.id === pendingRestore.boardId)) {
+                boardSelect.value = pendingRestore.boardId;
+                chooseBoard(pendingRestore.boardId);
+            } else {
+                finishRestore();
+            }
+        }
     }
 
     function handleProjectsLoaded(projects) {
-        currentProjects = projects;
-        
-        templateSelect.innerHTML = '<option value="">Select a project template...</option>';
-        
-        projects.forEach(project => {
+        currentProjects = projects || [];
+        expandedNodes = new Set();
+
+        fillFilterOptions(categoryFilter, 'All categories', unique(currentProjects.map(p => p.category || 'Other')));
+        fillFilterOptions(toolchainFilter, 'All toolchains',
+            unique([].concat(...currentProjects.map(p => (p.toolchain || []).filter(t => t !== 'Generic')))).sort());
+
+        const enabled = currentProjects.length > 0;
+        templateSearch.disabled = !enabled;
+        categoryFilter.disabled = !enabled;
+        toolchainFilter.disabled = !enabled;
+
+        if (pendingRestore) {
+            restoreTemplateSelection(pendingRestore);
+        }
+        renderTemplateList();
+        updateBatchMode();
+        if (pendingRestore) {
+            finishRestore();
+        }
+    }
+
+    // Filters, checked templates, the selected template, its toolchain and the name typed for it
+    function restoreTemplateSelection(state) {
+        templateSearch.value = state.search || '';
+        [[categoryFilter, state.category], [toolchainFilter, state.toolchainFilter]].forEach(([select, value]) => {
+            if (value && Array.from(select.options).some(o => o.value === value)) {
+                select.value = value;
+            }
+        });
+        (state.checkedPaths || []).forEach(path => {
+            const project = currentProjects.find(p => p.path === path);
+            if (project) {
+                checkedProjects.set(path, project);
+            }
+        });
+        const project = currentProjects.find(p => p.path === state.projectPath);
+        if (project) {
+            selectProject(project);
+            if (Array.from(toolchainSelect.options).some(o => o.value === state.toolchain)) {
+                toolchainSelect.value = state.toolchain;
+            }
+        }
+        projectNameInput.value = state.projectName || projectNameInput.value;
+    }
+
+    function finishRestore() {
+        pendingRestore = null;
+        updateImportButton();
+        saveState();
+    }
+
+    function saveState() {
+        // Saving half-way through a restore would drop the parts not replayed yet
+        if (pendingRestore) {
+            return;
+        }
+        vscode.setState({
+            packagePath: currentPackageInfo ? currentPackageInfo.path : undefined,
+            boardId: selectedBoard ? selectedBoard.id : undefined,
+            projectPath: selectedProject ? selectedProject.path : undefined,
+            checkedPaths: Array.from(checkedProjects.keys()),
+            projectName: projectNameInput.value,
+            location: locationInput.value,
+            toolchain: toolchainSelect.value,
+            openReadme: openReadmeCheckbox.checked,
+            search: templateSearch.value,
+            category: categoryFilter.value,
+            toolchainFilter: toolchainFilter.value
+        });
+    }
+
+    function fillFilterOptions(select, allLabel, values) {
+        const previous = select.value;
+        select.innerHTML = '';
+        [''].concat(values).forEach(value => {
             const option = document.createElement('option');
-            option.value = project.name;
-            option.textContent = project.name;
-            if (project.description) {
-                option.title = project.description;
+            option.value = value;
+            option.textContent = value || allLabel;
+            select.appendChild(option);
+        });
+        select.value = values.includes(previous) ? previous : '';
+    }
+
+    function getFilteredProjects() {
+        const terms = templateSearch.value.toLowerCase().split(/\s+/).filter(Boolean);
+        const category = categoryFilter.value;
+        const toolchain = toolchainFilter.value;
+
+        return currentProjects.filter(project => {
+            if (category && (project.category || 'Other') !== category) {
+                return false;
+            }
+            if (toolchain && !(project.toolchain || []).includes(toolchain)) {
+                return false;
             }
-            templateSelect.appendChild(option);
+            const haystack = [project.name, project.description, project.group, ...(project.keywords || [])]
+                .filter(Boolean).join(' ').toLowerCase();
+            return terms.every(term => haystack.includes(term));
         });
-        
+    }
+
+    // Category -> group (peripheral or application family) -> example
+    function renderTemplateList() {
+        templateList.innerHTML = '';
+        if (currentProjects.length === 0) {
+            showTemplateMessage('No projects found for this board');
+            return;
+        }
+
+        const projects = getFilteredProjects();
         if (projects.length === 0) {
-            templateSelect.innerHTML = '<option value="">No projects found for this board</option>';
+            showTemplateMessage('No examples match the filters');
+            return;
         }
-        
+
+        // Search results are shown expanded, otherwise the user's expanded nodes are restored
+        const expandAll = templateSearch.value.trim() !== '' || projects.length <= 20;
+        const categories = new Map();
+        projects.forEach(project => {
+            const category = project.category || 'Other';
+            if (!categories.has(category)) {
+                categories.set(category, new Map());
+            }
+            const groups = categories.get(category);
+            const group = project.group || '';
+            if (!groups.has(group)) {
+                groups.set(group, []);
+            }
+            groups.get(group).push(project);
+        });
+
+        categories.forEach((groups, category) => {
+            const count = Array.from(groups.values()).reduce((sum, items) => sum + items.length, 0);
+            const categoryNode = createTreeNode(category, count, category, expandAll);
+            groups.forEach((items, group) => {
+                if (!group) {
+                    items.forEach(project => categoryNode.appendChild(createTemplateItem(project)));
+                    return;
+                }
+                const key = `${category}/${group}`;
+                const groupNode = createTreeNode(group, items.length, key, expandAll);
+                items.forEach(project => groupNode.appendChild(createTemplateItem(project)));
+                categoryNode.appendChild(groupNode);
+            });
+            templateList.appendChild(categoryNode);
+        });
+    }
+
+    function createTreeNode(label, count, key, expandAll) {
+        const node = document.createElement('details');
+        node.className = 'template-node';
+        node.dataset.key = key;
+        node.open = expandAll || expandedNodes.has(key) || (selectedProject && isInNode(selectedProject, key));
+        const summary = document.createElement('summary');
+        summary.textContent = `${label} (${count})`;
+        node.appendChild(summary);
+        return node;
+    }
+
+    function isInNode(project, key) {
+        const category = project.category || 'Other';
+        return key === category || key === `${category}/${project.group}`;
+    }
+
+    function createTemplateItem(project) {
+        const item = document.createElement('div');
+        item.className = 'template-item';
+        item.setAttribute('role', 'treeitem');
+        item.tabIndex = 0;
+        item.dataset.path = project.path;
+        item.title = project.description || project.name;
+
+        const check = document.createElement('input');
+        check.type = 'checkbox';
+        check.className = 'template-check';
+        check.checked = checkedProjects.has(project.path);
+        check.setAttribute('aria-label', `Include ${project.name} in a batch import`);
+        item.appendChild(check);
+        item.appendChild(document.createTextNode(project.name.split('/').pop()));
+        if (selectedProject && selectedProject.path === project.path) {
+            item.classList.add('selected');
+            item.setAttribute('aria-selected', 'true');
+        }
+        return item;
+    }
+
+    function toggleChecked(project, checked) {
+        if (!project) {
+            return;
+        }
+        if (checked) {
+            checkedProjects.set(project.path, project);
+        } else {
+            checkedProjects.delete(project.path);
+        }
+        updateBatchMode();
+    }
+
+    // With checked templates the import creates one folder per example, named after it
+    function updateBatchMode() {
+        const count = checkedProjects.size;
+        checkedCount.textContent = count > 0
+            ? `${count} example${count === 1 ? '' : 's'} checked`
+            : 'Check several examples to import them together';
+        checkShownBtn.disabled = currentProjects.length === 0;
+        clearCheckedBtn.disabled = count === 0;
+        projectNameInput.disabled = count > 0;
+        projectNameInput.placeholder = count > 0 ? 'Each example keeps its own name' : 'Enter the application name';
+        importBtn.textContent = count > 0 ? `Import ${count} Project${count === 1 ? '' : 's'}` : 'Import';
         updateImportButton();
     }
 
-    function handleImportComplete(success, message) {
-        // Reset UI state
-        importBtn.disabled = false;
-        importBtn.textContent = 'Import';
+    function showBatchSummary(summary, results) {
+        importSummary.innerHTML = '';
+        const heading = document.createElement('p');
+        heading.textContent = summary;
+        importSummary.appendChild(heading);
+
+        const list = document.createElement('ul');
+        results.forEach(result => {
+            const item = document.createElement('li');
+            item.className = result.targetPath ? 'succeeded' : 'failed';
+            item.textContent = result.targetPath
+                ? `${result.name}: ${result.targetPath}`
+                : `${result.name}: ${result.cancelled ? 'cancelled' : result.error}`;
+            list.appendChild(item);
+        });
+        importSummary.appendChild(list);
+        importSummary.style.display = 'block';
+    }
+
+    function showTemplateMessage(text) {
+        templateList.innerHTML = '';
+        const message = document.createElement('div');
+        message.className = 'template-message';
+        message.textContent = text;
+        templateList.appendChild(message);
+    }
+
+    function selectProject(project) {
+        if (!project) {
+            return;
+        }
+        selectedProject = project;
+
+        // Suggest a clean folder name (basename of the project path or display name)
+        const suggested = (project.path && typeof project.path === 'string')
+            ? project.path.split(/[/\\]/).pop()
+            : (project.name || '').split('/').pop();
+        if (!projectNameInput.value || projectNameInput.value === '' || projectNameInput.value === project.name
+            || currentProjects.some(p => p.path && p.path.split(/[/\\]/).pop() === projectNameInput.value)) {
+            projectNameInput.value = suggested || projectNameInput.value;
+        }
+        handleToolchainsForProject(project);
+        if (toolchainFilter.value && (project.toolchain || []).includes(toolchainFilter.value)) {
+            toolchainSelect.value = toolchainFilter.value;
+        }
+
+        templateList.querySelectorAll('.template-item').forEach(item => {
+            const selected = item.dataset.path === project.path;
+            item.classList.toggle('selected', selected);
+            item.setAttribute('aria-selected', selected ? 'true' : 'false');
+        });
+        showTemplateDetails(project);
+        updateImportButton();
+        saveState();
+    }
+
+    function showTemplateDetails(project) {
+        templateDetails.style.display = 'block';
+        templateTitle.textContent = project.name;
+        templateDescription.textContent = project.description || '';
+
+        const meta = [];
+        const toolchains = (project.toolchain || []).filter(t => t !== 'Generic');
+        meta.push(`Toolchains: ${toolchains.length > 0 ? toolchains.join(', ') : 'none detected'}`);
+        if (project.keywords && project.keywords.length > 0) {
+            meta.push(`Keywords: ${project.keywords.join(', ')}`);
+        }
+        templateMeta.textContent = meta.join(' \u2022 ');
+
+        templateConfig.innerHTML = '';
+        request('loadConfiguration', { projectPath: project.path }, 'configuration')
+            .then(({ configuration }) => handleConfigurationLoaded(configuration))
+            .catch(error => showConfigurationError(error));
+
+        openReadmeCheckbox.disabled = !project.doc;
+        if (project.doc) {
+            showReadmeMessage('Loading readme...');
+            request('loadReadme', { projectPath: project.path }, 'readme')
+                .then(({ content, readme }) => handleReadmeLoaded(content, readme))
+                .catch(() => showReadmeMessage('The readme could not be read.'));
+        } else {
+            discardRequests('readme');
+            openReadmeCheckbox.checked = false;
+            showReadmeMessage('This example has no readme.');
+        }
+    }
+
+    function handleReadmeLoaded(content, readme) {
+        if (readme && readme.sections.length > 0) {
+            renderReadme(readme);
+        } else if (content) {
+            templateReadme.innerHTML = '';
+            const pre = document.createElement('pre');
+            pre.textContent = content;
+            templateReadme.appendChild(pre);
+        } else {
+            showReadmeMessage('The readme could not be read.');
+        }
+    }
+
+    // Shown in place of the configuration summary, like the errors next to the form fields
+    function showConfigurationError(error) {
+        templateConfig.innerHTML = '';
+        if (error && error.cancelled) {
+            return;
+        }
+        const message = document.createElement('div');
+        message.className = 'error-message';
+        message.setAttribute('role', 'alert');
+        message.textContent = `Could not load the STM32CubeMX configuration: ${(error && error.message) || error}`;
+        templateConfig.appendChild(message);
+    }
+
+    // Summary of the example's .ioc: MCU, clocks, peripherals, middleware and the pin table
+    function handleConfigurationLoaded(configuration) {
+        templateConfig.innerHTML = '';
+        if (!configuration) {
+            return;
+        }
+
+        const details = document.createElement('details');
+        details.open = true;
+        const summary = document.createElement('summary');
+        summary.textContent = 'STM32CubeMX Configuration';
+        details.appendChild(summary);
+
+        const rows = [];
+        if (configuration.mcu) {
+            rows.push(['MCU', [configuration.mcu, configuration.package].filter(Boolean).join(', ')]);
+        }
+        const sysclk = configuration.clocks.find(c => c.name.toUpperCase() === 'SYSCLK');
+        if (sysclk || configuration.sysclkSource) {
+            const source = configuration.sysclkSource ? configuration.sysclkSource.replace(/^RCC_SYSCLKSOURCE_/, '') : '';
+            rows.push(['System clock', [sysclk && sysclk.frequency, source && `from ${source}`].filter(Boolean).join(' ')]);
+        }
+        const buses = configuration.clocks.filter(c => /^(HCLK|AHB\d*|APB\d)$/i.test(c.name));
+        if (buses.length > 0) {
+            rows.push(['Buses', buses.map(c => `${c.name} ${c.frequency}`).join(', ')]);
+        }
+        if (configuration.peripherals.length > 0) {
+            rows.push(['Peripherals', configuration.peripherals.join(', ')]);
+        }
+        if (configuration.middleware.length > 0) {
+            rows.push(['Middleware', configuration.middleware.join(', ')]);
+        }
+        const list = document.createElement('dl');
+        rows.forEach(([term, value]) => {
+            const dt = document.createElement('dt');
+            dt.textContent = term;
+            const dd = document.createElement('dd');
+            dd.textContent = value;
+            list.appendChild(dt);
+            list.appendChild(dd);
+        });
+        details.appendChild(list);
+
+        if (configuration.pins.length > 0) {
+            const table = document.createElement('table');
+            const header = table.insertRow();
+            ['Pin', 'Signal', 'Label'].forEach(text => {
+                const th = document.createElement('th');
+                th.textContent = text;
+                header.appendChild(th);
+            });
+            configuration.pins.forEach(pin => {
+                const row = table.insertRow();
+                [pin.name, pin.signal || pin.mode || '', pin.label || ''].forEach(text => {
+                    row.insertCell().textContent = text;
+                });
+            });
+            details.appendChild(table);
+        }
+        templateConfig.appendChild(details);
+    }
+
+    // Builds the preview from the sections parsed out of readme.txt; text is never inserted as HTML
+    function renderReadme(readme) {
+        templateReadme.innerHTML = '';
+        if (readme.title || readme.brief) {
+            const heading = document.createElement('h4');
+            heading.textContent = readme.title || readme.brief;
+            templateReadme.appendChild(heading);
+        }
+
+        readme.sections.forEach(section => {
+            if (section.title) {
+                const title = document.createElement('h5');
+                title.textContent = section.title;
+                templateReadme.appendChild(title);
+            }
+            section.blocks.forEach(block => templateReadme.appendChild(createReadmeBlock(block)));
+        });
+    }
+
+    function createReadmeBlock(block) {
+        if (block.type === 'list') {
+            const list = document.createElement('ul');
+            block.items.forEach(item => {
+                const entry = document.createElement('li');
+                if (item.path) {
+                    const code = document.createElement('code');
+                    code.textContent = item.path;
+                    entry.appendChild(code);
+                    entry.appendChild(document.createTextNode(item.text ? ` \u2014 ${item.text}` : ''));
+                } else {
+                    entry.textContent = item.text;
+                }
+                list.appendChild(entry);
+            });
+            return list;
+        }
+
+        const paragraph = document.createElement('p');
+        paragraph.textContent = block.text;
+        if (block.type === 'note') {
+            paragraph.className = 'readme-note';
+        }
+        return paragraph;
+    }
+
+    function showReadmeMessage(text) {
+        templateReadme.innerHTML = '';
+        const message = document.createElement('p');
+        message.className = 'template-message';
+        message.textContent = text;
+        templateReadme.appendChild(message);
+    }
+
+    function resetTemplateBrowser(text) {
+        // Answers for the previous board or template are no longer wanted
+        discardRequests('projects', 'readme', 'configuration');
+        selectedProject = null;
+        checkedProjects = new Map();
+        currentProjects = [];
+        expandedNodes = new Set();
+        templateSearch.value = '';
+        templateSearch.disabled = true;
+        categoryFilter.disabled = true;
+        toolchainFilter.disabled = true;
+        templateDetails.style.display = 'none';
+        openReadmeCheckbox.disabled = false;
+        showTemplateMessage(text);
+        resetToolchainSelection();
+        updateBatchMode();
+    }
+
+    function unique(values) {
+        return Array.from(new Set(values));
+    }
+
+    function showImportProgress(phase, text, percent) {
+        importProgress.style.display = 'block';
+        importPhase.textContent = phase ? `Importing: ${phase}` : 'Importing';
+        importProgressBar.value = percent || 0;
+        importProgressText.textContent = text || '';
+    }
+
+    function handleImportComplete(success) {
+        // Reset UI state; a failed or cancelled import keeps the form so it can be started again
         document.querySelector('.container').classList.remove('loading');
+        importProgress.style.display = 'none';
+        cancelImportBtn.disabled = false;
         
         if (success) {
             // Reset form
             resetForm();
         }
+        updateBatchMode();
     }
 
     function handleLocationSelected(path) {
         if (path) {
             locationInput.value = path;
             updateImportButton();
+            saveState();
         }
     }
 
     function showBoardPreview(board) {
         boardPreview.style.display = 'block';
         boardDescription.textContent = board.description;
-        
-        if (board.imagePath) {
-            boardImage.src = board.imagePath;
-            boardImage.style.display = 'block';
-        } else {
+
+        renderBoardGallery(board.imageUris || []);
+        renderBoardDocuments(board);
+        renderDeviceDetails(board.device);
+    }
+
+    // The first picture is shown large; thumbnails below switch between several
+    function renderBoardGallery(imageUris) {
+        boardThumbnails.innerHTML = '';
+        if (imageUris.length === 0) {
+            boardImage.removeAttribute('src');
             boardImage.style.display = 'none';
+            return;
+        }
+        boardImage.src = imageUris[0];
+        boardImage.style.display = 'block';
+        if (imageUris.length < 2) {
+            return;
+        }
+        imageUris.forEach((uri, index) => {
+            const thumbnail = document.createElement('img');
+            thumbnail.src = uri;
+            thumbnail.alt = `Board picture ${index + 1}`;
+            thumbnail.classList.toggle('selected', index === 0);
+            thumbnail.addEventListener('click', () => {
+                boardImage.src = uri;
+                boardThumbnails.querySelectorAll('img').forEach(img => img.classList.toggle('selected', img === thumbnail));
+            });
+            boardThumbnails.appendChild(thumbnail);
+        });
+    }
+
+    // User manuals and schematics are opened by the extension in the system's PDF viewer
+    function renderBoardDocuments(board) {
+        boardDocuments.innerHTML = '';
+        const documents = board.documents || [];
+        documents.forEach(doc => {
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.href = '#';
+            link.textContent = doc.title;
+            link.title = doc.path;
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                clearFieldError('board');
+                request('openDocument', { boardId: board.id, path: doc.path })
+                    .catch(error => showRequestError(error, 'board'));
+            });
+            item.appendChild(link);
+            if (doc.category) {
+                item.appendChild(document.createTextNode(` (${doc.category})`));
+            }
+            boardDocuments.appendChild(item);
+        });
+        boardDocuments.style.display = documents.length > 0 ? 'block' : 'none';
+    }
+
+    function renderDeviceDetails(device) {
+        deviceDetails.innerHTML = '';
+        if (!device) {
+            deviceDetails.style.display = 'none';
+            return;
+        }
+
+        const rows = [
+            ['MCU', device.partNumber],
+            ['Core', [device.core, device.fpu && device.fpu !== 'NO_FPU' ? device.fpu : null].filter(Boolean).join(', ')],
+            ['Max clock', device.maxClockHz ? `${Math.round(device.maxClockHz / 1000000)} MHz` : ''],
+            ['Flash', formatSize(device.flashSize)],
+            ['RAM', formatSize(device.ramSize)],
+            ['Package', device.package],
+            ['SVD', device.svdFile ? device.svdFile.split(/[/\\]/).pop() : ''],
+            ['Peripherals', device.peripherals ? device.peripherals.join(', ') : '']
+        ];
+
+        rows.filter(([, value]) => value).forEach(([label, value]) => {
+            const row = deviceDetails.insertRow();
+            const header = document.createElement('th');
+            header.textContent = label;
+            row.appendChild(header);
+            row.insertCell().textContent = value;
+        });
+        deviceDetails.style.display = deviceDetails.rows.length > 0 ? 'table' : 'none';
+    }
+
+    function formatSize(bytes) {
+        if (!bytes) {
+            return '';
         }
+        return bytes >= 1024 * 1024 && bytes % (1024 * 1024) === 0
+            ? `${bytes / (1024 * 1024)} MB`
+            : `${Math.round(bytes / 1024)} KB`;
     }
 
     function hideBoardPreview() {
@@ -236,34 +1043,33 @@
     }
 
     function resetBoardSelection() {
+        discardRequests('boards');
         selectedBoard = null;
-        selectedProject = null;
         currentBoards = [];
-        currentProjects = [];
         
         boardSelect.disabled = true;
         boardSelect.innerHTML = '<option value="">No repository selected</option>';
         
-        templateSelect.disabled = true;
-        templateSelect.innerHTML = '<option value="">No board selected</option>';
-        
+        resetTemplateBrowser('No board selected');
         hideBoardPreview();
         updateImportButton();
     }
 
     function resetForm() {
         currentPackageInfo = null;
-        repositorySelect.innerHTML = '<option value="">Select...</option>';
-        toolchainSelect.disabled = true;
-        toolchainSelect.innerHTML = '<option value="">No toolchain selected</option>';
+        renderRepositoryOptions();
         projectNameInput.value = '';
         locationInput.value = '';
         openReadmeCheckbox.checked = false;
         resetBoardSelection();
+        saveState();
     }
 
     function canImport() {
         const hasValidLocation = !!locationInput.value && locationInput.value.trim() !== '' && locationInput.value !== 'Select location';
+        if (checkedProjects.size > 0) {
+            return currentPackageInfo && selectedBoard && hasValidLocation;
+        }
         return currentPackageInfo && 
                selectedBoard && 
                selectedProject && 
@@ -275,9 +1081,14 @@
         importBtn.disabled = !canImport();
     }
 
-    // Initialize
+    // Initialize; the restored name and location are shown right away, the rest follows the lists
+    if (pendingRestore) {
+        projectNameInput.value = pendingRestore.projectName || '';
+        locationInput.value = pendingRestore.location || '';
+        openReadmeCheckbox.checked = pendingRestore.openReadme === true;
+    }
     updateImportButton();
-    
-    // Set default location placeholder only (no value)
-    locationInput.value = '';
+    request('getPackages')
+        .then(({ packages }) => handlePackagesLoaded(packages))
+        .catch(error => showRequestError(error, 'repository'));
 })(); 
\ No newline at end of file
@@ -0,0 +1,347 @@
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import {
+    decodeXml,
+    parseMakefileVariables,
+    readCprojectListOption,
+    readCprojectOptionValue,
+    resolveEclipsePath,
+    resolveIarPath,
+    resolveRelative
+} from './dependencyResolver';
+import { getFamilyInfo } from './stm32Families';
+
+export interface BuildSettings {
+    // All paths are relative to the project root and use forward slashes
+    sources: string[];
+    includes: string[];
+    defines: string[];
+    linkerScript?: string;
+    startupFile?: string;
+    // Part number when the toolchain files name it, e.g. STM32U575ZITxQ
+    mcu?: string;
+    cpu?: string;
+    fpu?: string;
+    floatAbi?: string;
+    // Toolchain file the settings were read from
+    origin: 'Makefile' | 'STM32CubeIDE' | 'Keil' | 'IAR' | 'none';
+}
+
+// Folders of a CubeIDE project that hold build output rather than sources
+const BUILD_OUTPUT_DIRS = ['debug', 'release'];
+
+// Middleware folders with one variant per core, compiler or application rather than sources to build as a whole
+const MIDDLEWARE_VARIANT_DIRS = ['portable', 'port', 'ports', 'template', 'templates', 'example', 'examples', 'projects', 'test', 'tests', 'doc', 'docs', 'documentation'];
+
+/**
+ * Collects the build inputs of an imported project from its toolchain files. Keil and IAR
+ * projects are read when that toolchain is asked for; otherwise the Makefile or, failing that,
+ * the STM32CubeIDE .cproject/.project pair is used. Expects the paths to be already relocated.
+ */
+export async function readBuildSettings(projectDir: string, toolchain?: string): Promise<BuildSettings> {
+    if (toolchain === 'Keil') {
+        const uvprojx = await findFile(projectDir, /\.uvprojx$/i, 1);
+        if (uvprojx) {
+            return readKeilSettings(projectDir, uvprojx);
+        }
+    } else if (toolchain === 'IAR') {
+        const ewp = await findFile(projectDir, /\.ewp$/i, 1);
+        if (ewp) {
+            return readIarSettings(projectDir, ewp);
+        }
+    }
+
+    const makefile = await findFile(projectDir, /^makefile$/i, 1);
+    if (makefile) {
+        return readMakefileSettings(projectDir, makefile);
+    }
+
+    const cproject = await findFile(projectDir, /^\.cproject$/i, 2);
+    if (cproject) {
+        return readCubeIdeSettings(projectDir, cproject);
+    }
+
+    return { sources: [], includes: [], defines: [], origin: 'none' };
+}
+
+/**
+ * Adds the C sources and header folders of middlewares copied into the project on request,
+ * which its toolchain files do not list. Port and template folders are left out; the variant
+ * for the project's core and compiler has to be added by hand.
+ */
+export async function addMiddlewareSettings(settings: BuildSettings, projectDir: string, folders: string[]): Promise<BuildSettings> {
+    const sources: string[] = [];
+    const includes: string[] = [];
+    const walk = async (dir: string) => {
+        const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => [] as fs.Dirent[]);
+        if (entries.some(e => !e.isDirectory() && /\.h$/i.test(e.name))) {
+            includes.push(toProjectRelative(projectDir, dir));
+        }
+        for (const entry of entries) {
+            if (entry.isDirectory()) {
+                if (!MIDDLEWARE_VARIANT_DIRS.includes(entry.name.toLowerCase()) && !entry.name.startsWith('.')) {
+                    await walk(path.join(dir, entry.name));
+                }
+            } else if (/\.c$/i.test(entry.name)) {
+                sources.push(toProjectRelative(projectDir, path.join(dir, entry.name)));
+            }
+        }
+    };
+    for (const folder of folders) {
+        await walk(folder);
+    }
+    return {
+        ...settings,
+        sources: unique([...settings.sources, ...sources]),
+        includes: unique([...settings.includes, ...includes])
+    };
+}
+
+async function readMakefileSettings(projectDir: string, makefile: string): Promise<BuildSettings> {
+    const baseDir = path.dirname(makefile);
+    const variables = parseMakefileVariables(await fs.readFile(makefile, 'utf8'));
+    const toProject = (p: string) => toProjectRelative(projectDir, resolveRelative(p, baseDir));
+    const literal = (token: string) => !token.includes('$(');
+
+    const sources = ['C_SOURCES', 'CPP_SOURCES', 'ASM_SOURCES']
+        .reduce<string[]>((all, name) => all.concat(variables[name] || []), [])
+        .filter(literal)
+        .map(toProject);
+    const includes = (variables['C_INCLUDES'] || [])
+        .filter(t => t.startsWith('-I') && literal(t))
+        .map(t => toProject(t.substring(2)));
+    const defines = (variables['C_DEFS'] || [])
+        .filter(t => t.startsWith('-D'))
+        .map(t => t.substring(2));
+    const ldscript = (variables['LDSCRIPT'] || []).filter(literal)[0];
+
+    const flag = (name: string, prefix: string) => {
+        const token = (variables[name] || []).find(t => t.startsWith(prefix));
+        return token ? token.substring(prefix.length) : undefined;
+    };
+
+    const settings: BuildSettings = {
+        sources: unique(sources),
+        includes: unique(includes),
+        defines: unique(defines),
+        linkerScript: ldscript ? toProject(ldscript) : undefined,
+        startupFile: sources.find(isStartupFile),
+        cpu: flag('CPU', '-mcpu='),
+        fpu: flag('FPU', '-mfpu='),
+        floatAbi: flag('FLOAT-ABI', '-mfloat-abi='),
+        origin: 'Makefile'
+    };
+    return completeCoreSettings(settings);
+}
+
+async function readCubeIdeSettings(projectDir: string, cproject: string): Promise<BuildSettings> {
+    const cprojectDir = path.dirname(cproject);
+    const buildDir = path.join(cprojectDir, 'Debug');
+    const content = await fs.readFile(cproject, 'utf8');
+    const toProject = (p: string) => toProjectRelative(projectDir, p);
+
+    // Only the first configuration (Debug) is used; Release normally repeats the same lists
+    const firstConfig = content.split(/<\/cconfiguration>/i)[0];
+
+    const includes = readCprojectListOption(firstConfig, /c\.compiler\.option\.includepaths/i)
+        .map(v => resolveEclipsePath(v, cprojectDir, buildDir))
+        .filter((p): p is string => !!p)
+        .map(toProject);
+    const defines = readCprojectListOption(firstConfig, /c\.compiler\.option\.definedsymbols/i);
+
+    // Linked sources live in .project, physical ones are stored next to the .cproject
+    const sources: string[] = [];
+    const dotProject = path.join(cprojectDir, '.project');
+    if (await fs.pathExists(dotProject)) {
+        const projectContent = await fs.readFile(dotProject, 'utf8');
+        const linkRe = /<link>[\s\S]*?<\/link>/gi;
+        let link: RegExpExecArray | null;
+        while ((link = linkRe.exec(projectContent)) !== null) {
+            const location = link[0].match(/<location(?:URI)?>([^<]*)<\/location(?:URI)?>/i);
+            const resolved = location ? resolveEclipsePath(location[1], cprojectDir, cprojectDir) : undefined;
+            if (resolved && isSourceFile(resolved)) {
+                sources.push(toProject(resolved));
+            }
+        }
+    }
+    for (const file of await listSourceFiles(cprojectDir)) {
+        sources.push(toProject(file));
+    }
+
+    let linkerScript: string | undefined;
+    const scriptOption = readCprojectOptionValue(firstConfig, /linker\.option\.script/i);
+    if (scriptOption) {
+        // Usually ${workspace_loc:/${ProjName}/STM32U575ZITXQ_FLASH.ld}
+        const candidate = path.join(cprojectDir, path.basename(scriptOption.replace(/[}"]+$/, '')));
+        if (await fs.pathExists(candidate)) {
+            linkerScript = toProject(candidate);
+        }
+    }
+    if (!linkerScript) {
+        const script = await findFile(cprojectDir, /flash\.ld$/i, 1) || await findFile(cprojectDir, /\.ld$/i, 1);
+        linkerScript = script ? toProject(script) : undefined;
+    }
+
+    const settings: BuildSettings = {
+        sources: unique(sources),
+        includes: unique(includes),
+        defines: unique(defines),
+        linkerScript,
+        startupFile: sources.find(isStartupFile),
+        mcu: readCprojectOptionValue(firstConfig, /option\.target_mcu$/i),
+        fpu: fpuFromOption(readCprojectOptionValue(firstConfig, /managedbuild\.option\.fpu$/i)),
+        floatAbi: fpuFromOption(readCprojectOptionValue(firstConfig, /managedbuild\.option\.floatabi$/i)),
+        origin: 'STM32CubeIDE'
+    };
+    return completeCoreSettings(settings);
+}
+
+async function readKeilSettings(projectDir: string, uvprojx: string): Promise<BuildSettings> {
+    const baseDir = path.dirname(uvprojx);
+    // Only the first target is used
+    const content = (await fs.readFile(uvprojx, 'utf8')).split(/<\/Target>/i)[0];
+    const toProject = (p: string) => toProjectRelative(projectDir, resolveRelative(p, baseDir));
+    const tags = (tag: string) => {
+        const values: string[] = [];
+        const re = new RegExp(`<${tag}>([^<]*)</${tag}>`, 'gi');
+        let match: RegExpExecArray | null;
+        while ((match = re.exec(content)) !== null) {
+            values.push(decodeXml(match[1]).trim());
+        }
+        return values;
+    };
+
+    // The first <Cads> block holds the C compiler settings
+    const cads = content.match(/<Cads>([\s\S]*?)<\/Cads>/i);
+    const cadsContent = cads ? cads[1] : content;
+    const includePath = (cadsContent.match(/<IncludePath>([^<]*)<\/IncludePath>/i) || [])[1] || '';
+    const define = (cadsContent.match(/<Define>([^<]*)<\/Define>/i) || [])[1] || '';
+    const sources = tags('FilePath').filter(isSourceFile).map(toProject);
+
+    const settings: BuildSettings = {
+        sources: unique(sources),
+        includes: unique(decodeXml(includePath).split(';').map(p => p.trim()).filter(Boolean).map(toProject)),
+        defines: unique(decodeXml(define).split(/[,\s]+/).filter(Boolean)),
+        startupFile: sources.find(isStartupFile),
+        mcu: tags('Device')[0] || undefined,
+        origin: 'Keil'
+    };
+    return completeCoreSettings(settings);
+}
+
+async function readIarSettings(projectDir: string, ewp: string): Promise<BuildSettings> {
+    const baseDir = path.dirname(ewp);
+    const content = await fs.readFile(ewp, 'utf8');
+    // Only the first configuration is used
+    const firstConfig = content.split(/<\/configuration>/i)[0];
+    const toProject = (p: string) => toProjectRelative(projectDir, p);
+    const states = (name: string) => {
+        const option = firstConfig.match(new RegExp(`<option>\\s*<name>${name}</name>([\\s\\S]*?)</option>`, 'i'));
+        const values: string[] = [];
+        if (option) {
+            const re = /<state>([^<]*)<\/state>/gi;
+            let match: RegExpExecArray | null;
+            while ((match = re.exec(option[1])) !== null) {
+                values.push(decodeXml(match[1]).trim());
+            }
+        }
+        return values.filter(Boolean);
+    };
+
+    const sources: string[] = [];
+    const fileRe = /<file>\s*<name>([^<]*)<\/name>/gi;
+    let fileMatch: RegExpExecArray | null;
+    while ((fileMatch = fileRe.exec(content)) !== null) {
+        const resolved = resolveIarPath(decodeXml(fileMatch[1]).trim(), baseDir);
+        if (resolved && isSourceFile(resolved)) {
+            sources.push(toProject(resolved));
+        }
+    }
+
+    // OGChipSelectEditMenu looks like "STM32U575ZI\tST STM32U575ZI"
+    const chip = states('OGChipSelectEditMenu')[0];
+    const settings: BuildSettings = {
+        sources: unique(sources),
+        includes: unique(states('CCIncludePath2')
+            .map(p => resolveIarPath(p, baseDir))
+            .filter((p): p is string => !!p)
+            .map(toProject)),
+        defines: unique(states('CCDefines')),
+        startupFile: sources.find(isStartupFile),
+        mcu: chip ? chip.split(/\s+/)[0] : undefined,
+        origin: 'IAR'
+    };
+    return completeCoreSettings(settings);
+}
+
+// Fills cpu/fpu/float-abi from the MCU family when the toolchain files do not spell them out
+function completeCoreSettings(settings: BuildSettings): BuildSettings {
+    const name = settings.mcu || settings.defines.find(d => /^STM32[A-Z]+\d/i.test(d));
+    const family = name ? getFamilyInfo(name) : undefined;
+    if (family) {
+        settings.cpu = settings.cpu || family.core;
+        settings.fpu = settings.fpu || family.fpu;
+        settings.floatAbi = settings.floatAbi || family.floatAbi;
+    }
+    return settings;
+}
+
+// CubeIDE stores enum options as "...fpu.value.fpv5-sp-d16"
+function fpuFromOption(value?: string): string | undefined {
+    if (!value) {
+        return undefined;
+    }
+    const match = value.match(/\.value\.([A-Za-z0-9-]+)$/);
+    return match ? match[1] : value;
+}
+
+function isSourceFile(file: string): boolean {
+    return /\.(c|cpp|s)$/i.test(file);
+}
+
+function isStartupFile(file: string): boolean {
+    return /(^|\/)startup_[^/]*\.s$/i.test(file);
+}
+
+async function listSourceFiles(dir: string): Promise<string[]> {
+    const result: string[] = [];
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (!BUILD_OUTPUT_DIRS.includes(entry.name.toLowerCase()) && !entry.name.startsWith('.')) {
+                result.push(...await listSourceFiles(full));
+            }
+        } else if (isSourceFile(entry.name)) {
+            result.push(full);
+        }
+    }
+    return result;
+}
+
+async function findFile(dir: string, pattern: RegExp, maxDepth: number): Promise<string | undefined> {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    const match = entries.find(e => !e.isDirectory() && pattern.test(e.name));
+    if (match) {
+        return path.join(dir, match.name);
+    }
+    if (maxDepth > 0) {
+        for (const entry of entries) {
+            if (entry.isDirectory() && !['drivers', 'middlewares'].includes(entry.name.toLowerCase())) {
+                const found = await findFile(path.join(dir, entry.name), pattern, maxDepth - 1);
+                if (found) {
+                    return found;
+                }
+            }
+        }
+    }
+    return undefined;
+}
+
+function toProjectRelative(projectDir: string, p: string): string {
+    return path.relative(projectDir, p).replace(/\\/g, '/') || '.';
+}
+
+function unique(values: string[]): string[] {
+    return Array.from(new Set(values));
+}
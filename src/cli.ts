@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+import * as path from 'path';
+import { PackageManager, ProjectInfo } from './packageManager';
+import { ImportConflictMode } from './importManifest';
+import { PackageHealthChecker } from './packageHealth';
+import { log } from './logger';
+
+const USAGE = `Usage: stm32-package <command> --package <path> [options]
+
+Commands:
+  info                                  Package name, version and description
+  list-boards                           Boards found in the package
+  list-projects --board <id>            Example projects of a board
+  health                                Why a package yields no boards or projects
+  import --board <id> --project <name> --out <dir>
+         [--toolchain <name>] [--name <folder>] [--conflict merge|replace]
+                                        Import a project into <dir>/<folder>
+
+Options:
+  --package <path>   Extracted STM32Cube package, e.g. STM32Cube_FW_U5_V1.3.0
+  --verbose          Print diagnostic output on stderr
+
+Results are written to stdout as JSON. Errors are written as {"error": "..."} and
+exit with status 1, usage errors with status 2.`;
+
+class UsageError extends Error {}
+
+interface CliArguments {
+    command?: string;
+    options: { [name: string]: string | true };
+}
+
+function parseArguments(argv: string[]): CliArguments {
+    const result: CliArguments = { options: {} };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg.startsWith('--')) {
+            const [name, inline] = arg.substring(2).split(/=(.*)/s);
+            if (inline !== undefined) {
+                result.options[name] = inline;
+            } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+                result.options[name] = argv[++i];
+            } else {
+                result.options[name] = true;
+            }
+        } else if (!result.command) {
+            result.command = arg;
+        } else {
+            throw new UsageError(`Unexpected argument: ${arg}`);
+        }
+    }
+    return result;
+}
+
+function requireOption(args: CliArguments, name: string): string {
+    const value = args.options[name];
+    if (typeof value !== 'string' || !value.trim()) {
+        throw new UsageError(`Missing --${name}`);
+    }
+    return value.trim();
+}
+
+// Accepts the folder below the board (Examples/GPIO/GPIO_IOToggle), the display name, the example folder name or its path
+function findProject(projects: ProjectInfo[], boardDir: string, query: string): ProjectInfo {
+    const normalized = query.replace(/\\/g, '/').replace(/\/$/, '');
+    const relative = (p: ProjectInfo) => path.relative(boardDir, p.path).replace(/\\/g, '/');
+    const exact = projects.filter(p => relative(p) === normalized || p.name === normalized || path.resolve(p.path) === path.resolve(query));
+    if (exact.length === 1) {
+        return exact[0];
+    }
+    const byLeaf = projects.filter(p => path.basename(p.path) === normalized);
+    if (byLeaf.length === 1) {
+        return byLeaf[0];
+    }
+    if (byLeaf.length > 1) {
+        throw new Error(`Project "${query}" is ambiguous: ${byLeaf.map(relative).join(', ')}`);
+    }
+    throw new Error(`Project "${query}" not found`);
+}
+
+async function run(args: CliArguments): Promise<unknown> {
+    if (!args.command || args.options.help) {
+        throw new UsageError('');
+    }
+    const packagePath = path.resolve(requireOption(args, 'package'));
+    const packageManager = new PackageManager();
+    // The report explains packages that fail the check below
+    if (args.command === 'health') {
+        return new PackageHealthChecker(packageManager).check(packagePath);
+    }
+    if (!await packageManager.isStm32CubePackage(packagePath)) {
+        throw new Error(`${packagePath} is not an STM32Cube package (no Projects and Drivers folders)`);
+    }
+
+    switch (args.command) {
+        case 'info':
+            return packageManager.analyzePackage(packagePath);
+        case 'list-boards':
+            return packageManager.getAvailableBoards(packagePath);
+        case 'list-projects':
+            return packageManager.getProjectsForBoard(packagePath, requireOption(args, 'board'));
+        case 'import': {
+            const boardId = requireOption(args, 'board');
+            const projects = await packageManager.getProjectsForBoard(packagePath, boardId);
+            const project = findProject(projects, path.join(packagePath, 'Projects', boardId), requireOption(args, 'project'));
+            const conflict = args.options.conflict;
+            if (conflict !== undefined && conflict !== 'merge' && conflict !== 'replace') {
+                throw new UsageError('--conflict must be merge or replace');
+            }
+            const name = args.options.name;
+            const toolchain = args.options.toolchain;
+            const targetPath = await packageManager.importProject(
+                packagePath,
+                boardId,
+                project.name,
+                path.resolve(requireOption(args, 'out')),
+                // Display names are prettified; the folder keeps the example's own name by default
+                typeof name === 'string' ? name : path.basename(project.path),
+                project.path,
+                typeof toolchain === 'string' ? toolchain : undefined,
+                { conflict: conflict as ImportConflictMode | undefined }
+            );
+            return { project: project.name, targetPath };
+        }
+        default:
+            throw new UsageError(`Unknown command: ${args.command}`);
+    }
+}
+
+async function main(): Promise<void> {
+    let args: CliArguments;
+    try {
+        args = parseArguments(process.argv.slice(2));
+    } catch (error) {
+        process.stderr.write(`${error instanceof Error ? error.message : error}\n\n${USAGE}\n`);
+        process.exitCode = 2;
+        return;
+    }
+
+    // Keep stdout for the JSON result
+    log.setSink((level, message) => process.stderr.write(`[${level}] ${message}\n`));
+    log.setLevel(args.options.verbose ? 'debug' : 'off');
+
+    try {
+        const result = await run(args);
+        process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+    } catch (error) {
+        if (error instanceof UsageError) {
+            process.stderr.write(`${error.message ? error.message + '\n\n' : ''}${USAGE}\n`);
+            process.exitCode = 2;
+            return;
+        }
+        process.stdout.write(JSON.stringify({ error: error instanceof Error ? error.message : String(error) }, null, 2) + '\n');
+        process.exitCode = 1;
+    }
+}
+
+main();
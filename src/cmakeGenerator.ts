@@ -0,0 +1,191 @@
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import { addMiddlewareSettings, BuildSettings, readBuildSettings } from './buildSettings';
+import { log } from './logger';
+
+// Toolchain choice that generates a CMake project from the example's GCC-based project files
+export const CMAKE_TOOLCHAIN = 'CMake (GCC)';
+
+export const TOOLCHAIN_FILE = 'cmake/gcc-arm-none-eabi.cmake';
+
+/**
+ * Writes CMakeLists.txt, an arm-none-eabi toolchain file and CMakePresets.json for an
+ * imported project, using the sources and flags of its Makefile or STM32CubeIDE project.
+ */
+export class CMakeGenerator {
+    constructor(private readonly projectDir: string) {}
+
+    /**
+     * Files in keepFiles (absolute paths) are not overwritten. Middleware folders copied on
+     * request are built along with the project's sources. Returns undefined, writing nothing,
+     * when the project has no Makefile or STM32CubeIDE project with sources.
+     */
+    async generate(projectName: string, keepFiles: Set<string> = new Set(), middlewares: string[] = []): Promise<BuildSettings | undefined> {
+        let settings = await readBuildSettings(this.projectDir);
+        if (settings.origin === 'none') {
+            log.warn(`No Makefile or STM32CubeIDE project found in ${this.projectDir}, no CMake files generated`);
+            return undefined;
+        }
+        if (settings.sources.length === 0) {
+            log.warn(`No source files found in the ${settings.origin} project of ${this.projectDir}, no CMake files generated`);
+            return undefined;
+        }
+        settings = await addMiddlewareSettings(settings, this.projectDir, middlewares);
+
+        const name = projectName.trim().replace(/[^A-Za-z0-9_.-]+/g, '_') || 'Project';
+        const write = async (relativePath: string, content: string) => {
+            const file = path.join(this.projectDir, relativePath);
+            if (keepFiles.has(file)) {
+                log.info(`Keeping modified ${file}`);
+                return;
+            }
+            await fs.outputFile(file, content, 'utf8');
+        };
+        await write('CMakeLists.txt', this.createCMakeLists(name, settings));
+        await write(TOOLCHAIN_FILE, this.createToolchainFile(settings));
+        await write('CMakePresets.json', this.createPresets());
+
+        log.info(`Generated CMake project for ${name} from ${settings.origin} (${settings.sources.length} sources)`);
+        return settings;
+    }
+
+    private createCMakeLists(name: string, settings: BuildSettings): string {
+        const list = (items: string[]) => items.map(item => `    ${quote(item)}`).join('\n');
+        const sources = settings.sources.map(s => `\${CMAKE_SOURCE_DIR}/${s}`);
+        const includes = settings.includes.map(i => i === '.' ? '${CMAKE_SOURCE_DIR}' : `\${CMAKE_SOURCE_DIR}/${i}`);
+
+        const lines = [
+            'cmake_minimum_required(VERSION 3.22)',
+            '',
+            'set(CMAKE_C_STANDARD 11)',
+            'set(CMAKE_C_STANDARD_REQUIRED ON)',
+            'set(CMAKE_C_EXTENSIONS ON)',
+            '',
+            'if(NOT CMAKE_BUILD_TYPE)',
+            '    set(CMAKE_BUILD_TYPE "Debug")',
+            'endif()',
+            '',
+            `project(${name} C CXX ASM)`,
+            'set(CMAKE_EXPORT_COMPILE_COMMANDS ON)',
+            '',
+            'add_executable(${CMAKE_PROJECT_NAME})',
+            '',
+            'target_sources(${CMAKE_PROJECT_NAME} PRIVATE',
+            list(sources),
+            ')',
+            '',
+            ...(includes.length > 0 ? [
+                'target_include_directories(${CMAKE_PROJECT_NAME} PRIVATE',
+                list(includes),
+                ')',
+                ''
+            ] : []),
+            'target_compile_definitions(${CMAKE_PROJECT_NAME} PRIVATE',
+            list(settings.defines),
+            '    $<$<CONFIG:Debug>:DEBUG>',
+            ')',
+            ''
+        ];
+
+        if (settings.linkerScript) {
+            lines.push(
+                'target_link_options(${CMAKE_PROJECT_NAME} PRIVATE',
+                `    -T${quote(`\${CMAKE_SOURCE_DIR}/${settings.linkerScript}`)}`,
+                '    -Wl,-Map=${CMAKE_PROJECT_NAME}.map',
+                ')',
+                ''
+            );
+        } else {
+            lines.push('# No linker script was found in the original project, add one with -T<script>.ld', '');
+        }
+
+        lines.push(
+            'set_target_properties(${CMAKE_PROJECT_NAME} PROPERTIES SUFFIX ".elf")',
+            '',
+            'add_custom_command(TARGET ${CMAKE_PROJECT_NAME} POST_BUILD',
+            '    COMMAND ${CMAKE_OBJCOPY} -O ihex $<TARGET_FILE:${CMAKE_PROJECT_NAME}> ${CMAKE_PROJECT_NAME}.hex',
+            '    COMMAND ${CMAKE_OBJCOPY} -O binary $<TARGET_FILE:${CMAKE_PROJECT_NAME}> ${CMAKE_PROJECT_NAME}.bin',
+            '    COMMAND ${CMAKE_SIZE} $<TARGET_FILE:${CMAKE_PROJECT_NAME}>',
+            ')',
+            ''
+        );
+        return lines.join('\n');
+    }
+
+    private createToolchainFile(settings: BuildSettings): string {
+        const mcuFlags = [
+            `-mcpu=${settings.cpu || 'cortex-m4'}`,
+            '-mthumb',
+            settings.fpu ? `-mfpu=${settings.fpu}` : undefined,
+            `-mfloat-abi=${settings.floatAbi || 'soft'}`
+        ].filter(Boolean).join(' ');
+
+        return [
+            'set(CMAKE_SYSTEM_NAME Generic)',
+            'set(CMAKE_SYSTEM_PROCESSOR arm)',
+            '',
+            'set(TOOLCHAIN_PREFIX arm-none-eabi-)',
+            'set(CMAKE_C_COMPILER ${TOOLCHAIN_PREFIX}gcc)',
+            'set(CMAKE_ASM_COMPILER ${CMAKE_C_COMPILER})',
+            'set(CMAKE_CXX_COMPILER ${TOOLCHAIN_PREFIX}g++)',
+            'set(CMAKE_LINKER ${TOOLCHAIN_PREFIX}g++)',
+            'set(CMAKE_OBJCOPY ${TOOLCHAIN_PREFIX}objcopy)',
+            'set(CMAKE_SIZE ${TOOLCHAIN_PREFIX}size)',
+            '',
+            'set(CMAKE_EXECUTABLE_SUFFIX_ASM ".elf")',
+            'set(CMAKE_EXECUTABLE_SUFFIX_C ".elf")',
+            'set(CMAKE_EXECUTABLE_SUFFIX_CXX ".elf")',
+            '',
+            'set(CMAKE_TRY_COMPILE_TARGET_TYPE STATIC_LIBRARY)',
+            '',
+            `set(TARGET_FLAGS "${mcuFlags}")`,
+            '',
+            'set(CMAKE_C_FLAGS "${CMAKE_C_FLAGS} ${TARGET_FLAGS} -Wall -fdata-sections -ffunction-sections")',
+            'set(CMAKE_C_FLAGS_DEBUG "-O0 -g3")',
+            'set(CMAKE_C_FLAGS_RELEASE "-Os -g0")',
+            'set(CMAKE_CXX_FLAGS "${CMAKE_C_FLAGS} -fno-rtti -fno-exceptions -fno-threadsafe-statics")',
+            'set(CMAKE_CXX_FLAGS_DEBUG "-O0 -g3")',
+            'set(CMAKE_CXX_FLAGS_RELEASE "-Os -g0")',
+            'set(CMAKE_ASM_FLAGS "${CMAKE_C_FLAGS} -x assembler-with-cpp -MMD -MP")',
+            '',
+            'set(CMAKE_EXE_LINKER_FLAGS "${TARGET_FLAGS} --specs=nano.specs -Wl,--gc-sections -Wl,--print-memory-usage")',
+            'set(CMAKE_C_STANDARD_LIBRARIES "-Wl,--start-group -lc -lm -Wl,--end-group")',
+            ''
+        ].join('\n');
+    }
+
+    private createPresets(): string {
+        const presets = {
+            version: 3,
+            configurePresets: [
+                {
+                    name: 'default',
+                    hidden: true,
+                    generator: 'Ninja',
+                    binaryDir: '${sourceDir}/build/${presetName}',
+                    toolchainFile: `\${sourceDir}/${TOOLCHAIN_FILE}`,
+                    cacheVariables: {}
+                },
+                {
+                    name: 'Debug',
+                    inherits: 'default',
+                    cacheVariables: { CMAKE_BUILD_TYPE: 'Debug' }
+                },
+                {
+                    name: 'Release',
+                    inherits: 'default',
+                    cacheVariables: { CMAKE_BUILD_TYPE: 'Release' }
+                }
+            ],
+            buildPresets: [
+                { name: 'Debug', configurePreset: 'Debug' },
+                { name: 'Release', configurePreset: 'Release' }
+            ]
+        };
+        return JSON.stringify(presets, null, 4) + '\n';
+    }
+}
+
+function quote(value: string): string {
+    return /[\s;()"]/.test(value) ? `"${value.replace(/"/g, '\\"')}"` : value;
+}
@@ -0,0 +1,494 @@
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import { FileCopier } from './fileCopier';
+import { CMAKE_TOOLCHAIN } from './cmakeGenerator';
+import { log } from './logger';
+
+export interface ProjectDependencies {
+    // Absolute include directories referenced by the toolchain files
+    includeDirs: string[];
+    // Absolute source files compiled or linked by the toolchain files
+    sourceFiles: string[];
+    // Toolchain files the references were read from
+    projectFiles: string[];
+}
+
+export interface DependencyCopyEntry {
+    source: string;
+    // Path relative to the package root, e.g. Drivers/CMSIS/Include
+    relativePath: string;
+    isDirectory: boolean;
+    files: number;
+    bytes: number;
+}
+
+export interface DependencyCopyPlan {
+    entries: DependencyCopyEntry[];
+    totalFiles: number;
+    totalBytes: number;
+}
+
+// Package-root folders that hold shared code and are copied into imported projects
+const SHARED_ROOTS = ['Drivers', 'Middlewares'];
+
+// Toolchain files read for each toolchain offered by PackageManager.detectToolchains
+const TOOLCHAIN_PROJECT_FILES: { [toolchain: string]: RegExp[] } = {
+    STM32CubeIDE: [/^\.cproject$/i, /^\.project$/i],
+    Keil: [/\.uvprojx$/i],
+    IAR: [/\.ewp$/i],
+    GCC: [/^makefile$/i],
+    [CMAKE_TOOLCHAIN]: [/^\.cproject$/i, /^\.project$/i, /^makefile$/i]
+};
+
+/**
+ * Works out which parts of a package's Drivers and Middlewares trees a Cube example
+ * actually uses, by reading the include paths and source lists of its toolchain files.
+ */
+export class DependencyResolver {
+    constructor(private readonly packagePath: string) {}
+
+    async resolve(projectDir: string, toolchain?: string): Promise<ProjectDependencies> {
+        const patterns = toolchain && TOOLCHAIN_PROJECT_FILES[toolchain]
+            ? TOOLCHAIN_PROJECT_FILES[toolchain]
+            : Object.keys(TOOLCHAIN_PROJECT_FILES).reduce<RegExp[]>((all, key) => all.concat(TOOLCHAIN_PROJECT_FILES[key]), []);
+
+        const projectFiles = await this.findProjectFiles(projectDir, patterns, 2);
+        const includeDirs = new Set<string>();
+        const sourceFiles = new Set<string>();
+
+        for (const file of projectFiles) {
+            let content: string;
+            try {
+                content = await fs.readFile(file, 'utf8');
+            } catch (error) {
+                log.warn(`Could not read toolchain file ${file}:`, error);
+                continue;
+            }
+
+            const name = path.basename(file).toLowerCase();
+            let refs: { includes: string[]; sources: string[] };
+            if (name === '.cproject') {
+                refs = this.parseCproject(content, file);
+            } else if (name === '.project') {
+                refs = this.parseEclipseProject(content, file);
+            } else if (name.endsWith('.uvprojx')) {
+                refs = this.parseUvprojx(content, file);
+            } else if (name.endsWith('.ewp')) {
+                refs = this.parseEwp(content, file);
+            } else {
+                refs = this.parseMakefile(content, file);
+            }
+
+            refs.includes.forEach(p => includeDirs.add(p));
+            refs.sources.forEach(p => sourceFiles.add(p));
+        }
+
+        return {
+            includeDirs: Array.from(includeDirs),
+            sourceFiles: Array.from(sourceFiles),
+            projectFiles
+        };
+    }
+
+    /**
+     * Turns the resolved references into the minimal list of package folders and files to copy.
+     * Returns null when nothing inside Drivers or Middlewares is referenced, so the caller can
+     * fall back to copying the whole trees.
+     */
+    async createCopyPlan(dependencies: ProjectDependencies): Promise<DependencyCopyPlan | null> {
+        const dirs = new Set<string>();
+        const files = new Set<string>();
+
+        for (const dir of dependencies.includeDirs) {
+            if (this.isSharedPath(dir) && await fs.pathExists(dir)) {
+                dirs.add(dir);
+            }
+        }
+        for (const file of dependencies.sourceFiles) {
+            if (this.isSharedPath(file) && await fs.pathExists(file)) {
+                files.add(file);
+            }
+        }
+
+        if (dirs.size === 0 && files.size === 0) {
+            return null;
+        }
+
+        // BSP drivers include their components relatively ("../Components/lsm6dso/lsm6dso.h"),
+        // so those never show up in the include paths
+        for (const componentDir of await this.findBspComponents(Array.from(dirs), Array.from(files))) {
+            dirs.add(componentDir);
+        }
+
+        // Drop anything already covered by a copied directory
+        const dirList = Array.from(dirs).sort();
+        const topDirs = dirList.filter(d => !dirList.some(other => other !== d && this.isInside(d, other)));
+        const topFiles = Array.from(files).filter(f => !topDirs.some(d => this.isInside(f, d))).sort();
+
+        const entries: DependencyCopyEntry[] = [];
+        for (const dir of topDirs) {
+            const { files: count, bytes } = await this.measure(dir);
+            entries.push({ source: dir, relativePath: this.toRelative(dir), isDirectory: true, files: count, bytes });
+        }
+        for (const file of topFiles) {
+            const stat = await fs.stat(file);
+            entries.push({ source: file, relativePath: this.toRelative(file), isDirectory: false, files: 1, bytes: stat.size });
+        }
+
+        return {
+            entries,
+            totalFiles: entries.reduce((sum, e) => sum + e.files, 0),
+            totalBytes: entries.reduce((sum, e) => sum + e.bytes, 0)
+        };
+    }
+
+    // Queues the plan's entries; the Drivers and Middlewares roots become the copy phases
+    async addToCopier(plan: DependencyCopyPlan, targetPath: string, copier: FileCopier): Promise<void> {
+        for (const entry of plan.entries) {
+            const phase = entry.relativePath.split('/')[0] === 'Middlewares' ? 'Middlewares' : 'Drivers';
+            await copier.add(entry.source, path.join(targetPath, entry.relativePath), phase);
+        }
+    }
+
+    formatSummary(plan: DependencyCopyPlan): string {
+        const lines = SHARED_ROOTS.map(root => {
+            const rootEntries = plan.entries.filter(e => e.relativePath.split('/')[0] === root);
+            if (rootEntries.length === 0) {
+                return undefined;
+            }
+            const files = rootEntries.reduce((sum, e) => sum + e.files, 0);
+            const bytes = rootEntries.reduce((sum, e) => sum + e.bytes, 0);
+            return `  ${root}: ${files} files, ${formatBytes(bytes)}`;
+        }).filter((line): line is string => line !== undefined);
+
+        return [
+            `Dependency copy: ${plan.totalFiles} files, ${formatBytes(plan.totalBytes)}`,
+            ...lines,
+            ...plan.entries.map(e => `    ${e.relativePath}${e.isDirectory ? '/' : ''} (${formatBytes(e.bytes)})`)
+        ].join('\n');
+    }
+
+    // Eclipse CDT: include paths are stored relative to the build folder (one level below the project)
+    private parseCproject(content: string, file: string): { includes: string[]; sources: string[] } {
+        const projectDir = path.dirname(file);
+        const buildDir = path.join(projectDir, 'Debug');
+        const includes: string[] = [];
+
+        for (const value of readCprojectListOption(content, /include/i)) {
+            const resolved = resolveEclipsePath(value, projectDir, buildDir);
+            if (resolved) {
+                includes.push(resolved);
+            }
+        }
+
+        return { includes: unique(includes), sources: [] };
+    }
+
+    // Eclipse .project: source files are linked resources such as PARENT-6-PROJECT_LOC/Drivers/...
+    private parseEclipseProject(content: string, file: string): { includes: string[]; sources: string[] } {
+        const projectDir = path.dirname(file);
+        const sources: string[] = [];
+
+        const linkRe = /<link>[\s\S]*?<\/link>/gi;
+        let link: RegExpExecArray | null;
+        while ((link = linkRe.exec(content)) !== null) {
+            const location = link[0].match(/<location(?:URI)?>([^<]*)<\/location(?:URI)?>/i);
+            if (!location) {
+                continue;
+            }
+            const resolved = resolveEclipsePath(decodeXml(location[1]), projectDir, projectDir);
+            if (resolved) {
+                sources.push(resolved);
+            }
+        }
+
+        return { includes: [], sources: unique(sources) };
+    }
+
+    // Keil uVision: ';'-separated IncludePath and FilePath entries relative to the .uvprojx folder
+    private parseUvprojx(content: string, file: string): { includes: string[]; sources: string[] } {
+        const baseDir = path.dirname(file);
+        const includes: string[] = [];
+        const sources: string[] = [];
+
+        const includeRe = /<IncludePath>([^<]*)<\/IncludePath>/gi;
+        let match: RegExpExecArray | null;
+        while ((match = includeRe.exec(content)) !== null) {
+            decodeXml(match[1]).split(';')
+                .map(p => p.trim())
+                .filter(Boolean)
+                .forEach(p => includes.push(resolveRelative(p, baseDir)));
+        }
+
+        const fileRe = /<FilePath>([^<]*)<\/FilePath>/gi;
+        while ((match = fileRe.exec(content)) !== null) {
+            sources.push(resolveRelative(decodeXml(match[1]).trim(), baseDir));
+        }
+
+        return { includes: unique(includes), sources: unique(sources) };
+    }
+
+    // IAR Embedded Workbench: $PROJ_DIR$-relative paths in CCIncludePath2 states and <file> names
+    private parseEwp(content: string, file: string): { includes: string[]; sources: string[] } {
+        const baseDir = path.dirname(file);
+        const includes: string[] = [];
+        const sources: string[] = [];
+
+        const optionRe = /<option>\s*<name>CCIncludePath2<\/name>([\s\S]*?)<\/option>/gi;
+        let option: RegExpExecArray | null;
+        while ((option = optionRe.exec(content)) !== null) {
+            const stateRe = /<state>([^<]*)<\/state>/gi;
+            let state: RegExpExecArray | null;
+            while ((state = stateRe.exec(option[1])) !== null) {
+                const resolved = resolveIarPath(decodeXml(state[1]).trim(), baseDir);
+                if (resolved) {
+                    includes.push(resolved);
+                }
+            }
+        }
+
+        const fileRe = /<file>\s*<name>([^<]*)<\/name>/gi;
+        let fileMatch: RegExpExecArray | null;
+        while ((fileMatch = fileRe.exec(content)) !== null) {
+            const resolved = resolveIarPath(decodeXml(fileMatch[1]).trim(), baseDir);
+            if (resolved) {
+                sources.push(resolved);
+            }
+        }
+
+        return { includes: unique(includes), sources: unique(sources) };
+    }
+
+    // GNU Makefile: C_SOURCES/ASM_SOURCES lists and -I flags in C_INCLUDES, relative to the Makefile
+    private parseMakefile(content: string, file: string): { includes: string[]; sources: string[] } {
+        const baseDir = path.dirname(file);
+        const variables = parseMakefileVariables(content);
+        const includes: string[] = [];
+        const sources: string[] = [];
+
+        for (const name of ['C_INCLUDES', 'AS_INCLUDES']) {
+            for (const token of variables[name] || []) {
+                if (token.startsWith('-I')) {
+                    const dir = token.substring(2);
+                    if (dir && !dir.includes('$(')) {
+                        includes.push(resolveRelative(dir, baseDir));
+                    }
+                }
+            }
+        }
+        for (const name of ['C_SOURCES', 'CPP_SOURCES', 'ASM_SOURCES']) {
+            for (const token of variables[name] || []) {
+                if (!token.includes('$(')) {
+                    sources.push(resolveRelative(token, baseDir));
+                }
+            }
+        }
+
+        return { includes: unique(includes), sources: unique(sources) };
+    }
+
+    private async findBspComponents(dirs: string[], files: string[]): Promise<string[]> {
+        const bspRoot = path.join(this.packagePath, 'Drivers', 'BSP');
+        const candidates = files.filter(f => this.isInside(f, bspRoot));
+        for (const dir of dirs.filter(d => this.isInside(d, bspRoot))) {
+            candidates.push(...await this.listFiles(dir, /\.[ch]$/i));
+        }
+
+        const components = new Set<string>();
+        for (const file of candidates) {
+            let content: string;
+            try {
+                content = await fs.readFile(file, 'utf8');
+            } catch (error) {
+                continue;
+            }
+            const includeRe = /#include\s+"((?:\.\.\/)+Components\/[^/"]+)\//g;
+            let match: RegExpExecArray | null;
+            while ((match = includeRe.exec(content)) !== null) {
+                const componentDir = path.resolve(path.dirname(file), match[1]);
+                if (this.isInside(componentDir, bspRoot) && await fs.pathExists(componentDir)) {
+                    components.add(componentDir);
+                }
+            }
+        }
+        return Array.from(components);
+    }
+
+    private async findProjectFiles(dir: string, patterns: RegExp[], maxDepth: number): Promise<string[]> {
+        const found: string[] = [];
+        const walk = async (current: string, depth: number): Promise<void> => {
+            const entries = await fs.readdir(current, { withFileTypes: true });
+            for (const entry of entries) {
+                const full = path.join(current, entry.name);
+                if (entry.isDirectory()) {
+                    if (depth < maxDepth) {
+                        await walk(full, depth + 1);
+                    }
+                } else if (patterns.some(re => re.test(entry.name))) {
+                    found.push(full);
+                }
+            }
+        };
+        await walk(dir, 0);
+        return found;
+    }
+
+    private async listFiles(dir: string, pattern: RegExp): Promise<string[]> {
+        const result: string[] = [];
+        const entries = await fs.readdir(dir, { withFileTypes: true });
+        for (const entry of entries) {
+            const full = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                result.push(...await this.listFiles(full, pattern));
+            } else if (pattern.test(entry.name)) {
+                result.push(full);
+            }
+        }
+        return result;
+    }
+
+    private async measure(dir: string): Promise<{ files: number; bytes: number }> {
+        let files = 0;
+        let bytes = 0;
+        const entries = await fs.readdir(dir, { withFileTypes: true });
+        for (const entry of entries) {
+            const full = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                const sub = await this.measure(full);
+                files += sub.files;
+                bytes += sub.bytes;
+            } else {
+                files++;
+                bytes += (await fs.stat(full)).size;
+            }
+        }
+        return { files, bytes };
+    }
+
+    private isSharedPath(p: string): boolean {
+        return SHARED_ROOTS.some(root => this.isInside(p, path.join(this.packagePath, root)));
+    }
+
+    private isInside(p: string, dir: string): boolean {
+        const rel = path.relative(dir, p);
+        return !!rel && !rel.startsWith('..') && !path.isAbsolute(rel);
+    }
+
+    private toRelative(p: string): string {
+        return path.relative(this.packagePath, p).replace(/\\/g, '/');
+    }
+}
+
+export function formatBytes(bytes: number): string {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+// Collects "NAME = a b \" style assignments (including += and continuation lines) into token lists
+export function parseMakefileVariables(content: string): { [name: string]: string[] } {
+    const variables: { [name: string]: string[] } = {};
+    const lines = content.replace(/\\\r?\n/g, ' ').split(/\r?\n/);
+    for (const line of lines) {
+        const match = line.match(/^\s*([A-Za-z_][A-Za-z0-9_]*)\s*(\+?=|:=|\?=)\s*(.*)$/);
+        if (!match) {
+            continue;
+        }
+        const tokens = match[3].replace(/#.*$/, '').split(/\s+/).filter(Boolean);
+        variables[match[1]] = match[2] === '+=' ? (variables[match[1]] || []).concat(tokens) : tokens;
+    }
+    return variables;
+}
+
+/**
+ * Resolves an Eclipse path value (PARENT-n-PROJECT_LOC/..., ${ProjDirPath}/..., or plain relative)
+ * to an absolute path. Returns undefined for workspace or variable based paths.
+ */
+export function resolveEclipsePath(value: string, projectDir: string, relativeBase: string): string | undefined {
+    let p = value.replace(/^"|"$/g, '').trim();
+    if (!p) {
+        return undefined;
+    }
+
+    const parent = p.match(/^(?:\$%7B|\$\{)?PARENT-(\d+)-PROJECT_LOC(?:%7D|\})?\/?(.*)$/i);
+    if (parent) {
+        const up = Array(Number(parent[1])).fill('..');
+        return path.resolve(projectDir, ...up, parent[2]);
+    }
+
+    p = p.replace(/^\$\{ProjDirPath\}/i, projectDir)
+        .replace(/^(?:\$%7B|\$\{)PROJECT_LOC(?:%7D|\})/i, projectDir)
+        .replace(/^PROJECT_LOC/i, projectDir);
+    if (p.includes('${') || p.includes('$%7B')) {
+        // Workspace-relative or variable-based paths cannot be resolved outside Eclipse
+        return undefined;
+    }
+
+    return resolveRelative(p, relativeBase);
+}
+
+export function resolveIarPath(value: string, baseDir: string): string | undefined {
+    if (!value.startsWith('$PROJ_DIR$')) {
+        return undefined;
+    }
+    return resolveRelative(value.substring('$PROJ_DIR$'.length).replace(/^[\\/]/, ''), baseDir);
+}
+
+export function resolveRelative(p: string, baseDir: string): string {
+    const normalized = p.replace(/\\/g, '/');
+    return path.isAbsolute(normalized) ? path.normalize(normalized) : path.resolve(baseDir, normalized);
+}
+
+// Values of the <listOptionValue> entries of every .cproject <option> whose superClass matches
+export function readCprojectListOption(content: string, superClass: RegExp): string[] {
+    const values: string[] = [];
+    const optionRe = /<option\b([^>]*?)(\/?)>/gi;
+    let option: RegExpExecArray | null;
+    while ((option = optionRe.exec(content)) !== null) {
+        const cls = (option[1].match(/superClass="([^"]*)"/) || [])[1];
+        // Self-closing options carry a single value attribute and no list
+        if (option[2] || !cls || !superClass.test(cls)) {
+            continue;
+        }
+        const end = content.indexOf('</option>', optionRe.lastIndex);
+        const body = content.substring(optionRe.lastIndex, end === -1 ? content.length : end);
+        const valueRe = /<listOptionValue\b[^>]*value="([^"]*)"/gi;
+        let value: RegExpExecArray | null;
+        while ((value = valueRe.exec(body)) !== null) {
+            values.push(decodeXml(value[1]));
+        }
+    }
+    return values;
+}
+
+// The value attribute of the first .cproject <option> whose superClass matches
+export function readCprojectOptionValue(content: string, superClass: RegExp): string | undefined {
+    const optionRe = /<option\b([^>]*?)\/?>/gi;
+    let option: RegExpExecArray | null;
+    while ((option = optionRe.exec(content)) !== null) {
+        const cls = (option[1].match(/superClass="([^"]*)"/) || [])[1];
+        const value = (option[1].match(/\bvalue="([^"]*)"/) || [])[1];
+        if (cls && value !== undefined && superClass.test(cls)) {
+            return decodeXml(value);
+        }
+    }
+    return undefined;
+}
+
+export function decodeXml(value: string): string {
+    return value
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+function unique(values: string[]): string[] {
+    return Array.from(new Set(values));
+}
@@ -0,0 +1,237 @@
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import { FileCopier, OperationOptions, throwIfCancelled } from './fileCopier';
+import { ImportManifest, findImportedProjects, hashFile, readManifest, toRelative, writeManifest } from './importManifest';
+import { PackageInfo } from './packageManager';
+import { log } from './logger';
+
+const SHARED_ROOTS = ['Drivers', 'Middlewares'];
+
+export type DriverChangeKind = 'changed' | 'added' | 'removed';
+
+export interface DriverFileChange {
+    // Forward-slash path below the drivers root, e.g. Drivers/STM32U5xx_HAL_Driver/Src/stm32u5xx_hal.c
+    relativePath: string;
+    kind: DriverChangeKind;
+    // The project's copy differs from the package it was imported from
+    locallyModified: boolean;
+    projectFile: string;
+    packageFile: string;
+}
+
+export interface DriverUpgradePlan {
+    projectDir: string;
+    // Folder holding Drivers and Middlewares, the project or the parent of a batch import
+    driversRoot: string;
+    // Other projects of a batch import that use the same Drivers and Middlewares; they are upgraded together
+    sharedWith: string[];
+    manifest: ImportManifest;
+    targetPackagePath: string;
+    changes: DriverFileChange[];
+    unchangedFiles: number;
+}
+
+/**
+ * Compares the Drivers and Middlewares copied into an imported project with another
+ * version of the package and updates them in place. Only files the project already has
+ * are compared; new files are only offered for folders that were copied completely.
+ */
+export class DriverUpgrader {
+    constructor(private readonly projectDir: string) {}
+
+    async plan(targetPackagePath: string, options: OperationOptions = {}): Promise<DriverUpgradePlan> {
+        const manifest = await readManifest(this.projectDir);
+        if (!manifest) {
+            throw new Error(`${this.projectDir} was not imported from a package (no import manifest)`);
+        }
+        const driversRoot = path.resolve(this.projectDir, manifest.driversRoot || '.');
+        const sourcePackagePath = await fs.pathExists(manifest.packagePath) ? manifest.packagePath : undefined;
+
+        const changes: DriverFileChange[] = [];
+        let unchangedFiles = 0;
+        const folders = new Map<string, Set<string>>();
+
+        for (const root of SHARED_ROOTS) {
+            for (const projectFile of await listFiles(path.join(driversRoot, root))) {
+                throwIfCancelled(options.token);
+                const relativePath = toRelative(driversRoot, projectFile);
+                const packageFile = path.join(targetPackagePath, relativePath);
+                const folder = path.dirname(relativePath);
+                folders.set(folder, (folders.get(folder) || new Set()).add(path.basename(relativePath)));
+
+                const locallyModified = sourcePackagePath
+                    ? !await sameContent(projectFile, path.join(sourcePackagePath, relativePath))
+                    : false;
+                if (!await fs.pathExists(packageFile)) {
+                    changes.push({ relativePath, kind: 'removed', locallyModified, projectFile, packageFile });
+                } else if (!await sameContent(projectFile, packageFile)) {
+                    changes.push({ relativePath, kind: 'changed', locallyModified, projectFile, packageFile });
+                } else {
+                    unchangedFiles++;
+                }
+            }
+        }
+
+        // A folder counts as copied completely when it holds every file of the source package folder
+        if (sourcePackagePath) {
+            for (const [folder, names] of folders) {
+                const sourceNames = await listFileNames(path.join(sourcePackagePath, folder));
+                if (sourceNames.length === 0 || !sourceNames.every(name => names.has(name))) {
+                    continue;
+                }
+                for (const name of await listFileNames(path.join(targetPackagePath, folder))) {
+                    if (!names.has(name)) {
+                        const relativePath = `${folder}/${name}`;
+                        changes.push({
+                            relativePath,
+                            kind: 'added',
+                            locallyModified: false,
+                            projectFile: path.join(driversRoot, relativePath),
+                            packageFile: path.join(targetPackagePath, relativePath)
+                        });
+                    }
+                }
+            }
+        }
+
+        changes.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+        const sharedWith = await findProjectsSharing(driversRoot, this.projectDir);
+        return { projectDir: this.projectDir, driversRoot, sharedWith, manifest, targetPackagePath, changes, unchangedFiles };
+    }
+
+    /**
+     * Applies the selected changes; removed files are deleted from the project. Only when every
+     * change of the plan was applied is the new package stamped into the manifest, and into the
+     * manifests of the projects sharing the drivers. Otherwise they keep the previous package and
+     * only record the files that were written. Returns whether the manifests were restamped.
+     */
+    async apply(plan: DriverUpgradePlan, changes: DriverFileChange[], packageInfo: PackageInfo, options: OperationOptions = {}): Promise<boolean> {
+        let failure: unknown;
+        try {
+            const copier = new FileCopier(options);
+            for (const change of changes.filter(c => c.kind !== 'removed')) {
+                await copier.add(change.packageFile, change.projectFile, change.relativePath.startsWith('Middlewares/') ? 'Middlewares' : 'Drivers');
+            }
+            await copier.run();
+
+            for (const change of changes.filter(c => c.kind === 'removed')) {
+                throwIfCancelled(options.token);
+                await fs.remove(change.projectFile);
+            }
+        } catch (error) {
+            failure = error;
+        }
+
+        // A cancelled or failed upgrade stops part way; only the files it got to are recorded
+        const applied: DriverFileChange[] = [];
+        for (const change of changes) {
+            if (change.kind === 'removed' ? !await fs.pathExists(change.projectFile) : await sameContent(change.projectFile, change.packageFile)) {
+                applied.push(change);
+            }
+        }
+        const complete = !failure && applied.length === plan.changes.length;
+
+        for (const projectDir of [this.projectDir, ...plan.sharedWith]) {
+            const manifest = projectDir === this.projectDir ? plan.manifest : await readManifest(projectDir);
+            if (!manifest) {
+                continue;
+            }
+            const files = await recordChanges(projectDir, manifest.files, applied);
+            if (complete) {
+                await restampManifest(projectDir, { ...manifest, files }, plan.targetPackagePath, packageInfo);
+            } else {
+                const { version, importedAt, ...rest } = manifest;
+                await writeManifest(projectDir, { ...rest, files });
+            }
+        }
+        if (failure) {
+            throw failure;
+        }
+
+        log.info(`Upgraded ${applied.length} of ${plan.changes.length} driver file(s) of ${[this.projectDir, ...plan.sharedWith].join(', ')} to ${plan.targetPackagePath}`
+            + (complete ? '' : `, keeping ${plan.manifest.packagePath} in the manifest`));
+        return complete;
+    }
+}
+
+// Manifest file entries after the applied changes; shared drivers below no project are not listed
+async function recordChanges(projectDir: string, previous: { [relativePath: string]: string }, applied: DriverFileChange[]): Promise<{ [relativePath: string]: string }> {
+    const files = { ...previous };
+    for (const change of applied) {
+        const relative = toRelative(projectDir, change.projectFile);
+        if (relative.startsWith('..')) {
+            continue;
+        }
+        if (change.kind === 'removed') {
+            delete files[relative];
+        } else {
+            files[relative] = await hashFile(change.projectFile);
+        }
+    }
+    return files;
+}
+
+async function restampManifest(projectDir: string, previous: ImportManifest, targetPackagePath: string, packageInfo: PackageInfo): Promise<void> {
+    const { version, importedAt, ...manifest } = previous;
+    const projectPath = manifest.projectRelativePath ? path.join(targetPackagePath, manifest.projectRelativePath) : manifest.projectPath;
+    await writeManifest(projectDir, {
+        ...manifest,
+        packagePath: targetPackagePath,
+        packageName: packageInfo.name,
+        packageVersion: packageInfo.version,
+        projectPath
+    });
+}
+
+// Imported projects other than projectDir whose manifest points at the same drivers root
+async function findProjectsSharing(driversRoot: string, projectDir: string): Promise<string[]> {
+    if (path.resolve(driversRoot) === path.resolve(projectDir)) {
+        return [];
+    }
+    const projects: string[] = [];
+    for (const candidate of await findImportedProjects([driversRoot])) {
+        const manifest = await readManifest(candidate);
+        if (path.resolve(candidate) !== path.resolve(projectDir) && manifest
+            && path.resolve(candidate, manifest.driversRoot || '.') === path.resolve(driversRoot)) {
+            projects.push(candidate);
+        }
+    }
+    return projects;
+}
+
+async function sameContent(a: string, b: string): Promise<boolean> {
+    try {
+        const [statA, statB] = await Promise.all([fs.stat(a), fs.stat(b)]);
+        return statA.size === statB.size && await hashFile(a) === await hashFile(b);
+    } catch (error) {
+        return false;
+    }
+}
+
+async function listFiles(dir: string): Promise<string[]> {
+    const files: string[] = [];
+    let entries: fs.Dirent[];
+    try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+        return files;
+    }
+    for (const entry of entries) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...await listFiles(full));
+        } else {
+            files.push(full);
+        }
+    }
+    return files;
+}
+
+async function listFileNames(dir: string): Promise<string[]> {
+    try {
+        const entries = await fs.readdir(dir, { withFileTypes: true });
+        return entries.filter(e => e.isFile()).map(e => e.name);
+    } catch (error) {
+        return [];
+    }
+}
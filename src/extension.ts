@@ -1,30 +1,212 @@
 import * as vscode from 'vscode';
 import { PackageImportPanel } from './packageImportPanel';
-import { PackageExplorerProvider } from './packageExplorerProvider';
+import { PackageExplorerProvider, PackageItem } from './packageExplorerProvider';
+import { ProjectConfigurationProvider } from './projectConfigurationProvider';
+import { PackageManager } from './packageManager';
+import { PackageRegistry } from './packageRegistry';
+import { PackageIndex } from './packageIndex';
+import { PackageIndexWatcher } from './packageIndexWatcher';
+import { selectPackage } from './packageSource';
+import { upgradeDrivers } from './upgradeDriversCommand';
+import { newProject } from './newProjectCommand';
+import { ImportPreferences } from './importPreferences';
+import { showPackageHealthReport } from './packageHealthCommand';
+import { LogLevel, log } from './logger';
+
+// Output channel levels, in the order of vscode.LogLevel
+const LOG_LEVELS: LogLevel[] = ['off', 'trace', 'debug', 'info', 'warn', 'error'];
 
 export function activate(context: vscode.ExtensionContext) {
-    console.log('STM32 Package Manager extension is now active!');
+    // Diagnostics go to the "STM32 Package Manager" output channel; "Developer: Set Log Level..." changes its level
+    const outputChannel = vscode.window.createOutputChannel('STM32 Package Manager', { log: true });
+    log.setSink((level, message) => outputChannel[level](message));
+    log.setLevel(LOG_LEVELS[outputChannel.logLevel]);
+    context.subscriptions.push(outputChannel, outputChannel.onDidChangeLogLevel(level => log.setLevel(LOG_LEVELS[level])));
+    log.info('STM32 Package Manager extension is now active!');
+
+    // Boards and projects are cached per package in the extension's global storage
+    const packageManager = new PackageManager(new PackageIndex(context.globalStorageUri.fsPath));
+    const packageRegistry = new PackageRegistry(context.globalState);
+    const indexWatcher = new PackageIndexWatcher(packageManager, packageRegistry);
+    const importPreferences = new ImportPreferences(context.globalState);
+    context.subscriptions.push(packageRegistry, indexWatcher);
 
     // Register the package explorer provider
-    const packageExplorerProvider = new PackageExplorerProvider(context);
+    const packageExplorerProvider = new PackageExplorerProvider(context, packageRegistry, packageManager);
     vscode.window.registerTreeDataProvider('stm32PackageExplorer', packageExplorerProvider);
+    context.subscriptions.push(indexWatcher.onDidInvalidate(() => packageExplorerProvider.refresh()));
+
+    // STM32CubeMX configuration of the imported projects in the workspace
+    const projectConfigurationProvider = new ProjectConfigurationProvider(context, packageManager);
+    vscode.window.registerTreeDataProvider('stm32ProjectConfiguration', projectConfigurationProvider);
+
+    // Reopens the import panel after a window reload
+    context.subscriptions.push(vscode.window.registerWebviewPanelSerializer(PackageImportPanel.viewType, {
+        async deserializeWebviewPanel(panel: vscode.WebviewPanel) {
+            PackageImportPanel.revive(panel, context.extensionUri, packageRegistry, packageManager, importPreferences);
+        }
+    }));
 
     // Register commands
     const importPackageCommand = vscode.commands.registerCommand(
         'stm32PackageManager.importPackage',
         () => {
-            PackageImportPanel.createOrShow(context.extensionUri);
+            PackageImportPanel.createOrShow(context.extensionUri, packageRegistry, packageManager, importPreferences);
         }
     );
 
     const openPackageManagerCommand = vscode.commands.registerCommand(
         'stm32PackageManager.openPackageManager',
         () => {
-            PackageImportPanel.createOrShow(context.extensionUri);
+            PackageImportPanel.createOrShow(context.extensionUri, packageRegistry, packageManager, importPreferences);
+        }
+    );
+
+    const addPackageCommand = vscode.commands.registerCommand(
+        'stm32PackageManager.addPackage',
+        async () => {
+            try {
+                const packageInfo = await selectPackage(packageManager, packageRegistry);
+                if (packageInfo) {
+                    vscode.window.showInformationMessage(`Registered package ${packageInfo.name} (${packageInfo.version})`);
+                }
+            } catch (error) {
+                vscode.window.showErrorMessage(`Failed to add package: ${error}`);
+            }
         }
     );
 
-    context.subscriptions.push(importPackageCommand, openPackageManagerCommand);
+    const removePackageCommand = vscode.commands.registerCommand(
+        'stm32PackageManager.removePackage',
+        async (item?: PackageItem) => {
+            const packageInfo = item?.data.packageInfo;
+            if (!packageInfo) {
+                return;
+            }
+            const answer = await vscode.window.showWarningMessage(
+                `Remove ${packageInfo.name} (${packageInfo.version}) from the package list? Files on disk are not deleted.`,
+                { modal: true },
+                'Remove'
+            );
+            if (answer === 'Remove') {
+                await packageRegistry.remove(packageInfo.path);
+            }
+        }
+    );
+
+    const rescanPackageCommand = vscode.commands.registerCommand(
+        'stm32PackageManager.rescanPackage',
+        async (item?: PackageItem) => {
+            const packageInfo = item?.data.packageInfo;
+            if (!packageInfo) {
+                packageExplorerProvider.refresh();
+                return;
+            }
+            try {
+                await packageManager.invalidate(packageInfo.path);
+                const updated = await packageManager.analyzePackage(packageInfo.path);
+                await packageRegistry.add(updated);
+            } catch (error) {
+                vscode.window.showErrorMessage(`Failed to rescan package: ${error}`);
+            }
+        }
+    );
+
+    const scanForPackagesCommand = vscode.commands.registerCommand(
+        'stm32PackageManager.scanForPackages',
+        async () => {
+            const config = vscode.workspace.getConfiguration('stm32PackageManager');
+            const searchRoots = [
+                ...PackageManager.getDefaultSearchRoots(),
+                ...config.get<string[]>('searchPaths', [])
+            ];
+            const searchDepth = config.get<number>('searchDepth', 3);
+
+            const discovered = await vscode.window.withProgress(
+                {
+                    location: vscode.ProgressLocation.Notification,
+                    title: 'Scanning for STM32Cube packages...',
+                    cancellable: true
+                },
+                (progress, token) => packageManager.discoverPackages(searchRoots, searchDepth, {
+                    onProgress: p => progress.report({ message: p.message }),
+                    token
+                })
+            );
+
+            const unregistered = discovered.filter(p => !packageRegistry.has(p.path));
+            if (unregistered.length === 0) {
+                vscode.window.showInformationMessage(
+                    discovered.length > 0
+                        ? `All ${discovered.length} discovered packages are already registered.`
+                        : `No STM32Cube packages found in: ${searchRoots.join(', ')}`
+                );
+                return;
+            }
+
+            const picks = await vscode.window.showQuickPick(
+                unregistered.map(packageInfo => ({
+                    label: packageInfo.name,
+                    description: packageInfo.version,
+                    detail: packageInfo.path,
+                    picked: true,
+                    packageInfo
+                })),
+                {
+                    canPickMany: true,
+                    placeHolder: 'Select the packages to register'
+                }
+            );
+            if (!picks) {
+                return;
+            }
+            for (const pick of picks) {
+                await packageRegistry.add(pick.packageInfo);
+            }
+            if (picks.length > 0) {
+                vscode.window.showInformationMessage(`Registered ${picks.length} package(s)`);
+            }
+        }
+    );
+
+    const upgradeDriversCommand = vscode.commands.registerCommand(
+        'stm32PackageManager.upgradeDrivers',
+        (uri?: vscode.Uri) => upgradeDrivers(packageManager, packageRegistry, uri)
+    );
+
+    const newProjectCommand = vscode.commands.registerCommand(
+        'stm32PackageManager.newProject',
+        () => newProject(packageManager, packageRegistry)
+    );
+
+    const refreshProjectConfigurationCommand = vscode.commands.registerCommand(
+        'stm32PackageManager.refreshProjectConfiguration',
+        () => projectConfigurationProvider.refresh()
+    );
+
+    const packageHealthReportCommand = vscode.commands.registerCommand(
+        'stm32PackageManager.packageHealthReport',
+        (target?: PackageItem | string) => showPackageHealthReport(packageManager, packageRegistry, target)
+    );
+
+    const showLogCommand = vscode.commands.registerCommand(
+        'stm32PackageManager.showLog',
+        () => outputChannel.show()
+    );
+
+    context.subscriptions.push(
+        importPackageCommand,
+        openPackageManagerCommand,
+        addPackageCommand,
+        removePackageCommand,
+        rescanPackageCommand,
+        scanForPackagesCommand,
+        upgradeDriversCommand,
+        newProjectCommand,
+        refreshProjectConfigurationCommand,
+        packageHealthReportCommand,
+        showLogCommand
+    );
 }
 
-export function deactivate() {} 
\ No newline at end of file
+export function deactivate() {}
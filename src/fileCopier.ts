@@ -0,0 +1,153 @@
+import * as fs from 'fs-extra';
+import * as path from 'path';
+
+// Import phases in the order they run; base and extract are used when installing package archives
+export type OperationPhase = 'scan' | 'project' | 'Drivers' | 'Middlewares' | 'config' | 'base' | 'extract';
+
+export interface OperationProgress {
+    phase: OperationPhase;
+    message: string;
+    filesDone: number;
+    filesTotal: number;
+    bytesDone: number;
+    bytesTotal: number;
+    // Position of the project in a batch import, counted from 0
+    item?: number;
+    itemCount?: number;
+}
+
+export type ProgressListener = (progress: OperationProgress) => void;
+
+// Structurally compatible with vscode.CancellationToken
+export interface CancellationToken {
+    readonly isCancellationRequested: boolean;
+}
+
+export interface OperationOptions {
+    onProgress?: ProgressListener;
+    token?: CancellationToken;
+}
+
+export class OperationCancelledError extends Error {
+    constructor(message = 'Operation cancelled') {
+        super(message);
+        this.name = 'OperationCancelledError';
+    }
+}
+
+export function throwIfCancelled(token?: CancellationToken): void {
+    if (token && token.isCancellationRequested) {
+        throw new OperationCancelledError();
+    }
+}
+
+interface CopyJob {
+    source: string;
+    destination: string;
+    size: number;
+    phase: OperationPhase;
+}
+
+// Per-file progress is throttled so huge trees do not flood the UI
+const REPORT_INTERVAL_MS = 100;
+
+/**
+ * Copies files and folders one file at a time so that progress can be reported and a
+ * cancellation request stops the copy between two files. Folders are walked when they
+ * are added, which makes the totals known before the first byte is copied.
+ */
+export class FileCopier {
+    private _jobs: CopyJob[] = [];
+    private _lastReport = 0;
+
+    constructor(private readonly options: OperationOptions = {}) {}
+
+    get totalFiles(): number {
+        return this._jobs.length;
+    }
+
+    get totalBytes(): number {
+        return this._jobs.reduce((sum, job) => sum + job.size, 0);
+    }
+
+    get destinations(): string[] {
+        return this._jobs.map(job => job.destination);
+    }
+
+    get files(): { source: string; destination: string }[] {
+        return this._jobs.map(job => ({ source: job.source, destination: job.destination }));
+    }
+
+    // Drops queued files by destination, e.g. files the user changed since the last import
+    exclude(destinations: Set<string>): void {
+        this._jobs = this._jobs.filter(job => !destinations.has(job.destination));
+    }
+
+    async add(source: string, destination: string, phase: OperationPhase, filter?: (src: string) => boolean): Promise<void> {
+        throwIfCancelled(this.options.token);
+        if (filter && !filter(source)) {
+            return;
+        }
+
+        const stat = await fs.stat(source);
+        if (!stat.isDirectory()) {
+            this._jobs.push({ source, destination, size: stat.size, phase });
+            this.report('scan', `Scanning: ${this._jobs.length} files`, 0, 0);
+            return;
+        }
+
+        const entries = await fs.readdir(source, { withFileTypes: true });
+        for (const entry of entries) {
+            await this.add(path.join(source, entry.name), path.join(destination, entry.name), phase, filter);
+        }
+    }
+
+    async run(): Promise<void> {
+        const filesTotal = this.totalFiles;
+        const bytesTotal = this.totalBytes;
+        let filesDone = 0;
+        let bytesDone = 0;
+        let phase: OperationPhase | undefined;
+
+        for (const job of this._jobs) {
+            throwIfCancelled(this.options.token);
+            if (job.phase !== phase) {
+                phase = job.phase;
+                this._lastReport = 0;
+            }
+
+            await fs.ensureDir(path.dirname(job.destination));
+            await fs.copyFile(job.source, job.destination);
+            filesDone++;
+            bytesDone += job.size;
+            this.report(job.phase, `Copying ${describePhase(job.phase)}: ${path.basename(job.source)}`, filesDone, bytesDone, filesTotal, bytesTotal);
+        }
+    }
+
+    private report(phase: OperationPhase, message: string, filesDone: number, bytesDone: number, filesTotal = this._jobs.length, bytesTotal = 0): void {
+        const now = Date.now();
+        const finished = filesTotal > 0 && filesDone === filesTotal;
+        if (!this.options.onProgress || (!finished && now - this._lastReport < REPORT_INTERVAL_MS)) {
+            return;
+        }
+        this._lastReport = now;
+        this.options.onProgress({ phase, message, filesDone, filesTotal, bytesDone, bytesTotal });
+    }
+}
+
+export function describePhase(phase: OperationPhase): string {
+    switch (phase) {
+        case 'scan':
+            return 'files';
+        case 'project':
+            return 'project';
+        case 'config':
+            return 'configuration';
+        case 'base':
+            return 'base package';
+        case 'extract':
+            return 'archive';
+        default:
+            return phase;
+    }
+}
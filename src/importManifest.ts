@@ -0,0 +1,127 @@
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import * as crypto from 'crypto';
+
+// Written to the root of every imported project
+export const MANIFEST_FILE = '.stm32-import.json';
+
+const MANIFEST_VERSION = 1;
+
+export interface ImportManifest {
+    version: number;
+    packagePath: string;
+    packageName?: string;
+    packageVersion?: string;
+    boardId: string;
+    // Example folder inside the package, absolute and relative to the package root
+    projectPath: string;
+    projectRelativePath?: string;
+    // Folder holding the copied Drivers and Middlewares relative to the project, '..' for batch imports
+    driversRoot?: string;
+    toolchain?: string;
+    importedAt: string;
+    // Project-relative forward-slash path -> sha1 of the content written by the import
+    files: { [relativePath: string]: string };
+}
+
+export type ImportConflictMode = 'merge' | 'replace';
+
+export interface ImportTargetStatus {
+    targetPath: string;
+    exists: boolean;
+    manifest?: ImportManifest;
+    // Files that differ from the manifest or were not written by an import
+    modifiedFiles: string[];
+}
+
+export async function readManifest(projectDir: string): Promise<ImportManifest | undefined> {
+    try {
+        const manifest = await fs.readJson(path.join(projectDir, MANIFEST_FILE));
+        return manifest && manifest.version === MANIFEST_VERSION && manifest.files ? manifest as ImportManifest : undefined;
+    } catch (error) {
+        return undefined;
+    }
+}
+
+export async function writeManifest(projectDir: string, manifest: Omit<ImportManifest, 'version' | 'importedAt'>): Promise<void> {
+    const content: ImportManifest = { version: MANIFEST_VERSION, importedAt: new Date().toISOString(), ...manifest };
+    await fs.writeFile(path.join(projectDir, MANIFEST_FILE), JSON.stringify(content, null, 4) + '\n', 'utf8');
+}
+
+// Imported projects among the given folders and their direct subfolders
+export async function findImportedProjects(roots: string[]): Promise<string[]> {
+    const projects: string[] = [];
+    for (const root of roots) {
+        if (await fs.pathExists(path.join(root, MANIFEST_FILE))) {
+            projects.push(root);
+            continue;
+        }
+        const entries = await fs.readdir(root, { withFileTypes: true }).catch(() => [] as fs.Dirent[]);
+        for (const entry of entries) {
+            if (entry.isDirectory() && await fs.pathExists(path.join(root, entry.name, MANIFEST_FILE))) {
+                projects.push(path.join(root, entry.name));
+            }
+        }
+    }
+    return projects;
+}
+
+export async function hashFile(file: string): Promise<string> {
+    const hash = crypto.createHash('sha1');
+    hash.update(await fs.readFile(file));
+    return hash.digest('hex');
+}
+
+/**
+ * Checks a project folder before importing into it. Without a manifest every existing
+ * file counts as modified, so a merge never overwrites anything it cannot vouch for.
+ */
+export async function checkImportTarget(targetPath: string): Promise<ImportTargetStatus> {
+    if (!await fs.pathExists(targetPath)) {
+        return { targetPath, exists: false, modifiedFiles: [] };
+    }
+
+    const manifest = await readManifest(targetPath);
+    const modifiedFiles: string[] = [];
+    for (const file of await listFiles(targetPath)) {
+        const relative = toRelative(targetPath, file);
+        if (relative === MANIFEST_FILE) {
+            continue;
+        }
+        if (!await isUnmodified(targetPath, relative, manifest)) {
+            modifiedFiles.push(relative);
+        }
+    }
+    return { targetPath, exists: true, manifest, modifiedFiles };
+}
+
+// True when the file is still exactly as a previous import wrote it
+export async function isUnmodified(projectDir: string, relativePath: string, manifest?: ImportManifest): Promise<boolean> {
+    const recorded = manifest ? manifest.files[relativePath] : undefined;
+    if (!recorded) {
+        return false;
+    }
+    try {
+        return await hashFile(path.join(projectDir, relativePath)) === recorded;
+    } catch (error) {
+        return false;
+    }
+}
+
+export function toRelative(projectDir: string, file: string): string {
+    return path.relative(projectDir, file).replace(/\\/g, '/');
+}
+
+async function listFiles(dir: string): Promise<string[]> {
+    const files: string[] = [];
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...await listFiles(full));
+        } else {
+            files.push(full);
+        }
+    }
+    return files;
+}
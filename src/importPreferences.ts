@@ -0,0 +1,35 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+
+const PREFERENCES_KEY = 'stm32PackageManager.importPreferences';
+
+export interface PackageImportPreferences {
+    // Folder the last project of the package was imported into
+    location?: string;
+    toolchain?: string;
+}
+
+/**
+ * Last-used import location and toolchain per package, kept in the extension global
+ * state so that the import panel can prefill them for the next import.
+ */
+export class ImportPreferences {
+    constructor(private readonly state: vscode.Memento) {}
+
+    get(packagePath: string): PackageImportPreferences {
+        const all = this.state.get<{ [key: string]: PackageImportPreferences }>(PREFERENCES_KEY, {});
+        return all[this.normalize(packagePath)] || {};
+    }
+
+    async update(packagePath: string, preferences: PackageImportPreferences): Promise<void> {
+        const all = { ...this.state.get<{ [key: string]: PackageImportPreferences }>(PREFERENCES_KEY, {}) };
+        const key = this.normalize(packagePath);
+        all[key] = { ...all[key], ...preferences };
+        await this.state.update(PREFERENCES_KEY, all);
+    }
+
+    private normalize(packagePath: string): string {
+        const resolved = path.resolve(packagePath);
+        return process.platform === 'win32' ? resolved.toLowerCase() : resolved;
+    }
+}
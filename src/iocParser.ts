@@ -0,0 +1,181 @@
+import * as fs from 'fs-extra';
+
+export interface IocPin {
+    // Pin name as STM32CubeMX writes it, e.g. PA5 or PC14-OSC32_IN (PC14)
+    name: string;
+    // Assigned signal, e.g. GPIO_Output or USART2_TX
+    signal?: string;
+    // User label (GPIO_Label), e.g. LED_GREEN
+    label?: string;
+    mode?: string;
+}
+
+export interface IocClock {
+    // Clock name without the Freq_Value suffix, e.g. SYSCLK, HCLK, APB1
+    name: string;
+    hz: number;
+}
+
+export interface IocConfiguration {
+    file?: string;
+    // Mcu.UserName (STM32U575ZITxQ), or Mcu.Name which may hold a range like STM32U575Z(G-I)TxQ
+    mcu?: string;
+    family?: string;
+    package?: string;
+    projectName?: string;
+    toolchain?: string;
+    firmwarePackage?: string;
+    cubeMxVersion?: string;
+    // RCC.SYSCLKSource, e.g. RCC_SYSCLKSOURCE_PLLCLK
+    sysclkSource?: string;
+    clocks: IocClock[];
+    // Hardware IPs (Mcu.IPn) other than middleware, e.g. GPIO, USART2, NVIC
+    peripherals: string[];
+    // Middleware IPs and third-party packs, e.g. FREERTOS, FATFS, X-CUBE-AI
+    middleware: string[];
+    // Physical pins with a signal or mode assigned; virtual pins (VP_*) are left out
+    pins: IocPin[];
+}
+
+// IP names STM32CubeMX uses for middleware components rather than hardware peripherals
+const MIDDLEWARE_IPS = [
+    'FREERTOS', 'FATFS', 'LWIP', 'MBEDTLS', 'LIBJPEG', 'PDM2PCM', 'TOUCHSENSING', 'GRAPHICS',
+    'USB_DEVICE', 'USB_HOST', 'STM32_WPAN', 'OPENAMP', 'RESMGR_UTILITY', 'THREADX', 'FILEX',
+    'LEVELX', 'NETXDUO', 'USBX', 'TRACER_EMB', 'GUI_INTERFACE', 'USBPD', 'KMS', 'SBSFU', 'CORTEX_M33_NS'
+];
+
+// Bus clocks listed first, the remaining peripheral clocks follow alphabetically
+const CLOCK_ORDER = ['SYSCLK', 'HCLK', 'AHB', 'APB1', 'APB2', 'APB3', 'APB4', 'APB5'];
+
+// key=value lines of a STM32CubeMX .ioc file (Java properties; ':', '#', '=' and spaces may be escaped)
+export function parseIocKeys(content: string): { [key: string]: string } {
+    const values: { [key: string]: string } = {};
+    for (const line of content.split(/\r?\n/)) {
+        if (line.startsWith('#')) {
+            continue;
+        }
+        const index = findSeparator(line);
+        if (index > 0) {
+            values[unescape(line.substring(0, index).trim())] = unescape(line.substring(index + 1).trim());
+        }
+    }
+    return values;
+}
+
+export function parseIoc(content: string): IocConfiguration {
+    const values = parseIocKeys(content);
+
+    const ips = indexedValues(values, 'Mcu.IP');
+    const middleware = ips.filter(isMiddleware);
+    // Third-party packs look like STMicroelectronics.X-CUBE-AI.7.1.0
+    for (const pack of indexedValues(values, 'Mcu.ThirdParty')) {
+        const parts = pack.split('.');
+        middleware.push(parts.length >= 2 ? parts[1] : pack);
+    }
+
+    const pins: IocPin[] = [];
+    for (const pin of indexedValues(values, 'Mcu.Pin')) {
+        if (pin.startsWith('VP_')) {
+            continue;
+        }
+        const entry: IocPin = {
+            name: pin,
+            signal: values[`${pin}.Signal`],
+            label: values[`${pin}.GPIO_Label`],
+            mode: values[`${pin}.Mode`]
+        };
+        if (entry.signal || entry.mode || entry.label) {
+            pins.push(entry);
+        }
+    }
+
+    return {
+        mcu: values['Mcu.UserName'] || values['Mcu.Name'],
+        family: values['Mcu.Family'],
+        package: values['Mcu.Package'],
+        projectName: values['ProjectManager.ProjectName'],
+        toolchain: values['ProjectManager.TargetToolchain'],
+        firmwarePackage: values['ProjectManager.FirmwarePackage'],
+        cubeMxVersion: values['MxCube.Version'],
+        sysclkSource: values['RCC.SYSCLKSource'],
+        clocks: parseClocks(values),
+        peripherals: ips.filter(ip => !isMiddleware(ip)).sort(),
+        middleware: Array.from(new Set(middleware)).sort(),
+        pins: pins.sort((a, b) => comparePins(a.name, b.name))
+    };
+}
+
+export async function readIoc(file: string): Promise<IocConfiguration> {
+    const configuration = parseIoc(await fs.readFile(file, 'utf8'));
+    configuration.file = file;
+    return configuration;
+}
+
+/** Short text for a frequency in Hz, e.g. 160 MHz or 32.768 kHz. */
+export function formatFrequency(hz: number): string {
+    if (hz >= 1e6) {
+        return `${+(hz / 1e6).toFixed(3)} MHz`;
+    }
+    if (hz >= 1e3) {
+        return `${+(hz / 1e3).toFixed(3)} kHz`;
+    }
+    return `${hz} Hz`;
+}
+
+function parseClocks(values: { [key: string]: string }): IocClock[] {
+    const clocks: IocClock[] = [];
+    for (const key of Object.keys(values)) {
+        const match = /^RCC\.(\w+?)Freq_Value$/i.exec(key);
+        const hz = match ? Number(values[key]) : NaN;
+        if (match && hz > 0) {
+            clocks.push({ name: match[1], hz });
+        }
+    }
+    const rank = (name: string) => {
+        const index = CLOCK_ORDER.indexOf(name.toUpperCase());
+        return index < 0 ? CLOCK_ORDER.length : index;
+    };
+    return clocks.sort((a, b) => rank(a.name) - rank(b.name) || a.name.localeCompare(b.name));
+}
+
+function isMiddleware(ip: string): boolean {
+    const upper = ip.toUpperCase();
+    return MIDDLEWARE_IPS.includes(upper) || upper.startsWith('X-CUBE');
+}
+
+// Values of Mcu.IP0, Mcu.IP1... in index order
+function indexedValues(values: { [key: string]: string }, prefix: string): string[] {
+    const pattern = new RegExp(`^${prefix.replace(/\./g, '\\.')}(\\d+)$`);
+    return Object.keys(values)
+        .map(key => ({ key, match: pattern.exec(key) }))
+        .filter(e => e.match)
+        .sort((a, b) => Number(a.match![1]) - Number(b.match![1]))
+        .map(e => values[e.key]);
+}
+
+// PA2 before PA10, ports in alphabetical order
+function comparePins(a: string, b: string): number {
+    const parse = (pin: string) => /^P([A-Z])(\d+)/.exec(pin);
+    const pa = parse(a);
+    const pb = parse(b);
+    if (pa && pb) {
+        return pa[1].localeCompare(pb[1]) || Number(pa[2]) - Number(pb[2]);
+    }
+    return pa ? -1 : pb ? 1 : a.localeCompare(b);
+}
+
+// First '=' not escaped with a backslash
+function findSeparator(line: string): number {
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '\\') {
+            i++;
+        } else if (line[i] === '=') {
+            return i;
+        }
+    }
+    return -1;
+}
+
+function unescape(text: string): string {
+    return text.replace(/\\([:#= \\])/g, '$1');
+}
@@ -0,0 +1,85 @@
+import * as util from 'util';
+import { PackageError } from './packageErrors';
+
+export type LogLevel = 'trace' | 'debug' | 'info' | 'warn' | 'error' | 'off';
+
+const LEVELS: LogLevel[] = ['trace', 'debug', 'info', 'warn', 'error', 'off'];
+
+// Receives messages at or above the logger's level
+export type LogSink = (level: Exclude<LogLevel, 'off'>, message: string) => void;
+
+// Without an output channel (CLI, scripts) messages go to the console
+const consoleSink: LogSink = (level, message) => {
+    if (level === 'error') {
+        console.error(message);
+    } else if (level === 'warn') {
+        console.warn(message);
+    } else {
+        console.log(message);
+    }
+};
+
+/**
+ * Diagnostics of the package manager core. The extension sends them to the "STM32
+ * Package Manager" output channel, the CLI to stderr with --verbose; the core itself
+ * does not depend on VS Code.
+ */
+export class Logger {
+    private _sink: LogSink = consoleSink;
+    private _level: LogLevel = 'info';
+
+    get level(): LogLevel {
+        return this._level;
+    }
+
+    setLevel(level: LogLevel): void {
+        this._level = level;
+    }
+
+    setSink(sink: LogSink): void {
+        this._sink = sink;
+    }
+
+    isEnabled(level: Exclude<LogLevel, 'off'>): boolean {
+        return LEVELS.indexOf(level) >= LEVELS.indexOf(this._level);
+    }
+
+    trace(message: string, ...values: unknown[]): void {
+        this.write('trace', message, values);
+    }
+
+    debug(message: string, ...values: unknown[]): void {
+        this.write('debug', message, values);
+    }
+
+    info(message: string, ...values: unknown[]): void {
+        this.write('info', message, values);
+    }
+
+    warn(message: string, ...values: unknown[]): void {
+        this.write('warn', message, values);
+    }
+
+    error(message: string, ...values: unknown[]): void {
+        this.write('error', message, values);
+    }
+
+    private write(level: Exclude<LogLevel, 'off'>, message: string, values: unknown[]): void {
+        if (this.isEnabled(level)) {
+            this._sink(level, util.format(message, ...values.map(formatValue)));
+        }
+    }
+}
+
+// Package errors describe the problem well enough; the stack is kept for unexpected errors
+function formatValue(value: unknown): unknown {
+    if (value instanceof PackageError) {
+        return `${value.name}: ${value.message}`;
+    }
+    if (value instanceof Error) {
+        return value.stack || value.message;
+    }
+    return value;
+}
+
+export const log = new Logger();
@@ -0,0 +1,278 @@
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import { PackageDescriptor, PdscDevice } from './pdscParser';
+import { getDeviceDefine, getFamilyInfo } from './stm32Families';
+import { parseIocKeys } from './iocParser';
+import { log } from './logger';
+
+export interface DeviceRecord {
+    // Full part number when known (STM32U575ZITxQ), otherwise the device line (STM32U575)
+    partNumber: string;
+    family?: string;
+    // e.g. Cortex-M33
+    core?: string;
+    fpu?: string;
+    maxClockHz?: number;
+    flashSize?: number;
+    ramSize?: number;
+    package?: string;
+    pinCount?: number;
+    // Absolute path of the SVD file inside the package
+    svdFile?: string;
+    // Peripheral instances declared by the CMSIS device header, e.g. ADC1, USART2
+    peripherals?: string[];
+    // Where the fields came from: ioc, pdsc, header, part-number
+    sources: string[];
+}
+
+// Flash size code, the character after the pin count in an STM32 part number
+const FLASH_CODES: { [code: string]: number } = {
+    '4': 16, '6': 32, '8': 64, 'B': 128, 'Z': 192, 'C': 256, 'D': 384, 'E': 512,
+    'F': 768, 'G': 1024, 'H': 1536, 'I': 2048, 'J': 4096
+};
+
+const PIN_CODES: { [code: string]: number } = {
+    'J': 8, 'D': 14, 'Y': 16, 'F': 20, 'E': 25, 'G': 28, 'K': 32, 'T': 36, 'H': 40, 'S': 44,
+    'C': 48, 'U': 63, 'R': 64, 'O': 90, 'M': 81, 'V': 100, 'Q': 132, 'Z': 144, 'A': 169,
+    'I': 176, 'B': 208, 'N': 216, 'X': 256, 'L': 225
+};
+
+const PACKAGE_CODES: { [code: string]: string } = {
+    'T': 'LQFP', 'H': 'BGA', 'I': 'UFBGA', 'K': 'UFBGA', 'U': 'UFQFPN', 'Y': 'WLCSP',
+    'P': 'TSSOP', 'M': 'SO', 'J': 'UFBGA'
+};
+
+/**
+ * Builds a device record for a board from, in order of trust: the package descriptor,
+ * STM32CubeMX .ioc files of the board's projects, the CMSIS device header and finally
+ * the part number itself.
+ */
+export class McuResolver {
+    constructor(private readonly packagePath: string, private readonly descriptor?: PackageDescriptor | null) {}
+
+    // Uses the first .ioc found under dir, falling back to the hinted part number
+    async resolveBoardDevice(dir: string, hint?: string): Promise<DeviceRecord | undefined> {
+        const ioc = await this.readIocDevice(dir);
+        const partNumber = (ioc && ioc.partNumber) || hint;
+        if (!partNumber) {
+            return undefined;
+        }
+
+        const record = await this.resolveDevice(partNumber);
+        if (ioc && ioc.partNumber) {
+            record.family = ioc.family || record.family;
+            record.package = ioc.package || record.package;
+            record.sources.unshift('ioc');
+        }
+        return record;
+    }
+
+    async resolveDevice(partNumber: string): Promise<DeviceRecord> {
+        const record: DeviceRecord = { partNumber: partNumber, sources: [] };
+
+        const pdscDevice = this.findPdscDevice(partNumber);
+        if (pdscDevice) {
+            this.applyPdscDevice(record, pdscDevice);
+        }
+
+        await this.applyDeviceHeader(record);
+        this.applyPartNumber(record);
+
+        // The descriptor's SVD path is not always shipped with the package
+        if (!record.svdFile || !await fs.pathExists(record.svdFile)) {
+            record.svdFile = await findSvdFile(this.packagePath, record.partNumber);
+        }
+
+        return record;
+    }
+
+    // Mcu.UserName holds the exact part; Mcu.Name may contain ranges like STM32U575Z(G-I)TxQ
+    private async readIocDevice(boardDir: string): Promise<{ partNumber?: string; family?: string; package?: string } | undefined> {
+        const iocFile = await findFirstFile(boardDir, /\.ioc$/i, 4);
+        if (!iocFile) {
+            return undefined;
+        }
+        try {
+            const values = parseIocKeys(await fs.readFile(iocFile, 'utf8'));
+            const name = values['Mcu.UserName'] || values['Mcu.Name'];
+            return {
+                partNumber: name && !/[()]/.test(name) ? name : undefined,
+                family: values['Mcu.Family'],
+                package: values['Mcu.Package']
+            };
+        } catch (error) {
+            log.warn(`Could not read the MCU from ${iocFile}:`, error);
+            return undefined;
+        }
+    }
+
+    private findPdscDevice(partNumber: string): PdscDevice | undefined {
+        if (!this.descriptor) {
+            return undefined;
+        }
+        const upper = partNumber.toUpperCase();
+        return this.descriptor.devices.find(d => d.name.toUpperCase() === upper)
+            || this.descriptor.devices.find(d => d.name.toUpperCase().startsWith(upper) || upper.startsWith(d.name.toUpperCase()));
+    }
+
+    private applyPdscDevice(record: DeviceRecord, device: PdscDevice): void {
+        if (device.name.length > record.partNumber.length) {
+            record.partNumber = device.name;
+        }
+        record.family = record.family || device.family;
+        record.core = device.core;
+        record.fpu = device.fpu;
+        record.maxClockHz = device.clock;
+
+        const rom = device.memories.filter(m => /rom|flash/i.test(m.name) || m.access === 'rx');
+        const ram = device.memories.filter(m => /ram/i.test(m.name) || /w/.test(m.access || ''));
+        if (rom.length > 0) {
+            record.flashSize = rom.reduce((sum, m) => sum + m.size, 0);
+        }
+        if (ram.length > 0) {
+            record.ramSize = ram.reduce((sum, m) => sum + m.size, 0);
+        }
+        if (device.svd) {
+            record.svdFile = path.join(this.packagePath, device.svd);
+        }
+        record.sources.push('pdsc');
+    }
+
+    // Drivers/CMSIS/Device/ST/STM32U5xx/Include/stm32u575xx.h
+    private async applyDeviceHeader(record: DeviceRecord): Promise<void> {
+        const define = getDeviceDefine(record.partNumber);
+        const family = getFamilyInfo(record.partNumber);
+        if (!define || !family) {
+            return;
+        }
+        const header = path.join(this.packagePath, 'Drivers', 'CMSIS', 'Device', 'ST',
+            `${family.family}xx`, 'Include', `${define.toLowerCase()}.h`);
+        if (!await fs.pathExists(header)) {
+            return;
+        }
+
+        const content = await fs.readFile(header, 'utf8');
+        const core = content.match(/#include\s+"core_cm(\d+)(plus)?\.h"/i);
+        if (core && !record.core) {
+            record.core = `Cortex-M${core[1]}${core[2] ? '+' : ''}`;
+        }
+        if (!record.fpu && /#define\s+__FPU_PRESENT\s+1/.test(content)) {
+            record.fpu = 'FPU';
+        }
+        if (!record.flashSize) {
+            const flash = content.match(/#define\s+FLASH_SIZE(?:_DEFAULT)?\s+\(?\s*(0x[0-9a-f]+|\d+)U?L?/i);
+            if (flash) {
+                record.flashSize = Number(flash[1]);
+            }
+        }
+        if (!record.ramSize) {
+            const sizes: number[] = [];
+            const sramRe = /#define\s+SRAM\d?_SIZE(?:_MAX)?\s+\(?\s*(0x[0-9a-f]+|\d+)U?L?/gi;
+            let match: RegExpExecArray | null;
+            while ((match = sramRe.exec(content)) !== null) {
+                sizes.push(Number(match[1]));
+            }
+            if (sizes.length > 0) {
+                record.ramSize = sizes.reduce((sum, size) => sum + size, 0);
+            }
+        }
+
+        // Peripheral instances are declared as ((USART_TypeDef *) USART1_BASE); TrustZone parts add _NS/_S aliases
+        const peripherals = new Set<string>();
+        const peripheralRe = /#define\s+(\w+)\s+\(\(\s*\w+_TypeDef\s*\*\s*\)/g;
+        let peripheral: RegExpExecArray | null;
+        while ((peripheral = peripheralRe.exec(content)) !== null) {
+            peripherals.add(peripheral[1].replace(/_(NS|S)$/, ''));
+        }
+        if (peripherals.size > 0) {
+            record.peripherals = Array.from(peripherals).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+        }
+        record.sources.push('header');
+    }
+
+    // STM32 U575 Z I T x Q: line, pin count, flash size, package, temperature range
+    private applyPartNumber(record: DeviceRecord): void {
+        const family = getFamilyInfo(record.partNumber);
+        if (family) {
+            record.family = record.family || family.family;
+            record.core = record.core || toCoreName(family.core);
+        }
+
+        const match = record.partNumber.toUpperCase().match(/^STM32[A-Z]+\d+([A-Z])([0-9A-Z])([A-Z])/);
+        if (!match) {
+            return;
+        }
+        record.pinCount = record.pinCount || PIN_CODES[match[1]];
+        record.flashSize = record.flashSize || (FLASH_CODES[match[2]] ? FLASH_CODES[match[2]] * 1024 : undefined);
+        record.package = record.package || (PACKAGE_CODES[match[3]] && record.pinCount
+            ? `${PACKAGE_CODES[match[3]]}${record.pinCount}`
+            : undefined);
+        record.sources.push('part-number');
+    }
+}
+
+/**
+ * Finds the SVD file for a part in the package. Names like STM32U575.svd or STM32F40x.svd
+ * are matched against the part number, the longest match wins.
+ */
+export async function findSvdFile(packagePath: string, partNumber: string): Promise<string | undefined> {
+    const candidates = await findFiles(packagePath, /\.svd$/i, 5, ['projects']);
+    const upper = partNumber.toUpperCase();
+    let best: { file: string; length: number } | undefined;
+    for (const file of candidates) {
+        const stem = path.basename(file, path.extname(file)).toUpperCase();
+        const pattern = new RegExp('^' + stem.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/X/g, '.'));
+        if (pattern.test(upper) && (!best || stem.length > best.length)) {
+            best = { file, length: stem.length };
+        }
+    }
+    return best ? best.file : undefined;
+}
+
+function toCoreName(gccCore: string): string {
+    return gccCore.replace(/^cortex-m(\d+)(plus)?$/, (_m, n: string, plus?: string) => `Cortex-M${n}${plus ? '+' : ''}`);
+}
+
+async function findFirstFile(dir: string, pattern: RegExp, maxDepth: number): Promise<string | undefined> {
+    // Breadth-first so the shallowest match is used and the walk stops early
+    let level = [dir];
+    for (let depth = 0; depth <= maxDepth && level.length > 0; depth++) {
+        const next: string[] = [];
+        for (const current of level) {
+            let entries: fs.Dirent[];
+            try {
+                entries = await fs.readdir(current, { withFileTypes: true });
+            } catch (error) {
+                continue;
+            }
+            const match = entries.find(e => !e.isDirectory() && pattern.test(e.name));
+            if (match) {
+                return path.join(current, match.name);
+            }
+            entries.filter(e => e.isDirectory()).forEach(e => next.push(path.join(current, e.name)));
+        }
+        level = next;
+    }
+    return undefined;
+}
+
+export async function findFiles(dir: string, pattern: RegExp, maxDepth: number, skipDirs: string[] = []): Promise<string[]> {
+    const found: string[] = [];
+    let entries: fs.Dirent[];
+    try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+        return found;
+    }
+    for (const entry of entries) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (maxDepth > 0 && !skipDirs.includes(entry.name.toLowerCase())) {
+                found.push(...await findFiles(full, pattern, maxDepth - 1, skipDirs));
+            }
+        } else if (pattern.test(entry.name)) {
+            found.push(full);
+        }
+    }
+    return found;
+}
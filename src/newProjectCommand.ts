@@ -0,0 +1,172 @@
+import * as vscode from 'vscode';
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import { BoardInfo, PackageInfo, PackageManager, ProjectInfo } from './packageManager';
+import { PackageRegistry } from './packageRegistry';
+import { ProjectCreator } from './projectCreator';
+import { OperationCancelledError } from './fileCopier';
+import { selectPackage } from './packageSource';
+import { openImportedProjects } from './packageImportPanel';
+
+const TITLE = 'New STM32 Project';
+
+/**
+ * "STM32: New Project": builds a project from the HAL or LL template of a board instead
+ * of an example. Walks through package, board, template, MCU variant, toolchain, name,
+ * location and middlewares, then creates the project with ProjectCreator.
+ */
+export async function newProject(packageManager: PackageManager, registry: PackageRegistry): Promise<void> {
+    const creator = new ProjectCreator(packageManager);
+    try {
+        const packageInfo = await pickPackage(packageManager, registry);
+        if (!packageInfo) {
+            return;
+        }
+        const board = await pickBoard(packageManager, packageInfo);
+        if (!board) {
+            return;
+        }
+
+        const templates = await creator.getTemplates(packageInfo.path, board.id);
+        if (templates.length === 0) {
+            vscode.window.showWarningMessage(`${board.name} has no Templates folder in ${packageInfo.name}. Import an example from the Package Manager instead.`);
+            return;
+        }
+        const template = await pickOne(
+            templates.map(t => ({ label: describeTemplate(t), description: t.name, detail: t.description || undefined, value: t })),
+            'Template to start from'
+        );
+        if (!template) {
+            return;
+        }
+
+        const variants = await creator.getDeviceVariants(packageInfo.path, template);
+        const partNumber = variants.length > 1
+            ? await pickOne(variants.map((v, i) => ({ label: v, description: i === 0 ? 'template MCU' : undefined, value: v })), 'MCU variant')
+            : variants[0];
+        if (variants.length > 1 && !partNumber) {
+            return;
+        }
+
+        const toolchains = template.toolchain.filter(t => t !== 'Generic');
+        const toolchain = toolchains.length > 1
+            ? await pickOne(toolchains.map(t => ({ label: t, value: t })), 'Toolchain')
+            : toolchains[0];
+        if (toolchains.length > 1 && !toolchain) {
+            return;
+        }
+
+        const location = await pickLocation();
+        if (!location) {
+            return;
+        }
+        const name = await vscode.window.showInputBox({
+            title: TITLE,
+            prompt: `Project name, created in ${location}`,
+            value: `${board.id.replace(/[^A-Za-z0-9]+/g, '_')}_App`,
+            validateInput: async value => {
+                const trimmed = value.trim();
+                if (!trimmed) {
+                    return 'Enter a project name';
+                }
+                if (/[\\/:*?"<>|\s]/.test(trimmed)) {
+                    return 'Use letters, digits, "-" and "_" only';
+                }
+                return await fs.pathExists(path.join(location, trimmed)) ? `${trimmed} already exists` : undefined;
+            }
+        });
+        if (!name) {
+            return;
+        }
+
+        const available = await creator.getMiddlewares(packageInfo.path);
+        let middlewares: string[] = [];
+        if (available.length > 0) {
+            const picks = await vscode.window.showQuickPick(
+                available.map(m => ({ label: m.name, description: m.vendor.replace(/_/g, ' '), value: m.relativePath })),
+                { title: TITLE, placeHolder: 'Middlewares to include (none for a bare project)', canPickMany: true, ignoreFocusOut: true }
+            );
+            if (!picks) {
+                return;
+            }
+            middlewares = picks.map(p => p.value);
+        }
+
+        const targetPath = await vscode.window.withProgress(
+            { location: vscode.ProgressLocation.Notification, title: `Creating ${name.trim()}...`, cancellable: true },
+            (progress, token) => creator.create({
+                packagePath: packageInfo.path,
+                boardId: board.id,
+                template,
+                location,
+                name: name.trim(),
+                toolchain,
+                partNumber,
+                middlewares
+            }, {
+                token,
+                onProgress: p => progress.report({ message: p.message })
+            })
+        );
+        await openImportedProjects(`Created ${path.basename(targetPath)}. Would you like to open it?`, [targetPath], packageInfo.path);
+    } catch (error) {
+        if (error instanceof OperationCancelledError) {
+            vscode.window.showInformationMessage('Project creation cancelled.');
+            return;
+        }
+        vscode.window.showErrorMessage(`Failed to create project: ${error instanceof Error ? error.message : error}`);
+    }
+}
+
+async function pickPackage(packageManager: PackageManager, registry: PackageRegistry): Promise<PackageInfo | undefined> {
+    const packages = registry.getPackages();
+    if (packages.length === 0) {
+        const add = await vscode.window.showInformationMessage('No STM32Cube package is registered yet.', 'Add Package');
+        return add ? selectPackage(packageManager, registry) : undefined;
+    }
+    if (packages.length === 1) {
+        return packages[0];
+    }
+    return pickOne(packages.map(p => ({ label: p.name, description: p.version, detail: p.path, value: p })), 'Package');
+}
+
+async function pickBoard(packageManager: PackageManager, packageInfo: PackageInfo): Promise<BoardInfo | undefined> {
+    const boards = await vscode.window.withProgress(
+        { location: vscode.ProgressLocation.Notification, title: 'Analyzing package...', cancellable: true },
+        (progress, token) => packageManager.getAvailableBoards(packageInfo.path, {
+            onProgress: p => progress.report({ message: p.message }),
+            token
+        })
+    );
+    if (boards.length === 0) {
+        vscode.window.showWarningMessage(`No boards found in ${packageInfo.name}.`);
+        return undefined;
+    }
+    return pickOne(boards.map(b => ({ label: b.name, description: b.mcu, value: b })), 'Board');
+}
+
+// Defaults to the first workspace folder so new projects land next to the open ones
+async function pickLocation(): Promise<string | undefined> {
+    const folders = vscode.workspace.workspaceFolders;
+    const uris = await vscode.window.showOpenDialog({
+        canSelectFiles: false,
+        canSelectFolders: true,
+        canSelectMany: false,
+        defaultUri: folders && folders.length > 0 ? folders[0].uri : undefined,
+        openLabel: 'Create Project Here'
+    });
+    return uris && uris[0] ? uris[0].fsPath : undefined;
+}
+
+// Templates -> HAL Template, Templates_LL -> LL Template, Templates_TrustZone -> TrustZone Template
+function describeTemplate(template: ProjectInfo): string {
+    const category = template.category || 'Templates';
+    const kind = category.toLowerCase() === 'templates' ? 'HAL' : category.replace(/^Templates_/i, '').replace(/_/g, ' ');
+    const variant = template.group || (template.name.includes('/') ? template.name.split('/').pop() : undefined);
+    return variant && !/^templates/i.test(variant) ? `${kind} Template (${variant})` : `${kind} Template`;
+}
+
+async function pickOne<T>(items: (vscode.QuickPickItem & { value: T })[], placeHolder: string): Promise<T | undefined> {
+    const pick = await vscode.window.showQuickPick(items, { title: TITLE, placeHolder, ignoreFocusOut: true });
+    return pick ? pick.value : undefined;
+}
@@ -0,0 +1,59 @@
+/**
+ * Errors raised while reading an STM32Cube package. They name the path involved so the
+ * import panel, the explorer and the Package Health Report can say what to fix.
+ */
+export class PackageError extends Error {
+    constructor(message: string, public readonly path?: string) {
+        super(message);
+        this.name = 'PackageError';
+    }
+}
+
+// The package, board folder or project does not exist (any more)
+export class PackageNotFoundError extends PackageError {
+    constructor(message: string, path?: string) {
+        super(message, path);
+        this.name = 'PackageNotFoundError';
+    }
+}
+
+// The .pdsc or package.xml exists but cannot be read or parsed
+export class DescriptorReadError extends PackageError {
+    constructor(message: string, path?: string) {
+        super(message, path);
+        this.name = 'DescriptorReadError';
+    }
+}
+
+export class PackagePermissionError extends PackageError {
+    constructor(message: string, path?: string) {
+        super(message, path);
+        this.name = 'PackagePermissionError';
+    }
+}
+
+// The folder is not laid out like an STM32Cube package (no Projects, Examples... folder)
+export class UnsupportedLayoutError extends PackageError {
+    constructor(message: string, path?: string) {
+        super(message, path);
+        this.name = 'UnsupportedLayoutError';
+    }
+}
+
+/**
+ * Turns a file system error into the matching PackageError; other errors and
+ * PackageErrors are returned unchanged.
+ */
+export function toPackageError(error: unknown, path: string, what = path): unknown {
+    const code = error ? (error as NodeJS.ErrnoException).code : undefined;
+    if (error instanceof PackageError || !code) {
+        return error;
+    }
+    if (code === 'ENOENT' || code === 'ENOTDIR') {
+        return new PackageNotFoundError(`${what} does not exist`, path);
+    }
+    if (code === 'EACCES' || code === 'EPERM') {
+        return new PackagePermissionError(`Permission denied reading ${what}`, path);
+    }
+    return error;
+}
@@ -1,14 +1,28 @@
 import * as vscode from 'vscode';
 import * as path from 'path';
+import { PackageManager, PackageInfo, BoardInfo, ProjectInfo } from './packageManager';
+import { PackageRegistry } from './packageRegistry';
+
+export type PackageItemKind = 'command' | 'package' | 'board' | 'category' | 'project' | 'empty' | 'error';
+
+export interface PackageItemData {
+    packageInfo?: PackageInfo;
+    board?: BoardInfo;
+    category?: string;
+    projects?: ProjectInfo[];
+    project?: ProjectInfo;
+}
 
 export class PackageExplorerProvider implements vscode.TreeDataProvider<PackageItem> {
     private _onDidChangeTreeData: vscode.EventEmitter<PackageItem | undefined | null | void> = new vscode.EventEmitter<PackageItem | undefined | null | void>();
     readonly onDidChangeTreeData: vscode.Event<PackageItem | undefined | null | void> = this._onDidChangeTreeData.event;
 
-    constructor(private context: vscode.ExtensionContext) {}
+    constructor(private context: vscode.ExtensionContext, private registry: PackageRegistry, private _packageManager: PackageManager) {
+        context.subscriptions.push(registry.onDidChange(() => this.refresh()));
+    }
 
-    refresh(): void {
-        this._onDidChangeTreeData.fire();
+    refresh(element?: PackageItem): void {
+        this._onDidChangeTreeData.fire(element);
     }
 
     getTreeItem(element: PackageItem): vscode.TreeItem {
@@ -19,11 +33,19 @@ export class PackageExplorerProvider implements vscode.TreeDataProvider<PackageI
         if (!element) {
             return Promise.resolve(this.getRootItems());
         }
+        switch (element.kind) {
+            case 'package':
+                return this.getBoardItems(element.data.packageInfo!);
+            case 'board':
+                return this.getCategoryItems(element.data.packageInfo!, element.data.board!);
+            case 'category':
+                return Promise.resolve(this.getProjectItems(element));
+        }
         return Promise.resolve([]);
     }
 
     private getRootItems(): PackageItem[] {
-        return [
+        const items = [
             new PackageItem(
                 'Import STM32 Package',
                 'Import a new STM32 package from your filesystem',
@@ -43,6 +65,112 @@ export class PackageExplorerProvider implements vscode.TreeDataProvider<PackageI
                 }
             )
         ];
+
+        for (const packageInfo of this.registry.getPackages()) {
+            const item = new PackageItem(
+                packageInfo.name,
+                `${packageInfo.description || packageInfo.name}\n${packageInfo.path}`,
+                vscode.TreeItemCollapsibleState.Collapsed,
+                undefined,
+                'package',
+                { packageInfo }
+            );
+            item.description = packageInfo.version;
+            items.push(item);
+        }
+
+        return items;
+    }
+
+    private async getBoardItems(packageInfo: PackageInfo): Promise<PackageItem[]> {
+        let boards: BoardInfo[];
+        try {
+            boards = await this._packageManager.getAvailableBoards(packageInfo.path);
+        } catch (error) {
+            return [this.createErrorItem(error, packageInfo)];
+        }
+        if (boards.length === 0) {
+            return [this.createHealthItem('No boards found', packageInfo)];
+        }
+        return boards.map(board => {
+            const item = new PackageItem(
+                board.name,
+                board.description,
+                vscode.TreeItemCollapsibleState.Collapsed,
+                undefined,
+                'board',
+                { packageInfo, board }
+            );
+            item.description = board.mcu;
+            return item;
+        });
+    }
+
+    private async getCategoryItems(packageInfo: PackageInfo, board: BoardInfo): Promise<PackageItem[]> {
+        let projects: ProjectInfo[];
+        try {
+            projects = await this._packageManager.getProjectsForBoard(packageInfo.path, board.id);
+        } catch (error) {
+            return [this.createErrorItem(error, packageInfo)];
+        }
+        if (projects.length === 0) {
+            return [this.createHealthItem('No projects found', packageInfo)];
+        }
+
+        // Group projects by category, keeping the order in which categories were discovered
+        const byCategory = new Map<string, ProjectInfo[]>();
+        for (const project of projects) {
+            const category = project.category || project.name.split('/')[0];
+            if (!byCategory.has(category)) {
+                byCategory.set(category, []);
+            }
+            byCategory.get(category)!.push(project);
+        }
+
+        return Array.from(byCategory.entries()).map(([category, categoryProjects]) => {
+            const item = new PackageItem(
+                category,
+                `${categoryProjects.length} project(s)`,
+                vscode.TreeItemCollapsibleState.Collapsed,
+                undefined,
+                'category',
+                { packageInfo, board, category, projects: categoryProjects }
+            );
+            item.description = String(categoryProjects.length);
+            return item;
+        });
+    }
+
+    private getProjectItems(categoryItem: PackageItem): PackageItem[] {
+        const { packageInfo, board, category } = categoryItem.data;
+        return (categoryItem.data.projects || []).map(project => {
+            const item = new PackageItem(
+                project.name.substring((category || '').length + 1) || path.basename(project.path),
+                `${project.description}\nToolchains: ${project.toolchain.join(', ')}`,
+                vscode.TreeItemCollapsibleState.None,
+                undefined,
+                'project',
+                { packageInfo, board, category, project }
+            );
+            item.description = project.toolchain.join(', ');
+            item.resourceUri = vscode.Uri.file(project.path);
+            return item;
+        });
+    }
+
+    // Clicking the item opens the Package Health Report, which explains what is missing
+    private createHealthItem(label: string, packageInfo: PackageInfo, kind: PackageItemKind = 'empty'): PackageItem {
+        return new PackageItem(
+            label,
+            `${label}. Click for the Package Health Report.`,
+            vscode.TreeItemCollapsibleState.None,
+            { command: 'stm32PackageManager.packageHealthReport', title: 'Package Health Report', arguments: [packageInfo.path] },
+            kind
+        );
+    }
+
+    private createErrorItem(error: unknown, packageInfo: PackageInfo): PackageItem {
+        return this.createHealthItem(error instanceof Error ? error.message : String(error), packageInfo, 'error');
     }
 }
 
@@ -51,16 +179,43 @@ export class PackageItem extends vscode.TreeItem {
         public readonly label: string,
         public readonly tooltip: string,
         public readonly collapsibleState: vscode.TreeItemCollapsibleState,
-        public readonly command?: vscode.Command
+        public readonly command?: vscode.Command,
+        public readonly kind: PackageItemKind = 'command',
+        public readonly data: PackageItemData = {}
     ) {
         super(label, collapsibleState);
         this.tooltip = tooltip;
         this.description = '';
-        
-        if (label.includes('Import')) {
-            this.iconPath = new vscode.ThemeIcon('folder-opened');
-        } else {
-            this.iconPath = new vscode.ThemeIcon('package');
+
+        switch (kind) {
+            case 'package':
+                // Matched by the view/item/context menus in package.json
+                this.contextValue = 'stm32Package';
+                this.iconPath = new vscode.ThemeIcon('library');
+                break;
+            case 'board':
+                this.contextValue = 'stm32Board';
+                this.iconPath = new vscode.ThemeIcon('circuit-board');
+                break;
+            case 'category':
+                this.iconPath = new vscode.ThemeIcon('folder');
+                break;
+            case 'project':
+                this.contextValue = 'stm32Project';
+                this.iconPath = new vscode.ThemeIcon('file-code');
+                break;
+            case 'empty':
+                this.iconPath = new vscode.ThemeIcon('info');
+                break;
+            case 'error':
+                this.iconPath = new vscode.ThemeIcon('error');
+                break;
+            default:
+                if (label.includes('Import')) {
+                    this.iconPath = new vscode.ThemeIcon('folder-opened');
+                } else {
+                    this.iconPath = new vscode.ThemeIcon('package');
+                }
         }
     }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,211 @@
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import { BoardInfo, PackageManager, isProjectCategory } from './packageManager';
+import { toPackageError } from './packageErrors';
+
+export type HealthSeverity = 'ok' | 'info' | 'warning' | 'error';
+
+export interface HealthFinding {
+    severity: HealthSeverity;
+    message: string;
+}
+
+export interface BoardHealth {
+    // Folder name below Projects, which is also the board id
+    id: string;
+    path: string;
+    // Shown in the board lists of the panel and the explorer
+    listed: boolean;
+    categories: string[];
+    projectCount: number;
+    mcu?: string;
+    findings: HealthFinding[];
+}
+
+export interface PackageHealthReport {
+    packagePath: string;
+    name?: string;
+    version?: string;
+    findings: HealthFinding[];
+    boards: BoardHealth[];
+    boardCount: number;
+    projectCount: number;
+}
+
+type AddFinding = (severity: HealthSeverity, message: string) => void;
+
+// Folders that hold board folders; Projects in current packages, the others in old ones
+const BOARD_ROOTS = ['Projects', 'Examples', 'Applications', 'Demonstrations'];
+
+/**
+ * Explains what the package manager finds in a package and why it may show no boards or
+ * projects: missing folders, unreadable descriptor, permissions, board folders without
+ * example categories and categories without recognisable projects.
+ */
+export class PackageHealthChecker {
+    constructor(private readonly packageManager: PackageManager) {}
+
+    async check(packagePath: string): Promise<PackageHealthReport> {
+        const report: PackageHealthReport = { packagePath, findings: [], boards: [], boardCount: 0, projectCount: 0 };
+        const finding: AddFinding = (severity, message) => report.findings.push({ severity, message });
+
+        let entries: fs.Dirent[];
+        try {
+            entries = await fs.readdir(packagePath, { withFileTypes: true });
+        } catch (error) {
+            finding('error', describeError(toPackageError(error, packagePath, `Package folder ${packagePath}`)));
+            return report;
+        }
+        const folders = entries.filter(e => e.isDirectory()).map(e => e.name);
+        const hasFolder = (name: string) => folders.some(f => f.toLowerCase() === name.toLowerCase());
+
+        try {
+            const info = await this.packageManager.analyzePackage(packagePath);
+            report.name = info.name;
+            report.version = info.version;
+        } catch (error) {
+            finding('warning', `Name and version could not be read: ${describeError(error)}`);
+        }
+
+        await this.checkDescriptor(packagePath, finding);
+        await this.checkDrivers(packagePath, hasFolder('Drivers'), finding);
+
+        const boardRoots = BOARD_ROOTS.filter(hasFolder).map(name => path.join(packagePath, name));
+        if (!hasFolder('Projects')) {
+            finding(boardRoots.length > 0 ? 'warning' : 'error', boardRoots.length > 0
+                ? `No Projects folder; boards are looked up in ${boardRoots.map(r => path.basename(r)).join(', ')} instead`
+                : 'No Projects folder: STM32Cube packages keep their examples in Projects/<board>/<category>. Check that the path points at the extracted STM32Cube_FW_* folder and not at its parent');
+        }
+
+        let listed: BoardInfo[] = [];
+        try {
+            listed = await this.packageManager.getAvailableBoards(packagePath);
+        } catch (error) {
+            finding('error', `Boards could not be listed: ${describeError(error)}`);
+        }
+
+        // Only the first existing root is scanned when there is a Projects folder
+        for (const root of hasFolder('Projects') ? boardRoots.slice(0, 1) : boardRoots) {
+            for (const boardDir of await listFolders(root, finding)) {
+                report.boards.push(await this.checkBoard(packagePath, boardDir, listed));
+            }
+        }
+
+        report.boardCount = listed.length;
+        report.projectCount = report.boards.reduce((sum, board) => sum + (board.listed ? board.projectCount : 0), 0);
+        if (listed.length === 0 && report.boards.length > 0) {
+            finding('error', `None of the ${report.boards.length} board folder(s) is recognised as a board; see the board findings below`);
+        } else if (listed.length > 0) {
+            finding(report.projectCount > 0 ? 'ok' : 'warning', `${listed.length} board(s) with ${report.projectCount} project(s)`);
+        }
+        return report;
+    }
+
+    private async checkDescriptor(packagePath: string, finding: AddFinding): Promise<void> {
+        try {
+            const { file, descriptor } = await this.packageManager.readPackageDescriptor(packagePath);
+            if (!file || !descriptor) {
+                finding('info', 'No package descriptor (.pdsc): board names, MCUs and example descriptions are derived from folder names and .ioc files');
+                return;
+            }
+            finding('ok', `Package descriptor ${path.basename(file)}: ${descriptor.boards.length} board(s), ${descriptor.devices.length} device(s), ${descriptor.examples.length} example(s)`);
+        } catch (error) {
+            finding('warning', `${describeError(error)}. Boards and projects are still found from the folder layout`);
+        }
+    }
+
+    private async checkDrivers(packagePath: string, hasDrivers: boolean, finding: AddFinding): Promise<void> {
+        if (!hasDrivers) {
+            finding('error', 'No Drivers folder: imported projects would miss CMSIS and the HAL/LL drivers');
+            return;
+        }
+        const drivers = await listFolders(path.join(packagePath, 'Drivers'), finding);
+        const names = drivers.map(d => path.basename(d));
+        const hal = names.filter(n => /_HAL_Driver$/i.test(n));
+        if (!names.some(n => n.toLowerCase() === 'cmsis')) {
+            finding('warning', 'Drivers has no CMSIS folder: device headers and startup files are missing');
+        }
+        if (hal.length === 0) {
+            finding('warning', 'Drivers has no *_HAL_Driver folder: HAL and LL sources are missing');
+        } else {
+            finding('ok', `Drivers: ${names.join(', ')}`);
+        }
+    }
+
+    private async checkBoard(packagePath: string, boardDir: string, listed: BoardInfo[]): Promise<BoardHealth> {
+        const id = path.basename(boardDir);
+        const board = listed.find(b => b.id === id);
+        const health: BoardHealth = { id, path: boardDir, listed: !!board, categories: [], projectCount: 0, mcu: board ? board.mcu : undefined, findings: [] };
+        const finding: AddFinding = (severity, message) => health.findings.push({ severity, message });
+
+        const subfolders = await listFolders(boardDir, finding);
+        health.categories = subfolders.map(d => path.basename(d)).filter(isProjectCategory);
+        if (health.findings.length > 0) {
+            return health;
+        }
+        if (health.categories.length === 0) {
+            finding('warning', 'No example category folder (Examples, Examples_LL, Templates, Applications, Demonstrations), so the folder is not a board');
+            return health;
+        }
+
+        try {
+            health.projectCount = (await this.packageManager.getProjectsForBoard(packagePath, id)).length;
+        } catch (error) {
+            finding('error', `Projects could not be listed: ${describeError(error)}`);
+            return health;
+        }
+        if (health.projectCount === 0) {
+            finding('warning', `${health.categories.join(', ')} contain no project: no folder within three levels has a toolchain folder (STM32CubeIDE, MDK-ARM, EWARM), a .ioc, a Makefile or Inc and Src folders`);
+        } else if (!board) {
+            finding('warning', `${health.projectCount} project(s) found, but none within two levels of a category folder, which the board list requires`);
+        }
+        if (board && board.mcu === 'STM32') {
+            finding('info', 'MCU unknown: no .ioc in the board\'s examples and no descriptor entry, so the debug configuration names no device');
+        }
+        return health;
+    }
+}
+
+/** Markdown text of a report, for the editor or a log. */
+export function formatHealthReport(report: PackageHealthReport): string {
+    const title = report.name ? `${report.name}${report.version ? ` ${report.version}` : ''}` : path.basename(report.packagePath);
+    const lines = [`# Package Health Report: ${title}`, '', `\`${report.packagePath}\``, '', '## Package', ''];
+    lines.push(...report.findings.map(formatFinding));
+
+    if (report.boards.length > 0) {
+        lines.push('', '## Boards', '', '| Board folder | Listed | Categories | Projects | MCU |', '| --- | --- | --- | --- | --- |');
+        for (const board of report.boards) {
+            lines.push(`| ${board.id} | ${board.listed ? 'yes' : 'no'} | ${board.categories.join(', ') || '-'} | ${board.projectCount} | ${board.mcu || '-'} |`);
+        }
+        for (const board of report.boards.filter(b => b.findings.length > 0)) {
+            lines.push('', `### ${board.id}`, '', ...board.findings.map(formatFinding));
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+const SEVERITY_LABELS: { [severity in HealthSeverity]: string } = {
+    ok: 'OK',
+    info: 'Note',
+    warning: 'Warning',
+    error: 'Error'
+};
+
+function formatFinding(finding: HealthFinding): string {
+    return `- **${SEVERITY_LABELS[finding.severity]}:** ${finding.message}`;
+}
+
+function describeError(error: unknown): string {
+    return error instanceof Error ? error.message : String(error);
+}
+
+// Subfolders of dir; an unreadable dir is reported as a finding
+async function listFolders(dir: string, finding: AddFinding): Promise<string[]> {
+    try {
+        const entries = await fs.readdir(dir, { withFileTypes: true });
+        return entries.filter(e => e.isDirectory()).map(e => path.join(dir, e.name)).sort();
+    } catch (error) {
+        finding('error', describeError(toPackageError(error, dir)));
+        return [];
+    }
+}
@@ -0,0 +1,57 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { PackageManager } from './packageManager';
+import { PackageRegistry } from './packageRegistry';
+import { PackageItem } from './packageExplorerProvider';
+import { PackageHealthChecker, formatHealthReport } from './packageHealth';
+import { log } from './logger';
+
+/**
+ * "STM32: Package Health Report": checks a registered package, or any folder, and opens
+ * the findings as a Markdown document. Run from a package in the explorer it checks that
+ * package; the explorer's "No boards found" and error items pass the package path.
+ */
+export async function showPackageHealthReport(packageManager: PackageManager, registry: PackageRegistry, target?: PackageItem | string): Promise<void> {
+    const packagePath = typeof target === 'string'
+        ? target
+        : target && target.data.packageInfo ? target.data.packageInfo.path : await pickPackagePath(registry);
+    if (!packagePath) {
+        return;
+    }
+
+    try {
+        const report = await vscode.window.withProgress(
+            { location: vscode.ProgressLocation.Notification, title: `Checking ${path.basename(packagePath)}...` },
+            () => new PackageHealthChecker(packageManager).check(packagePath)
+        );
+        const problems = [...report.findings, ...report.boards.flatMap(b => b.findings)].filter(f => f.severity === 'error' || f.severity === 'warning');
+        log.info(`Health report for ${packagePath}: ${report.boardCount} board(s), ${report.projectCount} project(s), ${problems.length} problem(s)`);
+        problems.forEach(problem => log.warn(`${path.basename(packagePath)}: ${problem.message}`));
+
+        const document = await vscode.workspace.openTextDocument({ language: 'markdown', content: formatHealthReport(report) });
+        await vscode.window.showTextDocument(document, { preview: false });
+    } catch (error) {
+        log.error(`Health report for ${packagePath} failed:`, error);
+        vscode.window.showErrorMessage(`Failed to check package: ${error instanceof Error ? error.message : error}`);
+    }
+}
+
+// A package that cannot be registered is checked through "Other Folder..."
+async function pickPackagePath(registry: PackageRegistry): Promise<string | undefined> {
+    const otherFolder = 'Other Folder...';
+    const pick = await vscode.window.showQuickPick(
+        [
+            ...registry.getPackages().map(p => ({ label: p.name, description: p.version, detail: p.path, packagePath: p.path as string | undefined })),
+            { label: otherFolder, description: 'A folder that is not registered', detail: undefined, packagePath: undefined }
+        ],
+        { title: 'Package Health Report', placeHolder: 'Package to check' }
+    );
+    if (!pick) {
+        return undefined;
+    }
+    if (pick.packagePath) {
+        return pick.packagePath;
+    }
+    const uris = await vscode.window.showOpenDialog({ canSelectFiles: false, canSelectFolders: true, canSelectMany: false, openLabel: 'Check Package' });
+    return uris && uris[0] ? uris[0].fsPath : undefined;
+}
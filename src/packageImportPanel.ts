@@ -1,6 +1,50 @@
 import * as vscode from 'vscode';
 import * as path from 'path';
-import { PackageManager } from './packageManager';
+import * as fs from 'fs-extra';
+import { BatchImportItem, BoardInfo, CMAKE_TOOLCHAIN, PackageInfo, PackageManager, ProjectInfo } from './packageManager';
+import { formatBytes } from './dependencyResolver';
+import { PackageRegistry } from './packageRegistry';
+import { parseReadme } from './readmeParser';
+import { formatFrequency } from './iocParser';
+import { OperationCancelledError, OperationProgress, describePhase } from './fileCopier';
+import { ImportConflictMode, checkImportTarget } from './importManifest';
+import { selectPackage } from './packageSource';
+import { WorkspaceFileGenerator } from './workspaceFileGenerator';
+import { ImportPreferences } from './importPreferences';
+import { log } from './logger';
+import {
+    WebviewBoard,
+    WebviewEvent,
+    WebviewEventName,
+    WebviewEvents,
+    WebviewField,
+    WebviewRequestError,
+    WebviewRequestMethod,
+    WebviewRequests,
+    WebviewResponse,
+    isWebviewRequest,
+    toErrorReply
+} from './webviewProtocol';
+
+type RequestHandler<M extends WebviewRequestMethod> = (params: WebviewRequests[M]['params'], id: number) => Promise<WebviewRequests[M]['result']>;
+
+type RequestHandlers = { [M in WebviewRequestMethod]: RequestHandler<M> };
+
+// Where a failed request is reported in the form when the error names no field itself
+const ERROR_FIELDS: { [M in WebviewRequestMethod]: WebviewField } = {
+    getPackages: 'repository',
+    addPackage: 'repository',
+    scanPackages: 'repository',
+    loadBoards: 'board',
+    loadProjects: 'template',
+    loadReadme: 'template',
+    loadConfiguration: 'template',
+    openDocument: 'board',
+    browseLocation: 'location',
+    cancelImport: 'import',
+    importProject: 'import',
+    importProjects: 'import'
+};
 
 export class PackageImportPanel {
     public static currentPanel: PackageImportPanel | undefined;
@@ -10,8 +54,37 @@ export class PackageImportPanel {
     private readonly _extensionUri: vscode.Uri;
     private _disposables: vscode.Disposable[] = [];
     private _packageManager: PackageManager;
+    private readonly _registry: PackageRegistry;
+    private readonly _preferences: ImportPreferences;
+    private _boards: BoardInfo[] = [];
+    private _projects: ProjectInfo[] = [];
+    private _importCancellation: vscode.CancellationTokenSource | undefined;
+    // Id of the last request of each method, to tell stale requests apart
+    private readonly _latestRequests = new Map<WebviewRequestMethod, number>();
+    private readonly _handlers: RequestHandlers = {
+        getPackages: async () => ({ packages: this._registry.getPackages() }),
+        addPackage: () => this._addPackage(),
+        scanPackages: async () => {
+            await vscode.commands.executeCommand('stm32PackageManager.scanForPackages');
+            return {};
+        },
+        loadBoards: (params, id) => this._loadBoards(params.packagePath, id),
+        loadProjects: (params, id) => this._loadProjects(params.packagePath, params.boardId, id),
+        loadReadme: params => this._loadReadme(params.projectPath),
+        loadConfiguration: params => this._loadConfiguration(params.projectPath),
+        openDocument: params => this._openDocument(params.boardId, params.path),
+        browseLocation: () => this._browseLocation(),
+        cancelImport: async () => {
+            if (this._importCancellation) {
+                this._importCancellation.cancel();
+            }
+            return {};
+        },
+        importProject: params => this._importProject(params),
+        importProjects: params => this._importProjects(params)
+    };
 
-    public static createOrShow(extensionUri: vscode.Uri) {
+    public static createOrShow(extensionUri: vscode.Uri, registry: PackageRegistry, packageManager: PackageManager, preferences: ImportPreferences) {
         const column = vscode.window.activeTextEditor
             ? vscode.window.activeTextEditor.viewColumn
             : undefined;
@@ -25,22 +98,25 @@ export class PackageImportPanel {
             PackageImportPanel.viewType,
             'Import STM32 Package',
             column || vscode.ViewColumn.One,
-            {
-                enableScripts: true,
-                localResourceRoots: [
-                    vscode.Uri.joinPath(extensionUri, 'media'),
-                    vscode.Uri.joinPath(extensionUri, 'out')
-                ]
-            }
+            getWebviewOptions(extensionUri, registry)
         );
 
-        PackageImportPanel.currentPanel = new PackageImportPanel(panel, extensionUri);
+        PackageImportPanel.currentPanel = new PackageImportPanel(panel, extensionUri, registry, packageManager, preferences);
+    }
+
+    // Called by the WebviewPanelSerializer after a reload; the webview restores its own form state
+    public static revive(panel: vscode.WebviewPanel, extensionUri: vscode.Uri, registry: PackageRegistry, packageManager: PackageManager, preferences: ImportPreferences) {
+        // A revived panel starts without options; they are set once, before its content loads
+        panel.webview.options = getWebviewOptions(extensionUri, registry);
+        PackageImportPanel.currentPanel = new PackageImportPanel(panel, extensionUri, registry, packageManager, preferences);
     }
 
-    private constructor(panel: vscode.WebviewPanel, extensionUri: vscode.Uri) {
+    private constructor(panel: vscode.WebviewPanel, extensionUri: vscode.Uri, registry: PackageRegistry, packageManager: PackageManager, preferences: ImportPreferences) {
         this._panel = panel;
         this._extensionUri = extensionUri;
-        this._packageManager = new PackageManager();
+        this._packageManager = packageManager;
+        this._registry = registry;
+        this._preferences = preferences;
 
         this._update();
         this._panel.onDidDispose(() => this.dispose(), null, this._disposables);
@@ -49,139 +125,417 @@ export class PackageImportPanel {
             null,
             this._disposables
         );
+        this._registry.onDidChange(() => {
+            // Board pictures are served from the package folders, so the roots follow the registry
+            this._panel.webview.options = getWebviewOptions(this._extensionUri, this._registry);
+            this._postEvent('packagesChanged', { packages: this._registry.getPackages() });
+        }, null, this._disposables);
     }
 
-    private async _handleMessage(message: any) {
-        switch (message.command) {
-            case 'selectPackage':
-                await this._selectPackage();
-                break;
-            case 'selectBoard':
-                await this._selectBoard(message.packagePath);
-                break;
-            case 'selectProject':
-                await this._selectProject(message.packagePath, message.boardId);
-                break;
-            case 'browseLocation':
-                await this._browseLocation();
-                break;
-            case 'importProject':
-                await this._importProject(
-                    message.packagePath,
-                    message.boardId,
-                    message.projectName,
-                    message.location,
-                    message.targetName,
-                    message.projectPath
-                );
-                break;
+    private async _handleMessage(message: unknown) {
+        if (!isWebviewRequest(message)) {
+            log.warn('Ignoring unknown webview message:', message);
+            return;
         }
+        const { id, method } = message;
+        this._latestRequests.set(method, id);
+        let response: WebviewResponse;
+        try {
+            const handler = this._handlers[method] as RequestHandler<typeof method>;
+            response = { type: 'response', id, method, result: await handler(message.params, id) };
+        } catch (error) {
+            if (!(error instanceof WebviewRequestError) && !(error instanceof OperationCancelledError)) {
+                log.error(`Error handling ${method}:`, error);
+            }
+            response = { type: 'response', id, method, error: toErrorReply(error, ERROR_FIELDS[method]) };
+        }
+        this._panel.webview.postMessage(response);
     }
 
-    private async _selectPackage() {
-        const options: vscode.OpenDialogOptions = {
-            canSelectMany: false,
-            canSelectFiles: false,
-            canSelectFolders: true,
-            openLabel: 'Select STM32 Package Folder'
-        };
+    // Responses to older requests are dropped by the webview; their results must not replace panel state either
+    private _isLatest(method: WebviewRequestMethod, id: number): boolean {
+        return this._latestRequests.get(method) === id;
+    }
 
-        const folderUri = await vscode.window.showOpenDialog(options);
-        if (folderUri && folderUri[0]) {
-            console.log(`Selected package folder: ${folderUri[0].fsPath}`);
-            try {
-                const packageInfo = await this._packageManager.analyzePackage(folderUri[0].fsPath);
-                console.log(`Package analysis complete:`, packageInfo);
-                console.log('About to trigger board loading...');
-                
-                this._panel.webview.postMessage({
-                    command: 'packageSelected',
-                    packageInfo: packageInfo
-                });
-                
-                // Automatically trigger board loading
-                console.log('Triggering board loading...');
-                await this._selectBoard(packageInfo.path);
-            } catch (error) {
-                console.error('Error analyzing package:', error);
-                vscode.window.showErrorMessage(`Failed to analyze package: ${error}`);
-            }
+    private _postEvent<E extends WebviewEventName>(event: E, data: WebviewEvents[E]) {
+        const message: WebviewEvent<E> = { type: 'event', event, data };
+        this._panel.webview.postMessage(message);
+    }
+
+    private async _addPackage(): Promise<{ packageInfo?: PackageInfo }> {
+        // Accepts an extracted folder or an ST .zip archive, which is installed first
+        const packageInfo = await selectPackage(this._packageManager, this._registry);
+        if (packageInfo) {
+            log.debug(`Package analysis complete:`, packageInfo);
         }
+        return { packageInfo };
     }
 
-    private async _selectBoard(packagePath: string) {
-        console.log(`Loading boards from: ${packagePath}`);
+    private async _loadBoards(packagePath: string, requestId: number): Promise<WebviewRequests['loadBoards']['result']> {
+        log.debug(`Loading boards from: ${packagePath}`);
         try {
-            const boards = await this._packageManager.getAvailableBoards(packagePath);
-            console.log(`Found ${boards.length} boards:`, boards.map(b => b.name));
-            console.log('Sending boards to webview...');
-            
-            this._panel.webview.postMessage({
-                command: 'boardsLoaded',
-                boards: boards
-            });
+            const boards = await vscode.window.withProgress(
+                {
+                    location: vscode.ProgressLocation.Notification,
+                    title: 'Analyzing package...',
+                    cancellable: true
+                },
+                (progress, token) => this._packageManager.getAvailableBoards(packagePath, {
+                    onProgress: p => progress.report({ message: p.message }),
+                    token
+                })
+            );
+            log.debug(`Found ${boards.length} boards:`, boards.map(b => b.name));
+
+            if (this._isLatest('loadBoards', requestId)) {
+                this._boards = boards;
+            }
+            const webview = this._panel.webview;
+            const webviewBoards: WebviewBoard[] = boards.map(board => ({
+                ...board,
+                imageUris: (board.images || []).map(image => webview.asWebviewUri(vscode.Uri.file(image)).toString())
+            }));
+            return {
+                boards: webviewBoards,
+                preferences: this._preferences.get(packagePath)
+            };
         } catch (error) {
-            console.error('Error loading boards:', error);
-            vscode.window.showErrorMessage(`Failed to load boards: ${error}`);
+            if (error instanceof OperationCancelledError) {
+                throw new WebviewRequestError('Loading the boards was cancelled', 'board', true);
+            }
+            throw new WebviewRequestError(`Failed to load boards: ${error instanceof Error ? error.message : error}`, 'board');
         }
     }
 
-    private async _selectProject(packagePath: string, boardId: string) {
+    // PDFs open in the system viewer; only documents listed for a loaded board are accepted
+    private async _openDocument(boardId: string, documentPath: string): Promise<{}> {
+        const board = this._boards.find(b => b.id === boardId);
+        const document = board && (board.documents || []).find(d => d.path === documentPath);
+        if (!document) {
+            throw new WebviewRequestError('The document is not listed for the selected board');
+        }
+        const uri = /^https?:/i.test(document.path) ? vscode.Uri.parse(document.path) : vscode.Uri.file(document.path);
+        if (!await vscode.env.openExternal(uri)) {
+            throw new WebviewRequestError(`Could not open ${document.title}`);
+        }
+        return {};
+    }
+
+    private async _loadProjects(packagePath: string, boardId: string, requestId: number): Promise<WebviewRequests['loadProjects']['result']> {
         const projects = await this._packageManager.getProjectsForBoard(packagePath, boardId);
-        this._panel.webview.postMessage({
-            command: 'projectsLoaded',
-            projects: projects
-        });
+        if (this._isLatest('loadProjects', requestId)) {
+            this._projects = projects;
+        }
+        return { projects };
+    }
+
+    // Only readmes of the projects sent to the webview are read
+    private async _loadReadme(projectPath: string): Promise<WebviewRequests['loadReadme']['result']> {
+        const project = this._projects.find(p => p.path === projectPath);
+        const content = project ? await this._packageManager.getProjectReadme(project) : undefined;
+        return {
+            content: content,
+            readme: content ? parseReadme(content) : undefined
+        };
+    }
+
+    // STM32CubeMX settings of the selected template; clock frequencies are formatted here for display
+    private async _loadConfiguration(projectPath: string): Promise<WebviewRequests['loadConfiguration']['result']> {
+        const project = this._projects.find(p => p.path === projectPath);
+        const configuration = project ? await this._packageManager.getProjectConfiguration(project.path) : undefined;
+        return {
+            configuration: configuration && {
+                ...configuration,
+                clocks: configuration.clocks.map(c => ({ ...c, frequency: formatFrequency(c.hz) }))
+            }
+        };
     }
 
-    private async _importProject(
-        packagePath: string,
-        boardId: string,
-        projectName: string,
-        location?: string,
-        targetName?: string,
-        projectPath?: string
-    ) {
+    private async _importProject(params: WebviewRequests['importProject']['params']): Promise<WebviewRequests['importProject']['result']> {
+        const { packagePath, boardId, projectName, projectPath, toolchain } = params;
+        let targetName = params.targetName;
+        const importLocation = params.location && params.location.trim().length > 0 ? params.location : await this._pickImportLocation();
+        if (!importLocation) {
+            throw new WebviewRequestError('No import location selected', 'location', true);
+        }
+
+        // Importing over an existing folder needs an explicit choice
+        const resolution = await this._resolveImportConflict(this._packageManager.getImportTargetPath(projectName, importLocation, targetName));
+        if (!resolution) {
+            throw new WebviewRequestError('Import cancelled', 'import', true);
+        }
+        if (resolution.targetName) {
+            targetName = resolution.targetName;
+            this._postEvent('targetNameChanged', { targetName });
+        }
+
+        const cancellation = new vscode.CancellationTokenSource();
+        this._importCancellation = cancellation;
         try {
-            const workspacePath = await this._packageManager.importProject(
-                packagePath,
-                boardId,
-                projectName,
-                location,
-                targetName,
-                projectPath
+            const workspacePath = await vscode.window.withProgress(
+                {
+                    location: vscode.ProgressLocation.Notification,
+                    title: `Importing ${projectName.split('/').pop()}`,
+                    cancellable: true
+                },
+                (progress, token) => {
+                    token.onCancellationRequested(() => cancellation.cancel());
+                    let reported = 0;
+                    return this._packageManager.importProject(
+                        packagePath,
+                        boardId,
+                        projectName,
+                        importLocation,
+                        targetName,
+                        projectPath,
+                        toolchain,
+                        {
+                            conflict: resolution.conflict,
+                            token: cancellation.token,
+                            onProgress: p => {
+                                const percent = getPercent(p);
+                                progress.report({ message: p.message, increment: Math.max(0, percent - reported) });
+                                reported = Math.max(reported, percent);
+                                this._postImportProgress(p, percent);
+                            }
+                        }
+                    );
+                }
+            );
+            await this._preferences.update(packagePath, { location: importLocation, toolchain: toolchain || undefined });
+
+            // Like a batch import, the form shows the result right away; the readme and the open prompt follow
+            this._afterImport(workspacePath, projectPath, packagePath, params.openReadme === true)
+                .catch(error => log.error(`Opening ${workspacePath} after the import failed:`, error));
+            return { targetPath: workspacePath };
+        } catch (error) {
+            if (error instanceof OperationCancelledError) {
+                vscode.window.showInformationMessage('Import cancelled. The partially copied project was removed.');
+                throw error;
+            }
+            throw new WebviewRequestError(`Failed to import project: ${error instanceof Error ? error.message : error}`, 'import');
+        } finally {
+            if (this._importCancellation === cancellation) {
+                this._importCancellation = undefined;
+            }
+            cancellation.dispose();
+        }
+    }
+
+    private async _afterImport(targetPath: string, projectPath: string | undefined, packagePath: string, openReadme: boolean): Promise<void> {
+        if (openReadme) {
+            await this._openImportedReadme(projectPath, targetPath);
+        }
+        await openImportedProjects(`Project imported successfully to ${targetPath}. Would you like to open it?`, [targetPath], packagePath);
+    }
+
+    private async _pickImportLocation(): Promise<string | undefined> {
+        const folderUri = await vscode.window.showOpenDialog({
+            canSelectMany: false,
+            canSelectFiles: false,
+            canSelectFolders: true,
+            openLabel: 'Select Import Location'
+        });
+        return folderUri && folderUri[0] ? folderUri[0].fsPath : undefined;
+    }
+
+    /**
+     * Imports the checked templates into one folder each below location, sharing a
+     * single copy of Drivers and Middlewares, and reports all results at the end.
+     */
+    private async _importProjects(params: WebviewRequests['importProjects']['params']): Promise<WebviewRequests['importProjects']['result']> {
+        const { packagePath, boardId, projects, location, toolchain } = params;
+        // The selected toolchain only applies to the examples that provide it
+        let items: BatchImportItem[] = projects.map(project => {
+            const info = this._projects.find(p => p.path === project.path);
+            const available = toolchain === CMAKE_TOOLCHAIN || (info && info.toolchain && info.toolchain.includes(toolchain || ''));
+            return { projectName: project.name, projectPath: project.path, toolchain: available ? toolchain : undefined };
+        });
+
+        // Fixed here so that the existence check and the import agree on the folders
+        const targetNames = this._packageManager.getBatchTargetNames(items, location);
+        items = items.map((item, i) => ({ ...item, targetName: targetNames[i] }));
+
+        const existing: BatchImportItem[] = [];
+        for (const item of items) {
+            if (await fs.pathExists(path.join(location, item.targetName!))) {
+                existing.push(item);
+            }
+        }
+        let conflict: ImportConflictMode | undefined;
+        if (existing.length > 0) {
+            const choice = await vscode.window.showWarningMessage(
+                `${existing.length} of the ${items.length} project folders already exist in ${location}.`,
+                { modal: true, detail: 'Merging keeps the files changed since the last import.' },
+                'Skip Existing',
+                'Merge',
+                'Replace'
             );
-            vscode.window.showInformationMessage(`Project imported successfully to: ${workspacePath}`);
-            
-            // Ask if user wants to open the project
-            const openProject = await vscode.window.showInformationMessage(
-                'Project imported successfully. Would you like to open it?',
-                'Open Project',
-                'Not Now'
+            if (choice === 'Skip Existing') {
+                items = items.filter(item => !existing.includes(item));
+            } else if (choice === 'Merge') {
+                conflict = 'merge';
+            } else if (choice === 'Replace') {
+                const confirm = await vscode.window.showWarningMessage(
+                    `Delete ${existing.length} existing project folder(s) and import them again?`,
+                    { modal: true, detail: existing.map(item => item.targetName).join(', ') },
+                    'Replace'
+                );
+                if (confirm !== 'Replace') {
+                    throw new WebviewRequestError('Import cancelled', 'import', true);
+                }
+                conflict = 'replace';
+            } else {
+                throw new WebviewRequestError('Import cancelled', 'import', true);
+            }
+        }
+        if (items.length === 0) {
+            throw new WebviewRequestError('All selected projects already exist', 'import');
+        }
+
+        const cancellation = new vscode.CancellationTokenSource();
+        this._importCancellation = cancellation;
+        try {
+            const results = await vscode.window.withProgress(
+                {
+                    location: vscode.ProgressLocation.Notification,
+                    title: `Importing ${items.length} projects`,
+                    cancellable: true
+                },
+                (progress, token) => {
+                    token.onCancellationRequested(() => cancellation.cancel());
+                    let reported = 0;
+                    return this._packageManager.importProjects(packagePath, boardId, items, location, {
+                        conflict,
+                        token: cancellation.token,
+                        onProgress: p => {
+                            const percent = getPercent(p);
+                            progress.report({ message: p.message, increment: Math.max(0, percent - reported) });
+                            reported = Math.max(reported, percent);
+                            this._postImportProgress(p, percent);
+                        }
+                    });
+                }
             );
 
-            if (openProject === 'Open Project') {
-                const uri = vscode.Uri.file(workspacePath);
-                await vscode.commands.executeCommand('vscode.openFolder', uri);
+            const imported = results.filter(r => r.targetPath);
+            const failed = results.filter(r => r.error);
+            if (imported.length > 0) {
+                await this._preferences.update(packagePath, { location, toolchain: toolchain || undefined });
+            }
+            const cancelled = results.filter(r => r.cancelled);
+            const summary = [
+                `Imported ${imported.length} of ${results.length} projects to ${location}.`,
+                failed.length > 0 ? `${failed.length} failed.` : '',
+                cancelled.length > 0 ? `${cancelled.length} cancelled.` : ''
+            ].filter(Boolean).join(' ');
+
+            // The form shows the summary right away; the open prompt does not hold up the response
+            if (imported.length > 0) {
+                openImportedProjects(summary, imported.map(r => r.targetPath!), packagePath, location, failed.length > 0)
+                    .catch(error => log.error('Opening the imported projects failed:', error));
+            }
+            return {
+                success: failed.length === 0 && cancelled.length === 0,
+                summary,
+                results: results.map(r => ({
+                    name: r.projectName.split('/').pop() || r.projectName,
+                    targetPath: r.targetPath,
+                    error: r.error,
+                    cancelled: r.cancelled === true
+                }))
+            };
+        } catch (error) {
+            throw new WebviewRequestError(`Failed to import projects: ${error instanceof Error ? error.message : error}`, 'import');
+        } finally {
+            if (this._importCancellation === cancellation) {
+                this._importCancellation = undefined;
             }
+            cancellation.dispose();
+        }
+    }
+
+    /**
+     * Asks how to import into a folder that already exists: under another name, merged
+     * (keeping files changed since the last import) or replacing the folder. Returns
+     * undefined when the user backs out.
+     */
+    private async _resolveImportConflict(targetPath: string): Promise<{ targetName?: string; conflict?: ImportConflictMode } | undefined> {
+        const status = await checkImportTarget(targetPath);
+        if (!status.exists) {
+            return {};
+        }
+
+        const folder = path.basename(targetPath);
+        const modified = status.manifest
+            ? `${status.modifiedFiles.length} file(s) were changed or added since it was imported.`
+            : 'It was not created by an import, so all of its files are kept when merging.';
+        const choice = await vscode.window.showWarningMessage(
+            `${folder} already exists in ${path.dirname(targetPath)}.`,
+            { modal: true, detail: `${modified} Merging updates the other files from the package.` },
+            'Choose New Name',
+            'Merge',
+            'Replace'
+        );
 
-            // Notify webview the import is complete
-            this._panel.webview.postMessage({
-                command: 'importComplete',
-                success: true,
-                message: 'Import finished'
+        if (choice === 'Choose New Name') {
+            const suggestion = await getFreeName(path.dirname(targetPath), folder);
+            const targetName = await vscode.window.showInputBox({
+                prompt: 'Project folder name',
+                value: suggestion,
+                validateInput: async value => {
+                    if (!value.trim()) {
+                        return 'Enter a folder name';
+                    }
+                    return await fs.pathExists(path.join(path.dirname(targetPath), value.trim())) ? `${value.trim()} already exists` : undefined;
+                }
             });
+            return targetName ? { targetName: targetName.trim() } : undefined;
+        }
+        if (choice === 'Merge') {
+            return { conflict: 'merge' };
+        }
+        if (choice === 'Replace') {
+            const confirm = await vscode.window.showWarningMessage(
+                `Delete ${targetPath} and import again?`,
+                { modal: true, detail: status.modifiedFiles.length > 0 ? `${status.modifiedFiles.length} changed or added file(s) will be lost.` : undefined },
+                'Replace'
+            );
+            return confirm === 'Replace' ? { conflict: 'replace' } : undefined;
+        }
+        return undefined;
+    }
+
+    private _postImportProgress(progress: OperationProgress, percent: number) {
+        const sizes = progress.bytesTotal > 0 ? ` (${formatBytes(progress.bytesDone)} of ${formatBytes(progress.bytesTotal)})` : '';
+        this._postEvent('importProgress', {
+            phase: describePhase(progress.phase),
+            message: progress.message + sizes,
+            percent
+        });
+    }
+
+    // Opens the copy of the example's readme inside the imported project
+    private async _openImportedReadme(projectPath: string | undefined, workspacePath: string) {
+        const project = this._projects.find(p => p.path === projectPath);
+        if (!project || !project.doc) {
+            vscode.window.showWarningMessage('The imported example has no readme file.');
+            return;
+        }
+
+        const relative = path.relative(project.path, project.doc);
+        const imported = path.join(workspacePath, relative);
+        const readmePath = !relative.startsWith('..') && await fs.pathExists(imported) ? imported : project.doc;
+        try {
+            const document = await vscode.workspace.openTextDocument(readmePath);
+            await vscode.window.showTextDocument(document, { preview: false });
         } catch (error) {
-            vscode.window.showErrorMessage(`Failed to import project: ${error}`);
-            this._panel.webview.postMessage({
-                command: 'importComplete',
-                success: false,
-                message: String(error)
-            });
+            log.error(`Error opening readme ${readmePath}:`, error);
+            vscode.window.showWarningMessage(`Failed to open readme: ${error}`);
         }
     }
 
-    private async _browseLocation() {
+    private async _browseLocation(): Promise<{ path?: string }> {
         const options: vscode.OpenDialogOptions = {
             canSelectMany: false,
             canSelectFiles: false,
@@ -189,8 +543,7 @@ export class PackageImportPanel {
             openLabel: 'Select Import Location'
         };
         const folderUri = await vscode.window.showOpenDialog(options);
-        const path = folderUri && folderUri[0] ? folderUri[0].fsPath : '';
-        this._panel.webview.postMessage({ command: 'locationSelected', path });
+        return { path: folderUri && folderUri[0] ? folderUri[0].fsPath : undefined };
     }
 
     private _update() {
@@ -213,7 +566,7 @@ export class PackageImportPanel {
             <html lang="en">
             <head>
                 <meta charset="UTF-8">
-                <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${webview.cspSource}; script-src 'nonce-${nonce}';">
+                <meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src ${webview.cspSource}; style-src ${webview.cspSource}; script-src 'nonce-${nonce}';">
                 <meta name="viewport" content="width=device-width, initial-scale=1.0">
                 <link href="${styleUri}" rel="stylesheet">
                 <title>Import STM32 Package</title>
@@ -229,16 +582,15 @@ export class PackageImportPanel {
                                 <option value="">Select...</option>
                             </select>
                             <button id="selectPackageBtn" class="btn btn-primary">Browse...</button>
+                            <button id="scanPackagesBtn" class="btn btn-secondary" title="Search the configured locations for installed packages">Scan</button>
                         </div>
-                        <div id="repositoryError" class="error-message" style="display: none;">
-                            Error: Please select a repository
-                        </div>
+                        <div id="repositoryError" class="error-message" role="alert" style="display: none;"></div>
                     </div>
 
                     <div class="form-group">
                         <label for="toolchain">Toolchain:</label>
                         <select id="toolchain" class="form-control" disabled>
-                            <option value="">No toolchain selected</option>
+                            <option value="">No template selected</option>
                         </select>
                     </div>
 
@@ -247,13 +599,40 @@ export class PackageImportPanel {
                         <select id="board" class="form-control" disabled>
                             <option value="">No repository selected</option>
                         </select>
+                        <div id="boardError" class="error-message" role="alert" style="display: none;"></div>
                     </div>
 
                     <div class="form-group">
-                        <label for="template">Template:</label>
-                        <select id="template" class="form-control" disabled>
-                            <option value="">No board selected</option>
-                        </select>
+                        <label for="templateSearch">Template:</label>
+                        <div class="template-browser">
+                            <div class="template-filters">
+                                <input type="search" id="templateSearch" class="form-control" placeholder="Search examples" disabled>
+                                <select id="categoryFilter" class="form-control" disabled>
+                                    <option value="">All categories</option>
+                                </select>
+                                <select id="toolchainFilter" class="form-control" disabled>
+                                    <option value="">All toolchains</option>
+                                </select>
+                            </div>
+                            <div class="template-selection">
+                                <span id="checkedCount">Check several examples to import them together</span>
+                                <button id="checkShownBtn" class="btn btn-secondary" disabled>Check Shown</button>
+                                <button id="clearCheckedBtn" class="btn btn-secondary" disabled>Clear</button>
+                            </div>
+                            <div class="template-panes">
+                                <div id="templateList" class="template-list" role="tree">
+                                    <div class="template-message">No board selected</div>
+                                </div>
+                                <div id="templateDetails" class="template-details" style="display: none;">
+                                    <h3 id="templateTitle"></h3>
+                                    <p id="templateDescription"></p>
+                                    <div id="templateMeta" class="template-meta"></div>
+                                    <div id="templateConfig" class="template-config"></div>
+                                    <div id="templateReadme" class="template-readme"></div>
+                                </div>
+                            </div>
+                        </div>
+                        <div id="templateError" class="error-message" role="alert" style="display: none;"></div>
                     </div>
 
                     <div class="form-group">
@@ -267,6 +646,7 @@ export class PackageImportPanel {
                             <input type="text" id="location" class="form-control" placeholder="Select location" readonly>
                             <button id="browseLocationBtn" class="btn btn-secondary">Browse...</button>
                         </div>
+                        <div id="locationError" class="error-message" role="alert" style="display: none;"></div>
                     </div>
 
                     <div class="form-group">
@@ -277,12 +657,25 @@ export class PackageImportPanel {
 
                     <div class="board-preview" id="boardPreview" style="display: none;">
                         <h3>Board Preview</h3>
-                        <img id="boardImage" src="" alt="Board Image" style="max-width: 300px; max-height: 200px;">
+                        <img id="boardImage" alt="Board Image" style="display: none;">
+                        <div id="boardThumbnails" class="board-thumbnails"></div>
                         <p id="boardDescription"></p>
+                        <ul id="boardDocuments" class="board-documents" style="display: none;"></ul>
+                        <table class="device-details" id="deviceDetails" style="display: none;"></table>
                     </div>
 
                     <div class="form-actions">
                         <button id="importBtn" class="btn btn-primary" disabled>Import</button>
+                        <div id="importProgress" class="import-progress" style="display: none;">
+                            <div class="import-progress-header">
+                                <span id="importPhase"></span>
+                                <button id="cancelImportBtn" class="btn btn-secondary">Cancel</button>
+                            </div>
+                            <progress id="importProgressBar" max="100" value="0"></progress>
+                            <div id="importProgressText" class="import-progress-text"></div>
+                        </div>
+                        <div id="importError" class="error-message" role="alert" style="display: none;"></div>
+                        <div id="importSummary" class="import-summary" style="display: none;"></div>
                     </div>
                 </div>
 
@@ -303,6 +696,18 @@ export class PackageImportPanel {
     }
 }
 
+// Registered packages are resource roots so board pictures load straight from their folders
+function getWebviewOptions(extensionUri: vscode.Uri, registry: PackageRegistry): vscode.WebviewOptions {
+    return {
+        enableScripts: true,
+        localResourceRoots: [
+            vscode.Uri.joinPath(extensionUri, 'media'),
+            vscode.Uri.joinPath(extensionUri, 'out'),
+            ...registry.getPackages().map(p => vscode.Uri.file(p.path))
+        ]
+    };
+}
+
 function getNonce() {
     let text = '';
     const possible = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
@@ -310,4 +715,66 @@ function getNonce() {
         text += possible.charAt(Math.floor(Math.random() * possible.length));
     }
     return text;
-} 
\ No newline at end of file
+}
+
+// Copying is most of the work; the configuration phase covers the last few percent
+function getPercent(progress: OperationProgress): number {
+    let percent = 0;
+    if (progress.phase === 'config') {
+        percent = 95;
+    } else if (progress.bytesTotal > 0) {
+        percent = Math.floor(progress.bytesDone / progress.bytesTotal * 95);
+    }
+    // Each project of a batch gets an equal share of the bar
+    if (progress.itemCount) {
+        percent = Math.floor(((progress.item || 0) * 100 + percent) / progress.itemCount);
+    }
+    return percent;
+}
+
+/**
+ * Offers to open imported projects: a single project in this window, added to the
+ * current workspace, or grouped in a .code-workspace file together with the package's
+ * read-only Drivers folder. The workspace file of a batch is written to location.
+ */
+export async function openImportedProjects(message: string, projectPaths: string[], packagePath: string, location?: string, warning = false) {
+    const choices = projectPaths.length === 1
+        ? ['Open Folder', 'Add to Workspace', 'Create Workspace File']
+        : ['Add to Workspace', 'Create Workspace File'];
+    const show = warning ? vscode.window.showWarningMessage : vscode.window.showInformationMessage;
+    const choice = await show(message, ...choices);
+
+    if (choice === 'Open Folder') {
+        await vscode.commands.executeCommand('vscode.openFolder', vscode.Uri.file(projectPaths[0]));
+    } else if (choice === 'Add to Workspace') {
+        const open = new Set((vscode.workspace.workspaceFolders || []).map(f => path.resolve(f.uri.fsPath)));
+        const folders = projectPaths
+            .filter(p => !open.has(path.resolve(p)))
+            .map(p => ({ uri: vscode.Uri.file(p), name: path.basename(p) }));
+        if (folders.length > 0 && !vscode.workspace.updateWorkspaceFolders(open.size, 0, ...folders)) {
+            vscode.window.showErrorMessage('Could not add the imported project to the workspace.');
+        }
+    } else if (choice === 'Create Workspace File') {
+        const dir = location || path.dirname(projectPaths[0]);
+        const name = projectPaths.length === 1 ? path.basename(projectPaths[0]) : path.basename(dir);
+        try {
+            const file = await new WorkspaceFileGenerator(path.join(dir, `${name}.code-workspace`)).generate(projectPaths, packagePath);
+            const open = await vscode.window.showInformationMessage(`Created ${file}`, 'Open Workspace');
+            if (open === 'Open Workspace') {
+                await vscode.commands.executeCommand('vscode.openFolder', vscode.Uri.file(file));
+            }
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to create workspace file: ${error}`);
+        }
+    }
+}
+
+// name_2, name_3, ... : the first one not taken in dir
+async function getFreeName(dir: string, name: string): Promise<string> {
+    for (let i = 2; ; i++) {
+        const candidate = `${name}_${i}`;
+        if (!await fs.pathExists(path.join(dir, candidate))) {
+            return candidate;
+        }
+    }
+}
@@ -0,0 +1,128 @@
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import * as crypto from 'crypto';
+import { BoardInfo, ProjectInfo } from './packageManager';
+import { log } from './logger';
+
+// Bump when BoardInfo or ProjectInfo change shape so old index files are ignored
+const INDEX_VERSION = 2;
+
+interface IndexEntry<T> {
+    // Directory modification times the entry was built from
+    stamp: string;
+    value: T;
+}
+
+interface PackageIndexFile {
+    version: number;
+    packagePath: string;
+    boards?: IndexEntry<BoardInfo[]>;
+    projects: { [boardId: string]: IndexEntry<ProjectInfo[]> };
+}
+
+/**
+ * On-disk cache of the boards and projects found in each package, one JSON file per
+ * package. Entries are only returned while their mtime stamp still matches; changes
+ * deeper in the tree are reported through invalidate() by the file watcher.
+ */
+export class PackageIndex {
+    private _files = new Map<string, PackageIndexFile>();
+
+    constructor(private readonly storageDir: string) {}
+
+    async getBoards(packagePath: string, stamp: string): Promise<BoardInfo[] | undefined> {
+        const file = await this.load(packagePath);
+        return file.boards && file.boards.stamp === stamp ? file.boards.value : undefined;
+    }
+
+    async setBoards(packagePath: string, stamp: string, boards: BoardInfo[]): Promise<void> {
+        const file = await this.load(packagePath);
+        file.boards = { stamp, value: boards };
+        await this.save(file);
+    }
+
+    async getProjects(packagePath: string, boardId: string, stamp: string): Promise<ProjectInfo[] | undefined> {
+        const file = await this.load(packagePath);
+        const entry = file.projects[boardId];
+        return entry && entry.stamp === stamp ? entry.value : undefined;
+    }
+
+    async setProjects(packagePath: string, boardId: string, stamp: string, projects: ProjectInfo[]): Promise<void> {
+        const file = await this.load(packagePath);
+        file.projects[boardId] = { stamp, value: projects };
+        await this.save(file);
+    }
+
+    /**
+     * Drops cached data for a package. With a board, only that board's projects are
+     * dropped, plus the board list when includeBoards is set.
+     */
+    async invalidate(packagePath: string, boardId?: string, includeBoards = false): Promise<void> {
+        const file = await this.load(packagePath);
+        if (boardId === undefined) {
+            file.boards = undefined;
+            file.projects = {};
+        } else {
+            delete file.projects[boardId];
+            if (includeBoards) {
+                file.boards = undefined;
+            }
+        }
+        await this.save(file);
+    }
+
+    async remove(packagePath: string): Promise<void> {
+        this._files.delete(this.getKey(packagePath));
+        await fs.remove(this.getFilePath(packagePath));
+    }
+
+    private async load(packagePath: string): Promise<PackageIndexFile> {
+        const key = this.getKey(packagePath);
+        let file = this._files.get(key);
+        if (file) {
+            return file;
+        }
+
+        try {
+            const stored = await fs.readJson(this.getFilePath(packagePath));
+            if (stored && stored.version === INDEX_VERSION && stored.projects) {
+                file = stored as PackageIndexFile;
+            }
+        } catch (error) {
+            // Missing or unreadable index files are rebuilt
+        }
+        file = file || { version: INDEX_VERSION, packagePath: path.resolve(packagePath), projects: {} };
+        this._files.set(key, file);
+        return file;
+    }
+
+    private async save(file: PackageIndexFile): Promise<void> {
+        try {
+            await fs.outputJson(this.getFilePath(file.packagePath), file);
+        } catch (error) {
+            log.error(`Error writing package index for ${file.packagePath}:`, error);
+        }
+    }
+
+    private getKey(packagePath: string): string {
+        const resolved = path.resolve(packagePath);
+        return process.platform === 'win32' ? resolved.toLowerCase() : resolved;
+    }
+
+    private getFilePath(packagePath: string): string {
+        const hash = crypto.createHash('sha1').update(this.getKey(packagePath)).digest('hex').substring(0, 16);
+        return path.join(this.storageDir, 'index', `${hash}.json`);
+    }
+}
+
+// Modification times of the given files and directories; missing entries count as 0
+export async function getStamp(paths: string[]): Promise<string> {
+    const times = await Promise.all(paths.map(async p => {
+        try {
+            return (await fs.stat(p)).mtimeMs;
+        } catch (error) {
+            return 0;
+        }
+    }));
+    return times.join(':');
+}
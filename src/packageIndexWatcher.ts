@@ -0,0 +1,99 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { PackageManager } from './packageManager';
+import { PackageRegistry } from './packageRegistry';
+import { log } from './logger';
+
+/**
+ * Watches the registered packages and invalidates the cached index for the part of a
+ * package that changed: a file inside an example only drops its board's project list,
+ * board or category folders and .ioc/.pdsc files also drop the board list.
+ */
+export class PackageIndexWatcher implements vscode.Disposable {
+    private _watchers = new Map<string, vscode.Disposable[]>();
+    private _disposables: vscode.Disposable[] = [];
+    private _refreshTimer: NodeJS.Timeout | undefined;
+    private readonly _onDidInvalidate = new vscode.EventEmitter<void>();
+    readonly onDidInvalidate = this._onDidInvalidate.event;
+
+    constructor(private readonly packageManager: PackageManager, private readonly registry: PackageRegistry) {
+        this.sync();
+        this._disposables.push(registry.onDidChange(() => this.sync()));
+    }
+
+    private sync(): void {
+        const packages = this.registry.getPackages();
+        const current = new Set(packages.map(p => path.resolve(p.path)));
+
+        for (const [packagePath, disposables] of this._watchers) {
+            if (!current.has(packagePath)) {
+                disposables.forEach(d => d.dispose());
+                this._watchers.delete(packagePath);
+                this.packageManager.removeFromIndex(packagePath).catch(error => {
+                    log.error(`Error removing package index for ${packagePath}:`, error);
+                });
+            }
+        }
+
+        for (const packagePath of current) {
+            if (!this._watchers.has(packagePath)) {
+                this._watchers.set(packagePath, this.watch(packagePath));
+            }
+        }
+    }
+
+    private watch(packagePath: string): vscode.Disposable[] {
+        const base = vscode.Uri.file(packagePath);
+        const projects = vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(base, 'Projects/**'));
+        const descriptors = vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(base, '*.{pdsc,xml}'));
+
+        const onProjectsChange = (uri: vscode.Uri) => this.onProjectsChange(packagePath, uri);
+        const onDescriptorChange = () => this.invalidate(packagePath);
+
+        return [
+            projects,
+            descriptors,
+            projects.onDidCreate(onProjectsChange),
+            projects.onDidChange(onProjectsChange),
+            projects.onDidDelete(onProjectsChange),
+            descriptors.onDidCreate(onDescriptorChange),
+            descriptors.onDidChange(onDescriptorChange),
+            descriptors.onDidDelete(onDescriptorChange)
+        ];
+    }
+
+    private onProjectsChange(packagePath: string, uri: vscode.Uri): void {
+        // Projects/<board>/<category>/...
+        const segments = path.relative(path.join(packagePath, 'Projects'), uri.fsPath).split(/[\\/]/).filter(Boolean);
+        if (segments.length === 0 || segments[0] === '..') {
+            return;
+        }
+        const includeBoards = segments.length <= 2 || /\.ioc$/i.test(uri.fsPath);
+        this.invalidate(packagePath, segments[0], includeBoards);
+    }
+
+    private invalidate(packagePath: string, boardId?: string, includeBoards = false): void {
+        this.packageManager.invalidate(packagePath, boardId, includeBoards).catch(error => {
+            log.error(`Error invalidating package index for ${packagePath}:`, error);
+        });
+
+        // Builds and checkouts touch many files at once; notify listeners once they settle
+        if (this._refreshTimer) {
+            clearTimeout(this._refreshTimer);
+        }
+        this._refreshTimer = setTimeout(() => {
+            this._refreshTimer = undefined;
+            this._onDidInvalidate.fire();
+        }, 500);
+    }
+
+    dispose(): void {
+        if (this._refreshTimer) {
+            clearTimeout(this._refreshTimer);
+        }
+        this._watchers.forEach(disposables => disposables.forEach(d => d.dispose()));
+        this._watchers.clear();
+        this._disposables.forEach(d => d.dispose());
+        this._onDidInvalidate.dispose();
+    }
+}
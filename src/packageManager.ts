@@ -1,7 +1,47 @@
 import * as fs from 'fs-extra';
 import * as path from 'path';
-import * as vscode from 'vscode';
-import { parseString } from 'xml2js';
+import * as os from 'os';
+import { DependencyResolver } from './dependencyResolver';
+import { ProjectConfigUpdater } from './projectConfigUpdater';
+import { CMAKE_TOOLCHAIN, CMakeGenerator, TOOLCHAIN_FILE } from './cmakeGenerator';
+import { VsCodeConfigGenerator } from './vscodeConfigGenerator';
+import { PackageDescriptor, parsePdsc } from './pdscParser';
+import { DeviceRecord, McuResolver, findFiles } from './mcuResolver';
+import { IocConfiguration, readIoc } from './iocParser';
+import { PackageIndex, getStamp } from './packageIndex';
+import { FileCopier, OperationCancelledError, OperationOptions, OperationProgress, throwIfCancelled } from './fileCopier';
+import { ZipArchive } from './zipArchive';
+import { ImportConflictMode, ImportManifest, hashFile, isUnmodified, readManifest, toRelative, writeManifest } from './importManifest';
+import { log } from './logger';
+import { DescriptorReadError, PackageNotFoundError, UnsupportedLayoutError, toPackageError } from './packageErrors';
+
+export interface ImportOptions extends OperationOptions {
+    // How to import into a folder that already exists; without it such an import fails
+    conflict?: ImportConflictMode;
+    // Receives Drivers and Middlewares instead of the project folder, so that a batch shares one copy
+    sharedRoot?: string;
+    // Files below sharedRoot that earlier projects of the batch copied; the import adds its own
+    sharedFiles?: Set<string>;
+    // MCU the debug and IntelliSense configuration is generated for instead of the project's own
+    partNumber?: string;
+    // Package-relative middleware folders copied next to Drivers and added to the generated build files
+    middlewares?: string[];
+}
+
+export interface BatchImportItem {
+    projectName: string;
+    projectPath?: string;
+    toolchain?: string;
+    // Folder below the batch location; getBatchTargetNames picks one when it is not given
+    targetName?: string;
+}
+
+export interface BatchImportResult {
+    projectName: string;
+    targetPath?: string;
+    error?: string;
+    cancelled?: boolean;
+}
 
 export interface PackageInfo {
     name: string;
@@ -10,12 +50,27 @@ export interface PackageInfo {
     description?: string;
 }
 
+export interface BoardDocument {
+    title: string;
+    path: string;
+    category?: string;
+}
+
 export interface BoardInfo {
     id: string;
     name: string;
     description: string;
+    // First of images, shown as the board picture
     imagePath?: string;
+    // Board pictures from the descriptor, the board folder and the package's _htmresc/Documentation folders
+    images?: string[];
     mcu: string;
+    // Core, memory, package and SVD details of the board's MCU
+    device?: DeviceRecord;
+    // Filled from the package descriptor (.pdsc) when one is present
+    vendor?: string;
+    mountedDevices?: string[];
+    documents?: BoardDocument[];
 }
 
 export interface ProjectInfo {
@@ -23,9 +78,143 @@ export interface ProjectInfo {
     description: string;
     path: string;
     toolchain: string[];
+    category?: string;
+    // Peripheral or application group inside the category, e.g. GPIO for Examples/GPIO/GPIO_IOToggle
+    group?: string;
+    // Documentation file (readme.txt), declared in the package descriptor or found in the project folder
+    doc?: string;
+    keywords?: string[];
 }
 
+// Directory names never worth descending into while looking for packages
+const DISCOVERY_SKIP_DIRS = [
+    'node_modules', '.git', '.vscode', 'system volume information',
+    'windows', 'program files', 'program files (x86)', 'programdata',
+    'appdata', '$recycle.bin', 'recovery'
+];
+
+export { CMAKE_TOOLCHAIN };
+
+// Project folders and files that belong to each toolchain inside a Cube example.
+// Everything not listed here (Inc, Src, Core, readme.txt, .ioc...) is shared by all toolchains.
+const TOOLCHAIN_LAYOUTS: { name: string; dirs: string[]; files: RegExp[] }[] = [
+    { name: 'STM32CubeIDE', dirs: ['stm32cubeide'], files: [/^\.cproject$/i, /^\.project$/i] },
+    { name: 'Keil', dirs: ['mdk-arm'], files: [/\.uvprojx?$/i, /\.uvoptx?$/i] },
+    { name: 'IAR', dirs: ['ewarm', 'iar'], files: [/\.eww$/i, /\.ewp$/i, /\.ewd$/i] },
+    { name: 'GCC', dirs: [], files: [/^makefile$/i] },
+    // The CMake generator reads the CubeIDE project or the Makefile, so both are kept
+    { name: CMAKE_TOOLCHAIN, dirs: ['stm32cubeide'], files: [/^\.cproject$/i, /^\.project$/i, /^makefile$/i] },
+    // Legacy System Workbench projects, never offered but dropped when a toolchain is chosen
+    { name: 'SW4STM32', dirs: ['sw4stm32'], files: [] }
+];
+
+// Package and board subfolders holding pictures and documentation next to the examples
+const BOARD_MEDIA_FOLDERS = ['_htmresc', 'Documentation'];
+const BOARD_MEDIA_PATTERN = /\.(png|jpe?g|gif|bmp|pdf)$/i;
+// Generic picture names accepted inside a board's own folders
+const BOARD_IMAGE_NAMES = ['board', 'image', 'picture', 'photo'];
+
 export class PackageManager {
+    private _descriptors = new Map<string, Promise<PackageDescriptor | null>>();
+
+    // Without an index every call walks the package tree
+    constructor(private readonly _index?: PackageIndex) {}
+
+    /**
+     * Default locations searched for installed firmware packages.
+     * STM32CubeMX and STM32CubeIDE unpack packages into ~/STM32Cube/Repository.
+     */
+    static getDefaultSearchRoots(): string[] {
+        return [path.join(os.homedir(), 'STM32Cube', 'Repository')];
+    }
+
+    /**
+     * Searches the given roots for STM32Cube firmware packages, descending at most
+     * maxDepth levels below each root. A folder that is recognised as a package is
+     * not searched any further. Cancelling stops the search and returns the packages
+     * found so far.
+     */
+    async discoverPackages(searchRoots: string[], maxDepth: number = 3, options: OperationOptions = {}): Promise<PackageInfo[]> {
+        const found: PackageInfo[] = [];
+        const visited = new Set<string>();
+
+        const walk = async (dir: string, depth: number): Promise<void> => {
+            if (options.token && options.token.isCancellationRequested) {
+                return;
+            }
+            let realDir: string;
+            try {
+                realDir = await fs.realpath(dir);
+            } catch (error) {
+                return;
+            }
+            if (visited.has(realDir)) {
+                return;
+            }
+            visited.add(realDir);
+            if (options.onProgress && visited.size % 25 === 0) {
+                options.onProgress({
+                    phase: 'scan',
+                    message: `Searched ${visited.size} folders, found ${found.length} packages`,
+                    filesDone: visited.size,
+                    filesTotal: 0,
+                    bytesDone: 0,
+                    bytesTotal: 0
+                });
+            }
+
+            if (await this.isStm32CubePackage(dir)) {
+                try {
+                    found.push(await this.analyzePackage(dir));
+                } catch (error) {
+                    log.error(`Error analyzing discovered package ${dir}:`, error);
+                }
+                return;
+            }
+
+            if (depth >= maxDepth) {
+                return;
+            }
+
+            let entries: fs.Dirent[];
+            try {
+                entries = await fs.readdir(dir, { withFileTypes: true });
+            } catch (error) {
+                // Skip directories we can't access
+                return;
+            }
+
+            for (const entry of entries) {
+                if (entry.isDirectory() && !DISCOVERY_SKIP_DIRS.includes(entry.name.toLowerCase())) {
+                    await walk(path.join(dir, entry.name), depth + 1);
+                }
+            }
+        };
+
+        for (const root of searchRoots) {
+            if (root && await fs.pathExists(root)) {
+                log.debug(`Searching for STM32Cube packages in: ${root}`);
+                await walk(root, 0);
+            }
+        }
+
+        log.info(`Discovered ${found.length} STM32Cube packages`);
+        return found;
+    }
+
+    /**
+     * A folder is an STM32Cube firmware package when it holds both a Projects
+     * and a Drivers directory, like STM32Cube_FW_U5_V1.3.0.
+     */
+    async isStm32CubePackage(dir: string): Promise<boolean> {
+        try {
+            const entries = await fs.readdir(dir, { withFileTypes: true });
+            const dirs = entries.filter(e => e.isDirectory()).map(e => e.name.toLowerCase());
+            return dirs.includes('projects') && dirs.includes('drivers');
+        } catch (error) {
+            return false;
+        }
+    }
     
     async analyzePackage(packagePath: string): Promise<PackageInfo> {
         try {
@@ -33,14 +222,21 @@ export class PackageManager {
             const packageFile = await this.findPackageDescriptor(packagePath);
             
             if (packageFile) {
-                return await this.parsePackageDescriptor(packageFile);
+                try {
+                    return await this.parsePackageDescriptor(packageFile);
+                } catch (error) {
+                    // The folder name still gives the name and version
+                    log.warn(descriptorReadError(packageFile, error).message);
+                }
             }
 
             // Fallback: analyze directory structure
+            // Cube packages are named like STM32Cube_FW_U5_V1.3.0
             const packageName = path.basename(packagePath);
+            const versionMatch = packageName.match(/[_-]V(\d+(?:\.\d+)+)$/i);
             return {
                 name: packageName,
-                version: 'Unknown',
+                version: versionMatch ? versionMatch[1] : 'Unknown',
                 path: packagePath,
                 description: `STM32 Package: ${packageName}`
             };
@@ -49,26 +245,191 @@ export class PackageManager {
         }
     }
 
-    async getAvailableBoards(packagePath: string): Promise<BoardInfo[]> {
+    /**
+     * Installs an ST firmware archive such as en.stm32cubeu5-v1-3-0.zip into packagesDir and
+     * returns the extracted package. A patch archive only holds the files that changed; it is
+     * applied on top of a copy of the installed base version with the same major.minor
+     * (V1.3.1 on V1.3.0) and becomes a package of its own. installedPaths are searched for
+     * the base in addition to packagesDir.
+     */
+    async installPackageArchive(archivePath: string, packagesDir: string, installedPaths: string[] = [], options: OperationOptions = {}): Promise<PackageInfo> {
+        const archive = await ZipArchive.open(archivePath);
+        let partialPath: string | undefined;
+        try {
+            // ST archives hold a single STM32Cube_FW_<series>_V<version> folder
+            const roots = new Set(archive.entries.map(entry => entry.name.split('/')[0]));
+            const rootName = roots.size === 1 ? Array.from(roots)[0] : undefined;
+            const release = rootName ? parseReleaseName(rootName) : undefined;
+            if (!rootName || !release) {
+                throw new Error(`${path.basename(archivePath)} does not contain an STM32Cube firmware package`);
+            }
+
+            const targetPath = path.join(packagesDir, rootName);
+            if (await fs.pathExists(targetPath)) {
+                throw new Error(`${rootName} is already installed in ${packagesDir}`);
+            }
+
+            const topLevel = new Set(archive.entries.map(entry => (entry.name.split('/')[1] || '').toLowerCase()));
+            const isPatch = !topLevel.has('projects') || !topLevel.has('drivers');
+            let basePath: string | undefined;
+            if (isPatch) {
+                basePath = await this.findPatchBase(release, [...installedPaths, ...await this.listSubdirectories(packagesDir)]);
+                if (!basePath) {
+                    throw new Error(`${rootName} is a patch and needs an installed ${release.series}_V${release.version[0]}.${release.version[1]}.x base package`);
+                }
+            }
+
+            // Extract next to the target first so an interrupted install never looks like a package
+            partialPath = path.join(packagesDir, `.${rootName}.partial`);
+            await fs.remove(partialPath);
+            await fs.ensureDir(partialPath);
+
+            if (basePath) {
+                log.info(`Applying patch ${rootName} on top of ${basePath}`);
+                const copier = new FileCopier(options);
+                await copier.add(basePath, partialPath, 'base');
+                await copier.run();
+            }
+            log.info(`Extracting ${archivePath} to ${targetPath}`);
+            await archive.extract(partialPath, `${rootName}/`, 'extract', options);
+
+            if (!await this.isStm32CubePackage(partialPath)) {
+                throw new Error(`${rootName} has no Projects and Drivers folders`);
+            }
+            await fs.move(partialPath, targetPath);
+            partialPath = undefined;
+
+            return await this.analyzePackage(targetPath);
+        } finally {
+            await archive.close();
+            if (partialPath) {
+                await fs.remove(partialPath);
+            }
+        }
+    }
+
+    // Highest installed version of the same series and major.minor that is older than the patch
+    private async findPatchBase(release: ReleaseName, candidates: string[]): Promise<string | undefined> {
+        let best: { path: string; release: ReleaseName } | undefined;
+        for (const candidate of candidates) {
+            const base = parseReleaseName(path.basename(candidate));
+            if (!base || base.series.toLowerCase() !== release.series.toLowerCase()
+                || base.version[0] !== release.version[0] || base.version[1] !== release.version[1]
+                || compareVersions(base.version, release.version) >= 0
+                || !await this.isStm32CubePackage(candidate)) {
+                continue;
+            }
+            if (!best || compareVersions(base.version, best.release.version) > 0) {
+                best = { path: candidate, release: base };
+            }
+        }
+        return best ? best.path : undefined;
+    }
+
+    async getAvailableBoards(packagePath: string, options: OperationOptions = {}): Promise<BoardInfo[]> {
+        if (!this._index) {
+            return this.scanPackageBoards(packagePath, options);
+        }
+
+        const stamp = await this.getBoardsStamp(packagePath);
+        const cached = await this._index.getBoards(packagePath, stamp);
+        if (cached) {
+            log.debug(`Loaded ${cached.length} boards for ${packagePath} from the index`);
+            return cached;
+        }
+        const boards = await this.scanPackageBoards(packagePath, options);
+        await this._index.setBoards(packagePath, stamp, boards);
+        return boards;
+    }
+
+    async getProjectsForBoard(packagePath: string, boardId: string): Promise<ProjectInfo[]> {
+        if (!this._index) {
+            return this.scanBoardProjects(packagePath, boardId);
+        }
+
+        const stamp = await this.getProjectsStamp(packagePath, boardId);
+        const cached = await this._index.getProjects(packagePath, boardId, stamp);
+        if (cached) {
+            log.debug(`Loaded ${cached.length} projects for ${boardId} from the index`);
+            return cached;
+        }
+        const projects = await this.scanBoardProjects(packagePath, boardId);
+        await this._index.setProjects(packagePath, boardId, stamp, projects);
+        return projects;
+    }
+
+    /**
+     * Forgets cached boards and projects of a package, or of one board when boardId is
+     * given. Called by the file watcher and when a package is rescanned.
+     */
+    async invalidate(packagePath: string, boardId?: string, includeBoards = false): Promise<void> {
+        if (boardId === undefined || includeBoards) {
+            this._descriptors.delete(path.resolve(packagePath));
+        }
+        if (this._index) {
+            await this._index.invalidate(packagePath, boardId, includeBoards);
+        }
+    }
+
+    async removeFromIndex(packagePath: string): Promise<void> {
+        this._descriptors.delete(path.resolve(packagePath));
+        if (this._index) {
+            await this._index.remove(packagePath);
+        }
+    }
+
+    // The package root, the board folders and their parent, and the shared picture/documentation folders
+    private async getBoardsStamp(packagePath: string): Promise<string> {
+        const roots = ['Projects', 'Examples', 'Applications', 'Demonstrations'].map(d => path.join(packagePath, d));
+        const boardDirs = await this.listSubdirectories(roots[0]);
+        const mediaDirs = BOARD_MEDIA_FOLDERS.map(d => path.join(packagePath, d));
+        return getStamp([packagePath, ...roots, ...boardDirs, ...mediaDirs]);
+    }
+
+    // The board folder, its categories and the groups inside them
+    private async getProjectsStamp(packagePath: string, boardId: string): Promise<string> {
+        const boardPath = path.join(packagePath, 'Projects', boardId);
+        const categoryDirs = await this.listSubdirectories(boardPath);
+        const groupDirs: string[] = [];
+        for (const categoryDir of categoryDirs) {
+            groupDirs.push(...await this.listSubdirectories(categoryDir));
+        }
+        return getStamp([packagePath, boardPath, ...categoryDirs, ...groupDirs]);
+    }
+
+    private async listSubdirectories(dir: string): Promise<string[]> {
+        try {
+            const entries = await fs.readdir(dir, { withFileTypes: true });
+            return entries.filter(e => e.isDirectory()).map(e => path.join(dir, e.name)).sort();
+        } catch (error) {
+            return [];
+        }
+    }
+
+    private async scanPackageBoards(packagePath: string, options: OperationOptions): Promise<BoardInfo[]> {
         const boards: BoardInfo[] = [];
         
         try {
-            console.log(`Analyzing package at: ${packagePath}`);
+            log.debug(`Analyzing package at: ${packagePath}`);
+            await fs.readdir(packagePath);
             
             // STM32Cube packages have this structure:
             // Projects/[BoardName]/[Examples|Applications|Demonstrations]/[ProjectName]/...
             // The board names are the directories directly under Projects/
             
             const projectsPath = path.join(packagePath, 'Projects');
-            console.log(`Checking Projects directory: ${projectsPath}`);
+            log.debug(`Checking Projects directory: ${projectsPath}`);
+
+            const descriptor = await this.getPackageDescriptor(packagePath);
+            const mcuResolver = new McuResolver(packagePath, descriptor);
 
             if (await fs.pathExists(projectsPath)) {
-                console.log(`✅ Projects directory found`);
-                const foundBoards = await this.scanForBoards(projectsPath);
-                console.log(`Found ${foundBoards.length} boards in Projects`);
+                log.debug(`✅ Projects directory found`);
+                const foundBoards = await this.scanForBoards(projectsPath, mcuResolver, options);
+                log.debug(`Found ${foundBoards.length} boards in Projects`);
                 boards.push(...foundBoards);
             } else {
-                console.log(`❌ Projects directory not found at ${projectsPath}`);
+                log.debug(`❌ Projects directory not found at ${projectsPath}`);
                 
                 // Fallback: check if there are other common directories
                 const fallbackPaths = [
@@ -77,13 +438,20 @@ export class PackageManager {
                     path.join(packagePath, 'Demonstrations')
                 ];
                 
+                const existing: string[] = [];
                 for (const fallbackPath of fallbackPaths) {
                     if (await fs.pathExists(fallbackPath)) {
-                        console.log(`Found fallback directory: ${fallbackPath}`);
-                        const fallbackBoards = await this.scanForBoards(fallbackPath);
-                        boards.push(...fallbackBoards);
+                        existing.push(fallbackPath);
                     }
                 }
+                if (existing.length === 0) {
+                    throw new UnsupportedLayoutError(`${packagePath} has no Projects folder (nor Examples, Applications or Demonstrations), so it holds no boards`, packagePath);
+                }
+                for (const fallbackPath of existing) {
+                    log.debug(`Found fallback directory: ${fallbackPath}`);
+                    const fallbackBoards = await this.scanForBoards(fallbackPath, mcuResolver, options);
+                    boards.push(...fallbackBoards);
+                }
             }
 
             // Remove duplicates by board ID
@@ -91,36 +459,44 @@ export class PackageManager {
                 index === self.findIndex(b => b.id === board.id)
             );
 
-            console.log(`Total unique boards found: ${uniqueBoards.length}`);
-            uniqueBoards.forEach(board => console.log(`Board: ${board.id} - ${board.name}`));
+            if (descriptor) {
+                await this.applyDescriptorToBoards(packagePath, descriptor, uniqueBoards, mcuResolver);
+            }
+            await this.applyBoardMedia(packagePath, uniqueBoards);
+
+            log.info(`Total unique boards found: ${uniqueBoards.length}`);
+            uniqueBoards.forEach(board => log.trace(`Board: ${board.id} - ${board.name}`));
 
             return uniqueBoards;
         } catch (error) {
-            console.error('Error getting available boards:', error);
-            return [];
+            if (error instanceof OperationCancelledError) {
+                throw error;
+            }
+            log.error(`Could not read the boards of ${packagePath}:`, error);
+            throw toPackageError(error, packagePath, `Package folder ${packagePath}`);
         }
     }
 
-    async getProjectsForBoard(packagePath: string, boardId: string): Promise<ProjectInfo[]> {
+    private async scanBoardProjects(packagePath: string, boardId: string): Promise<ProjectInfo[]> {
         const projects: ProjectInfo[] = [];
         
         try {
-            console.log(`Getting projects for board: ${boardId} in package: ${packagePath}`);
+            log.debug(`Getting projects for board: ${boardId} in package: ${packagePath}`);
             
             // STM32Cube structure: Projects/[BoardName]/[Examples|Applications|Demonstrations|Templates|Examples_*|Templates_*]/...
             const boardPath = path.join(packagePath, 'Projects', boardId);
-            console.log(`Checking board path: ${boardPath}`);
+            log.debug(`Checking board path: ${boardPath}`);
             
             if (await fs.pathExists(boardPath)) {
-                console.log(`✅ Board directory found: ${boardPath}`);
+                log.debug(`✅ Board directory found: ${boardPath}`);
                 
                 const projectCategories = await this.findProjectCategories(boardPath);
-                console.log(`Detected categories under board: ${projectCategories.join(', ')}`);
+                log.debug(`Detected categories under board: ${projectCategories.join(', ')}`);
                 
                 for (const category of projectCategories) {
                     const categoryPath = path.join(boardPath, category);
                     const discovered = await this.discoverProjects(categoryPath, 3);
-                    console.log(`Discovered ${discovered.length} projects in ${category}`);
+                    log.debug(`Discovered ${discovered.length} projects in ${category}`);
 
                     for (const projDir of discovered) {
                         const toolchains = await this.detectToolchains(projDir);
@@ -130,62 +506,101 @@ export class PackageManager {
                             name: displayName,
                             description: `STM32 Project: ${rel}`,
                             path: projDir,
-                            toolchain: toolchains.length ? toolchains : ['Generic']
+                            toolchain: toolchains.length ? toolchains : ['Generic'],
+                            category: category,
+                            group: getProjectGroup(rel),
+                            doc: await this.findReadme(projDir)
                         });
                     }
                 }
             } else {
-                console.log(`❌ Board directory not found: ${boardPath}`);
+                throw new PackageNotFoundError(`Board folder ${boardPath} does not exist`, boardPath);
+            }
+
+            const descriptor = await this.getPackageDescriptor(packagePath);
+            if (descriptor) {
+                await this.applyDescriptorToProjects(packagePath, boardId, descriptor, projects);
             }
 
-            console.log(`Total projects found for ${boardId}: ${projects.length}`);
-            projects.forEach(project => console.log(`Project: ${project.name} -> ${project.path}`));
+            log.info(`Total projects found for ${boardId}: ${projects.length}`);
+            projects.forEach(project => log.trace(`Project: ${project.name} -> ${project.path}`));
 
             return projects;
         } catch (error) {
-            console.error('Error getting projects for board:', error);
-            return [];
+            log.error(`Could not read the projects of ${boardId}:`, error);
+            throw toPackageError(error, path.join(packagePath, 'Projects', boardId), `Board folder of ${boardId}`);
         }
     }
 
-    // Overloads to support both legacy (3 args) and extended (with location/target/projectPath)
-    async importProject(packagePath: string, boardId: string, projectName: string): Promise<string>;
-    async importProject(packagePath: string, boardId: string, projectName: string, location?: string, targetName?: string, projectPath?: string): Promise<string>;
-    async importProject(packagePath: string, boardId: string, projectName: string, location?: string, targetName?: string, projectPath?: string): Promise<string> {
+    async getProjectReadme(project: ProjectInfo): Promise<string | undefined> {
+        if (!project.doc) {
+            return undefined;
+        }
         try {
-            let targetBasePath: string;
-            let finalProjectName: string;
+            return await fs.readFile(project.doc, 'utf8');
+        } catch (error) {
+            log.error(`Error reading readme ${project.doc}:`, error);
+            return undefined;
+        }
+    }
 
-            if (location && location.trim().length > 0) {
-                targetBasePath = location.trim();
-            } else {
-                // Ask user to choose destination folder as a fallback
-                const options: vscode.OpenDialogOptions = {
-                    canSelectMany: false,
-                    canSelectFiles: false,
-                    canSelectFolders: true,
-                    openLabel: 'Select Import Location'
-                };
-                const folderUri = await vscode.window.showOpenDialog(options);
-                if (!folderUri || !folderUri[0]) {
-                    throw new Error('No import location selected');
-                }
-                targetBasePath = folderUri[0].fsPath;
+    /**
+     * STM32CubeMX configuration of a project, read from the .ioc in its folder or one level
+     * below. Examples without an .ioc (most LL and register-level ones) return undefined.
+     */
+    async getProjectConfiguration(projectPath: string): Promise<IocConfiguration | undefined> {
+        const files = await findFiles(projectPath, /\.ioc$/i, 1, ['drivers', 'middlewares']);
+        if (files.length === 0) {
+            return undefined;
+        }
+        // Prefer the .ioc named after the project when a folder holds several
+        const name = path.basename(projectPath).toLowerCase();
+        const file = files.find(f => path.basename(f, path.extname(f)).toLowerCase() === name) || files[0];
+        try {
+            return await readIoc(file);
+        } catch (error) {
+            log.error(`Error reading ${file}:`, error);
+            return undefined;
+        }
+    }
+
+    /**
+     * Copies an example (projectPath, or the one found for projectName) into location, named
+     * targetName or after the example, together with the Drivers and Middlewares its toolchain
+     * files reference, and writes the VS Code configuration. Returns the project folder.
+     */
+    async importProject(packagePath: string, boardId: string, projectName: string, location: string, targetName?: string, projectPath?: string, toolchain?: string, options: ImportOptions = {}): Promise<string> {
+        // Set once the target folder is known; a failed import removes it again if the import created it
+        let createdTarget: string | undefined;
+        // A replaced project is moved aside until the new import is complete, and restored if it fails
+        let replacedBackup: string | undefined;
+        try {
+            const targetBasePath = location.trim();
+            if (!targetBasePath) {
+                throw new Error('No import location given');
             }
 
-            // Determine the project folder name
-            if (targetName && targetName.trim().length > 0) {
-                finalProjectName = targetName.trim();
+            const targetPath = this.getImportTargetPath(projectName, targetBasePath, targetName);
+            const finalProjectName = path.basename(targetPath);
+
+            // Never write into an existing folder unless the caller chose how to handle it
+            let manifest: ImportManifest | undefined;
+            if (await fs.pathExists(targetPath)) {
+                if (!options.conflict) {
+                    throw new Error(`${targetPath} already exists`);
+                }
+                if (options.conflict === 'replace') {
+                    replacedBackup = `${targetPath}.replaced-${Date.now()}`;
+                    log.info(`Replacing existing project ${targetPath}, keeping it as ${replacedBackup} until the import is complete`);
+                    await fs.move(targetPath, replacedBackup);
+                    createdTarget = targetPath;
+                } else {
+                    manifest = await readManifest(targetPath);
+                    log.info(`Merging into existing project ${targetPath} (${manifest ? 'with' : 'without'} import manifest)`);
+                }
             } else {
-                // Derive a reasonable name from the projectName display string
-                const leaf = projectName.split('/')
-                    .filter(Boolean)
-                    .pop() || projectName;
-                // Use a filesystem-safe version of the leaf name without prettifying
-                finalProjectName = leaf.replace(/[<>:\"/\\|?*]/g, '_').trim();
+                createdTarget = targetPath;
             }
-
-            const targetPath = path.join(targetBasePath, finalProjectName);
             // Ensure only the parent directory exists to avoid nesting the project as a subfolder
             await fs.ensureDir(targetBasePath);
 
@@ -200,36 +615,411 @@ export class PackageManager {
                 throw new Error(`Project source not found for "${projectName}"`);
             }
 
-            // Copy the selected project contents
-            console.log(`Copying project from ${sourceProjectPath} -> ${targetPath}`);
-            await fs.copy(sourceProjectPath, targetPath, { overwrite: true, errorOnExist: false });
-
-            // Always include Drivers from the package root
-            const driversSrc = path.join(packagePath, 'Drivers');
-            const driversDst = path.join(targetPath, 'Drivers');
-            if (await fs.pathExists(driversSrc)) {
-                console.log(`Copying Drivers from ${driversSrc} -> ${driversDst}`);
-                await fs.copy(driversSrc, driversDst, { overwrite: true, errorOnExist: false });
+            // Copy the selected project contents, leaving out the other toolchains' project files
+            log.info(`Copying project from ${sourceProjectPath} -> ${targetPath} (toolchain: ${toolchain || 'all'})`);
+            const copier = new FileCopier(options);
+            await copier.add(sourceProjectPath, targetPath, 'project', this.createToolchainFilter(sourceProjectPath, toolchain));
+
+            // Copy only the Drivers/Middlewares parts the project's toolchain files reference
+            const sharedRoot = options.sharedRoot || targetPath;
+            const resolver = new DependencyResolver(packagePath);
+            const dependencies = await resolver.resolve(sourceProjectPath, toolchain);
+            const plan = await resolver.createCopyPlan(dependencies);
+            if (plan) {
+                log.info(resolver.formatSummary(plan));
+                await resolver.addToCopier(plan, sharedRoot, copier);
             } else {
-                console.warn(`Drivers folder not found in package: ${driversSrc}`);
+                log.debug(`No Drivers/Middlewares references found in ${dependencies.projectFiles.length} toolchain file(s), copying the full trees`);
+                await this.addSharedTrees(packagePath, sharedRoot, copier);
             }
-            
-            // Always include Middlewares from the package root (if present)
-            const middlewaresSrc = path.join(packagePath, 'Middlewares');
-            const middlewaresDst = path.join(targetPath, 'Middlewares');
-            if (await fs.pathExists(middlewaresSrc)) {
-                console.log(`Copying Middlewares from ${middlewaresSrc} -> ${middlewaresDst}`);
-                await fs.copy(middlewaresSrc, middlewaresDst, { overwrite: true, errorOnExist: false });
-            } else {
-                console.warn(`Middlewares folder not found in package: ${middlewaresSrc}`);
+
+            // Middlewares selected on top of the ones the project files reference
+            const middlewares = (options.middlewares || []).map(relativePath => path.join(sharedRoot, relativePath));
+            if (middlewares.length > 0) {
+                const queued = new Set(copier.destinations);
+                for (const relativePath of options.middlewares!) {
+                    await copier.add(path.join(packagePath, relativePath), path.join(sharedRoot, relativePath), 'Middlewares',
+                        source => !queued.has(path.join(sharedRoot, path.relative(packagePath, source))));
+                }
+            }
+
+            // Shared files an earlier project of the batch already copied are not copied again
+            const sharedDestinations = sharedRoot !== targetPath ? copier.destinations.filter(d => isOutside(targetPath, d)) : [];
+            if (sharedDestinations.length > 0) {
+                await this.excludeExistingSharedFiles(targetPath, sharedRoot, copier, options.sharedFiles);
+            }
+
+            // A merge only overwrites files that are still as the previous import left them, copied or generated
+            const keepFiles = new Set<string>();
+            if (options.conflict === 'merge') {
+                const vscodeDir = path.join(targetPath, '.vscode');
+                const generatedFiles = [
+                    ...['CMakeLists.txt', TOOLCHAIN_FILE, 'CMakePresets.json'].map(f => path.join(targetPath, f)),
+                    ...(await fs.readdir(vscodeDir).catch(() => [] as string[])).map(f => path.join(vscodeDir, f))
+                ];
+                for (const destination of [...copier.destinations, ...generatedFiles]) {
+                    if (await fs.pathExists(destination) && !await isUnmodified(targetPath, toRelative(targetPath, destination), manifest)) {
+                        keepFiles.add(destination);
+                    }
+                }
+                copier.exclude(keepFiles);
+                log.debug(`Keeping ${keepFiles.size} modified file(s) in ${targetPath}`);
+            }
+            await copier.run();
+            if (options.sharedFiles) {
+                sharedDestinations.forEach(d => options.sharedFiles!.add(d));
             }
-            
-            // Update project configuration if needed
-            await this.updateProjectConfiguration(targetPath, finalProjectName);
 
+            // Point the toolchain files at the copied Drivers/Middlewares and rename the project
+            throwIfCancelled(options.token);
+            reportPhase(options, 'config', 'Updating project files', copier);
+            const writtenFiles = [...copier.destinations];
+            writtenFiles.push(...await this.updateProjectConfiguration(packagePath, sourceProjectPath, targetPath, sharedRoot, finalProjectName, keepFiles));
+
+            // Without CMake files the tasks are generated for the example's own project files
+            let configToolchain = toolchain;
+            if (toolchain === CMAKE_TOOLCHAIN) {
+                if (await new CMakeGenerator(targetPath).generate(finalProjectName, keepFiles, middlewares)) {
+                    writtenFiles.push(...['CMakeLists.txt', TOOLCHAIN_FILE, 'CMakePresets.json']
+                        .map(f => path.join(targetPath, f))
+                        .filter(f => !keepFiles.has(f)));
+                } else {
+                    configToolchain = undefined;
+                }
+            }
+
+            // IntelliSense, build/flash tasks and a Cortex-Debug launch configuration
+            const mcuResolver = new McuResolver(packagePath, await this.getPackageDescriptor(packagePath));
+            const device = options.partNumber
+                ? await mcuResolver.resolveDevice(options.partNumber)
+                : await mcuResolver.resolveBoardDevice(sourceProjectPath) || await mcuResolver.resolveBoardDevice(path.join(packagePath, 'Projects', boardId));
+            writtenFiles.push(...await new VsCodeConfigGenerator(targetPath).generate({
+                projectName: finalProjectName,
+                toolchain: configToolchain,
+                mcuHint: device ? device.partNumber : undefined,
+                mcu: options.partNumber,
+                packagePath,
+                svdFile: device ? device.svdFile : undefined,
+                middlewares
+            }, keepFiles));
+
+            await this.writeImportManifest(packagePath, boardId, sourceProjectPath, targetPath, sharedRoot, toolchain, writtenFiles, manifest);
+            if (replacedBackup) {
+                await fs.remove(replacedBackup).catch(error => log.warn(`Could not remove the replaced project ${replacedBackup}:`, error));
+            }
+            reportPhase(options, 'config', keepFiles.size > 0 ? `Import finished, kept ${keepFiles.size} modified file(s)` : 'Import finished', copier);
             return targetPath;
         } catch (error) {
-            throw new Error(`Failed to import project: ${error}`);
+            if (createdTarget) {
+                log.info(`Import ${error instanceof OperationCancelledError ? 'cancelled' : 'failed'}, removing ${createdTarget}`);
+                await fs.remove(createdTarget);
+                if (replacedBackup) {
+                    log.info(`Restoring the replaced project ${createdTarget}`);
+                    await fs.move(replacedBackup, createdTarget);
+                }
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Leaves out shared Drivers and Middlewares files that already exist below sharedRoot
+     * because this batch copied them, or because they are identical to the package's copy.
+     * Files that differ come from another package version and would be used by both the
+     * existing and the new projects, so the import fails instead of mixing them.
+     */
+    private async excludeExistingSharedFiles(targetPath: string, sharedRoot: string, copier: FileCopier, sharedFiles?: Set<string>): Promise<void> {
+        const existing = new Set<string>();
+        const conflicts: string[] = [];
+        for (const { source, destination } of copier.files.filter(f => isOutside(targetPath, f.destination))) {
+            if (sharedFiles && sharedFiles.has(destination)) {
+                existing.add(destination);
+            } else if (await fs.pathExists(destination)) {
+                if (await hashFile(destination) === await hashFile(source)) {
+                    existing.add(destination);
+                } else {
+                    conflicts.push(toRelative(sharedRoot, destination));
+                }
+            }
+        }
+        if (conflicts.length > 0) {
+            throw new Error(`${sharedRoot} already holds ${conflicts.length} Drivers/Middlewares file(s) that differ from this package, e.g. ${conflicts[0]}. Import into another folder or upgrade the existing projects there first`);
+        }
+        copier.exclude(existing);
+    }
+
+    /**
+     * Imports several projects into their own folders below location, named after the
+     * examples. Drivers and Middlewares are copied once into location and shared by all
+     * of them. A failing project does not stop the batch; cancelling does, and the
+     * projects that were not imported yet are reported as cancelled.
+     */
+    async importProjects(packagePath: string, boardId: string, items: BatchImportItem[], location: string, options: ImportOptions = {}): Promise<BatchImportResult[]> {
+        const results: BatchImportResult[] = [];
+        const targetNames = this.getBatchTargetNames(items, location);
+        const sharedFiles = new Set<string>();
+
+        for (let i = 0; i < items.length; i++) {
+            const item = items[i];
+            if (options.token && options.token.isCancellationRequested) {
+                results.push({ projectName: item.projectName, cancelled: true });
+                continue;
+            }
+
+            try {
+                const targetPath = await this.importProject(packagePath, boardId, item.projectName, location, targetNames[i], item.projectPath, item.toolchain, {
+                    ...options,
+                    sharedRoot: location,
+                    sharedFiles,
+                    onProgress: options.onProgress && (p => options.onProgress!({
+                        ...p,
+                        message: `[${i + 1}/${items.length}] ${p.message}`,
+                        item: i,
+                        itemCount: items.length
+                    }))
+                });
+                results.push({ projectName: item.projectName, targetPath });
+            } catch (error) {
+                const cancelled = error instanceof OperationCancelledError;
+                log.error(`Batch import of ${item.projectName} ${cancelled ? 'cancelled' : 'failed'}:`, error);
+                results.push({ projectName: item.projectName, error: cancelled ? undefined : String(error instanceof Error ? error.message : error), cancelled });
+            }
+        }
+
+        const imported = results.filter(r => r.targetPath).length;
+        log.info(`Batch import finished: ${imported} of ${items.length} project(s) imported to ${location}`);
+        return results;
+    }
+
+    /**
+     * Folder names importProjects gives the items, in the same order. Folders keep the
+     * example's own name; examples from different categories can share one, so later
+     * ones get _2, _3...
+     */
+    getBatchTargetNames(items: BatchImportItem[], location: string): string[] {
+        const usedNames = new Set<string>();
+        return items.map(item => {
+            if (item.targetName) {
+                usedNames.add(item.targetName.toLowerCase());
+                return item.targetName;
+            }
+            const baseName = item.projectPath ? path.basename(item.projectPath) : path.basename(this.getImportTargetPath(item.projectName, location));
+            let targetName = baseName;
+            for (let n = 2; usedNames.has(targetName.toLowerCase()); n++) {
+                targetName = `${baseName}_${n}`;
+            }
+            usedNames.add(targetName.toLowerCase());
+            return targetName;
+        });
+    }
+
+    /**
+     * Folder an import would create: the target name, or the last segment of the
+     * project's display name made filesystem-safe, inside location.
+     */
+    getImportTargetPath(projectName: string, location: string, targetName?: string): string {
+        if (targetName && targetName.trim().length > 0) {
+            return path.join(location.trim(), targetName.trim());
+        }
+        // Derive a reasonable name from the projectName display string
+        const leaf = projectName.split('/')
+            .filter(Boolean)
+            .pop() || projectName;
+        // Use a filesystem-safe version of the leaf name without prettifying
+        return path.join(location.trim(), leaf.replace(/[<>:\"/\\|?*]/g, '_').trim());
+    }
+
+    // Records the content of every file the import wrote; files kept by a merge keep their earlier entry
+    private async writeImportManifest(packagePath: string, boardId: string, sourceProjectPath: string, targetPath: string, sharedRoot: string,
+        toolchain: string | undefined, writtenFiles: string[], previous?: ImportManifest): Promise<void> {
+        const files: { [relativePath: string]: string } = previous ? { ...previous.files } : {};
+        for (const file of new Set(writtenFiles)) {
+            // Shared Drivers/Middlewares of a batch import belong to no single project
+            if (!isOutside(targetPath, file) && await fs.pathExists(file)) {
+                files[toRelative(targetPath, file)] = await hashFile(file);
+            }
+        }
+
+        let packageInfo: PackageInfo | undefined;
+        try {
+            packageInfo = await this.analyzePackage(packagePath);
+        } catch (error) {
+            // The manifest is still useful without the package name and version
+        }
+        await writeManifest(targetPath, {
+            packagePath,
+            packageName: packageInfo ? packageInfo.name : undefined,
+            packageVersion: packageInfo ? packageInfo.version : undefined,
+            boardId,
+            projectPath: sourceProjectPath,
+            projectRelativePath: toRelative(packagePath, sourceProjectPath),
+            driversRoot: toRelative(targetPath, sharedRoot) || '.',
+            toolchain,
+            files
+        });
+    }
+
+    // Queues the complete Drivers and Middlewares trees, used when the project's dependencies are unknown
+    private async addSharedTrees(packagePath: string, targetPath: string, copier: FileCopier): Promise<void> {
+        for (const root of ['Drivers', 'Middlewares'] as const) {
+            const source = path.join(packagePath, root);
+            if (await fs.pathExists(source)) {
+                log.debug(`Copying ${root} from ${source} -> ${path.join(targetPath, root)}`);
+                await copier.add(source, path.join(targetPath, root), root);
+            } else {
+                log.warn(`${root} folder not found in package: ${source}`);
+            }
+        }
+    }
+
+    /**
+     * Builds an fs.copy filter that drops the top-level folders and files of every toolchain
+     * other than the selected one. Without a known toolchain everything is copied.
+     */
+    private createToolchainFilter(sourceRoot: string, toolchain?: string): (src: string) => boolean {
+        const selected = TOOLCHAIN_LAYOUTS.find(t => t.name === toolchain);
+        if (!selected) {
+            return () => true;
+        }
+
+        const excludedDirs = TOOLCHAIN_LAYOUTS
+            .filter(t => t !== selected)
+            .reduce<string[]>((dirs, t) => dirs.concat(t.dirs), [])
+            .filter(dir => !selected.dirs.includes(dir));
+        const excludedFiles = TOOLCHAIN_LAYOUTS
+            .filter(t => t !== selected)
+            .reduce<RegExp[]>((files, t) => files.concat(t.files), []);
+
+        return (src: string): boolean => {
+            const rel = path.relative(sourceRoot, src);
+            if (!rel) {
+                return true;
+            }
+            const segments = rel.split(/[\\/]/);
+            const top = segments[0];
+            if (excludedDirs.includes(top.toLowerCase())) {
+                return false;
+            }
+            if (segments.length === 1 && excludedFiles.some(re => re.test(top))) {
+                return selected.files.some(re => re.test(top));
+            }
+            return true;
+        };
+    }
+
+    /**
+     * Parsed CMSIS-Pack description of the package, or null when the package has no .pdsc.
+     * The result is cached per package path.
+     */
+    async getPackageDescriptor(packagePath: string): Promise<PackageDescriptor | null> {
+        const key = path.resolve(packagePath);
+        let descriptor = this._descriptors.get(key);
+        if (!descriptor) {
+            descriptor = this.readPackageDescriptor(packagePath).then(result => result.descriptor || null, error => {
+                // Boards and projects are still found from the folder layout
+                log.warn('Ignoring the package descriptor:', error);
+                return null;
+            });
+            this._descriptors.set(key, descriptor);
+        }
+        return descriptor;
+    }
+
+    /**
+     * Finds and parses the .pdsc (or package.xml) of a package without caching. A package
+     * without one returns no file; an unreadable or invalid one throws DescriptorReadError.
+     */
+    async readPackageDescriptor(packagePath: string): Promise<{ file?: string; descriptor?: PackageDescriptor }> {
+        let file: string | null;
+        try {
+            file = await this.findPackageDescriptor(packagePath);
+        } catch (error) {
+            throw toPackageError(error, packagePath, `Package folder ${packagePath}`);
+        }
+        if (!file || !/\.(pdsc|xml)$/i.test(file)) {
+            return {};
+        }
+        try {
+            return { file, descriptor: await parsePdsc(await fs.readFile(file, 'utf8')) };
+        } catch (error) {
+            throw descriptorReadError(file, error);
+        }
+    }
+
+    // Replaces folder-name heuristics with the vendor's board metadata where a board matches
+    private async applyDescriptorToBoards(packagePath: string, descriptor: PackageDescriptor, boards: BoardInfo[], mcuResolver: McuResolver): Promise<void> {
+        const normalize = (name: string) => name.toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+        for (const board of boards) {
+            // Match by name first, then through the examples stored in the board folder
+            let pdscBoard = descriptor.boards.find(b => normalize(b.name) === normalize(board.id));
+            if (!pdscBoard) {
+                const prefix = `projects/${board.id.toLowerCase()}/`;
+                const example = descriptor.examples.find(e => e.boardName && e.folder.toLowerCase().startsWith(prefix));
+                pdscBoard = example ? descriptor.boards.find(b => b.name === example.boardName) : undefined;
+            }
+            if (!pdscBoard) {
+                continue;
+            }
+
+            const mounted = pdscBoard.mountedDevices.map(d => d.name).filter(Boolean);
+            const image = pdscBoard.imageLarge || pdscBoard.imageSmall;
+            board.name = pdscBoard.name;
+            board.vendor = pdscBoard.vendor;
+            board.mountedDevices = mounted;
+            // A part number from the board's .ioc is more specific than the mounted device
+            if (!board.device && mounted.length > 0) {
+                board.device = await mcuResolver.resolveDevice(mounted[0]);
+                board.mcu = board.device.partNumber;
+            }
+            board.description = pdscBoard.description || board.description;
+            if (image && await fs.pathExists(path.join(packagePath, image))) {
+                board.imagePath = path.join(packagePath, image);
+            }
+            board.documents = pdscBoard.books.map(b => ({
+                title: b.title,
+                path: /^https?:/i.test(b.name) ? b.name : path.join(packagePath, b.name),
+                category: b.category
+            }));
+        }
+    }
+
+    // Adds example descriptions from the descriptor and examples the folder scan did not find
+    private async applyDescriptorToProjects(packagePath: string, boardId: string, descriptor: PackageDescriptor, projects: ProjectInfo[]): Promise<void> {
+        const boardPrefix = `projects/${boardId.toLowerCase()}/`;
+        const examples = descriptor.examples.filter(e => e.folder.toLowerCase().startsWith(boardPrefix));
+
+        for (const example of examples) {
+            const examplePath = path.join(packagePath, example.folder);
+            let project = projects.find(p => path.resolve(p.path) === path.resolve(examplePath));
+            if (!project) {
+                if (!await fs.pathExists(examplePath)) {
+                    continue;
+                }
+                const rel = example.folder.substring(boardPrefix.length);
+                const category = rel.split('/')[0];
+                const toolchains = await this.detectToolchains(examplePath);
+                project = {
+                    name: `${category}/${this.formatProjectName(path.basename(examplePath))}`,
+                    description: `STM32 Project: ${rel}`,
+                    path: examplePath,
+                    toolchain: toolchains.length ? toolchains : ['Generic'],
+                    category,
+                    group: getProjectGroup(rel),
+                    doc: await this.findReadme(examplePath)
+                };
+                projects.push(project);
+            }
+
+            if (example.description) {
+                project.description = example.description;
+            }
+            if (example.doc && await fs.pathExists(path.join(examplePath, example.doc))) {
+                project.doc = path.join(examplePath, example.doc);
+            }
+            if (example.keywords.length > 0) {
+                project.keywords = example.keywords;
+            }
         }
     }
 
@@ -272,30 +1062,14 @@ export class PackageManager {
                 description: packageJson.description
             };
         } else if (filePath.endsWith('.pdsc') || filePath.endsWith('.xml')) {
-            return new Promise((resolve, reject) => {
-                parseString(content, (err: any, result: any) => {
-                    if (err) {
-                        reject(err);
-                        return;
-                    }
-
-                    try {
-                        const packageInfo = result.package || result;
-                        resolve({
-                            name: packageInfo.$.name || 'Unknown Package',
-                            version: packageInfo.$.version || '1.0.0',
-                            path: packagePath,
-                            description: packageInfo.description?.[0] || undefined
-                        });
-                    } catch (parseError) {
-                        resolve({
-                            name: path.basename(packagePath),
-                            version: '1.0.0',
-                            path: packagePath
-                        });
-                    }
-                });
-            });
+            const descriptor = await parsePdsc(content);
+            this._descriptors.set(path.resolve(packagePath), Promise.resolve(descriptor));
+            return {
+                name: descriptor.name,
+                version: descriptor.version || '1.0.0',
+                path: packagePath,
+                description: descriptor.description
+            };
         }
 
         return {
@@ -305,60 +1079,69 @@ export class PackageManager {
         };
     }
 
-    private async scanForBoards(boardPath: string): Promise<BoardInfo[]> {
+    private async scanForBoards(boardPath: string, mcuResolver: McuResolver, options: OperationOptions): Promise<BoardInfo[]> {
         const boards: BoardInfo[] = [];
         
         try {
             const entries = await fs.readdir(boardPath, { withFileTypes: true });
-            console.log(`Entries in boards path (${boardPath}):`, entries.map(e => e.name));
+            log.trace(`Entries in boards path (${boardPath}):`, entries.map(e => e.name));
+            const boardDirs = entries.filter(e => e.isDirectory());
             
-            for (const entry of entries) {
-                if (entry.isDirectory()) {
-                    const boardDir = path.join(boardPath, entry.name);
-                    const board = await this.analyzeBoardDirectory(boardDir, entry.name);
-                    if (board) {
-                        boards.push(board);
-                    }
+            for (const [index, entry] of boardDirs.entries()) {
+                throwIfCancelled(options.token);
+                if (options.onProgress) {
+                    options.onProgress({
+                        phase: 'scan',
+                        message: `Analyzing board ${entry.name} (${index + 1}/${boardDirs.length})`,
+                        filesDone: index,
+                        filesTotal: boardDirs.length,
+                        bytesDone: 0,
+                        bytesTotal: 0
+                    });
+                }
+                const boardDir = path.join(boardPath, entry.name);
+                const board = await this.analyzeBoardDirectory(boardDir, entry.name, mcuResolver);
+                if (board) {
+                    boards.push(board);
                 }
             }
         } catch (error) {
-            console.error('Error scanning for boards:', error);
+            throw toPackageError(error, boardPath);
         }
 
         return boards;
     }
 
-    private async analyzeBoardDirectory(boardDir: string, boardName: string): Promise<BoardInfo | null> {
+    private async analyzeBoardDirectory(boardDir: string, boardName: string, mcuResolver: McuResolver): Promise<BoardInfo | null> {
         try {
-            console.log(`Analyzing board directory: ${boardDir}`);
+            log.debug(`Analyzing board directory: ${boardDir}`);
             
             // Check if this directory actually contains projects (indicating it's a board folder)
             const hasProjects = await this.hasProjectsInDirectory(boardDir);
             if (!hasProjects) {
-                console.log(`Skipping ${boardName} - no projects found`);
+                log.debug(`Skipping ${boardName} - no projects found`);
                 return null;
             }
             
-            // Look for board images in common locations
-            const imagePath = await this.findBoardImage(boardDir);
-            
-            // Try to extract MCU information from project files
-            const mcu = await this.extractMcuInfo(boardDir);
+            // The MCU comes from the STM32CubeMX .ioc of one of the board's projects
+            const device = await mcuResolver.resolveBoardDevice(boardDir);
+            const mcu = device ? device.partNumber : undefined;
             
             // Create a more descriptive board name
             const formattedName = this.formatBoardName(boardName);
             
-            console.log(`Found board: ${boardName} -> ${formattedName}, MCU: ${mcu || 'Unknown'}`);
+            log.debug(`Found board: ${boardName} -> ${formattedName}, MCU: ${mcu || 'Unknown'}`);
 
             return {
                 id: boardName,
                 name: formattedName,
                 description: `STM32 Development Board: ${formattedName}${mcu ? ` (${mcu})` : ''}`,
-                imagePath: imagePath,
-                mcu: mcu || 'STM32'
+                mcu: mcu || 'STM32',
+                device
             };
         } catch (error) {
-            console.error(`Error analyzing board directory ${boardDir}:`, error);
+            // One unreadable board does not hide the others
+            log.warn(`Skipping board folder ${boardDir}:`, error);
             return null;
         }
     }
@@ -367,19 +1150,14 @@ export class PackageManager {
         try {
             const entries = await fs.readdir(boardDir, { withFileTypes: true });
 
-            // Accept categories like: Examples, Examples_LL, Examples_HAL, Templates, Templates_LL, Applications, Demonstrations
-            const isCategory = (name: string): boolean => {
-                return /^(Examples(?!\w)|Examples_[A-Za-z0-9_]+|Templates(?!\w)|Templates_[A-Za-z0-9_]+|Applications|Demonstrations)$/i.test(name);
-            };
-
             const categoryDirs = entries
-                .filter(entry => entry.isDirectory() && isCategory(entry.name))
+                .filter(entry => entry.isDirectory() && isProjectCategory(entry.name))
                 .map(d => d.name);
 
-            console.log(`Category directories under ${boardDir}: ${categoryDirs.join(', ')}`);
+            log.debug(`Category directories under ${boardDir}: ${categoryDirs.join(', ')}`);
             
             if (categoryDirs.length === 0) {
-                console.log(`No project categories found in ${boardDir}`);
+                log.debug(`No project categories found in ${boardDir}`);
                 return false;
             }
             
@@ -387,15 +1165,15 @@ export class PackageManager {
                 const categoryPath = path.join(boardDir, category);
                 const has = await this.hasProjectsInCategory(categoryPath);
                 if (has) {
-                    console.log(`Found projects in ${category} category`);
+                    log.debug(`Found projects in ${category} category`);
                     return true;
                 }
             }
             
-            console.log(`No projects found in any category in ${boardDir}`);
+            log.debug(`No projects found in any category in ${boardDir}`);
             return false;
         } catch (error) {
-            console.error(`Error checking projects in ${boardDir}:`, error);
+            log.warn(`Could not read board folder ${boardDir}:`, error);
             return false;
         }
     }
@@ -409,83 +1187,43 @@ export class PackageManager {
         }
     }
 
-    private async hasProjectFiles(projectPath: string): Promise<boolean> {
-        try {
-            const files = await fs.readdir(projectPath);
-            
-            // Look for common project files
-            const projectIndicators = [
-                '.uvprojx',    // Keil
-                '.eww', '.ewp', // IAR
-                '.cproject',   // Eclipse/STM32CubeIDE
-                'Makefile',    // GCC
-                '.ioc',        // STM32CubeMX
-                'main.c', 'main.cpp', // Source files
-                'Inc/', 'Src/', // Common directories
-                'Core/'        // STM32CubeIDE structure
-            ];
-            
-            return files.some(file => 
-                projectIndicators.some(indicator => 
-                    file.includes(indicator) || 
-                    file.endsWith(indicator) ||
-                    file.toLowerCase().includes(indicator.toLowerCase())
-                )
-            );
-        } catch (error) {
-            return false;
+    /**
+     * Collects board pictures and PDFs (user manual, schematics) from the board folder, its
+     * _htmresc and Documentation subfolders, and files in the package-level _htmresc and
+     * Documentation folders whose name contains the board id. Descriptor entries stay first.
+     */
+    private async applyBoardMedia(packagePath: string, boards: BoardInfo[]): Promise<void> {
+        const shared: string[] = [];
+        for (const folder of BOARD_MEDIA_FOLDERS) {
+            shared.push(...await findFiles(path.join(packagePath, folder), BOARD_MEDIA_PATTERN, 2));
         }
-    }
 
-    private async findBoardImage(boardDir: string): Promise<string | undefined> {
-        const imageExtensions = ['.png', '.jpg', '.jpeg', '.gif', '.bmp'];
-        const commonNames = ['board', 'image', 'picture', 'photo'];
-        
-        try {
-            const files = await fs.readdir(boardDir);
-            
-            for (const file of files) {
-                const ext = path.extname(file).toLowerCase();
-                const name = path.basename(file, ext).toLowerCase();
-                
-                if (imageExtensions.includes(ext) && 
-                    (commonNames.some(n => name.includes(n)) || name.includes('board'))) {
-                    return path.join(boardDir, file);
-                }
+        for (const board of boards) {
+            const boardDir = path.join(packagePath, 'Projects', board.id);
+            const own = await findFiles(boardDir, BOARD_MEDIA_PATTERN, 0);
+            for (const folder of BOARD_MEDIA_FOLDERS) {
+                own.push(...await findFiles(path.join(boardDir, folder), BOARD_MEDIA_PATTERN, 1));
             }
-        } catch (error) {
-            // Ignore errors when looking for images
-        }
-        
-        return undefined;
-    }
+            const files = [...own.filter(f => isPdf(f) || isBoardFile(f, board.id, true)), ...shared.filter(f => isBoardFile(f, board.id, false))];
 
-    private async extractMcuInfo(boardDir: string): Promise<string | undefined> {
-        try {
-            // Look for configuration files that might contain MCU info
-            const files = await fs.readdir(boardDir);
-            
-            for (const file of files) {
-                const filePath = path.join(boardDir, file);
-                try {
-                    const stat = await fs.stat(filePath);
-                    if (stat.isFile() && (file.endsWith('.h') || file.endsWith('.ioc'))) {
-                        const content = await fs.readFile(filePath, 'utf8');
-                        const mcuMatch = content.match(/STM32[A-Z]\d+/i);
-                        if (mcuMatch) {
-                            return mcuMatch[0].toUpperCase();
-                        }
-                    }
-                } catch (fileError) {
-                    // Skip files that can't be read
-                    continue;
+            const images = uniquePaths([...(board.imagePath ? [board.imagePath] : []), ...files.filter(f => !isPdf(f))]);
+            board.images = images;
+            board.imagePath = images[0];
+
+            // Descriptor books may point to files that are not shipped with the package
+            const documents: BoardDocument[] = [];
+            for (const document of board.documents || []) {
+                if (/^https?:/i.test(document.path) || await fs.pathExists(document.path)) {
+                    documents.push(document);
                 }
             }
-        } catch (error) {
-            // Ignore errors when extracting MCU info
+            for (const file of uniquePaths(files.filter(isPdf))) {
+                if (!documents.some(d => path.resolve(d.path) === file)) {
+                    documents.push({ title: path.basename(file), path: file, category: classifyDocument(path.basename(file)) });
+                }
+            }
+            board.documents = documents;
         }
-        
-        return undefined;
     }
 
     private formatBoardName(name: string): string {
@@ -515,64 +1253,6 @@ export class PackageManager {
         return formatted;
     }
 
-    private async scanForProjects(projectPath: string): Promise<ProjectInfo[]> {
-        // Deprecated in favor of discoverProjects + detectToolchains, but kept for compatibility where used
-        const projects: ProjectInfo[] = [];
-        
-        try {
-            const entries = await fs.readdir(projectPath, { withFileTypes: true });
-            
-            for (const entry of entries) {
-                if (entry.isDirectory()) {
-                    const projectDir = path.join(projectPath, entry.name);
-                    const project = await this.analyzeProjectDirectory(projectDir, entry.name);
-                    if (project) {
-                        projects.push(project);
-                    }
-                }
-            }
-        } catch (error) {
-            console.error('Error scanning for projects:', error);
-        }
-
-        return projects;
-    }
-
-    private async analyzeProjectDirectory(projectDir: string, projectName: string): Promise<ProjectInfo | null> {
-        try {
-            // Detect supported toolchains
-            const toolchains: string[] = [];
-            
-            const toolchainFiles = [
-                { file: '*.uvprojx', name: 'Keil' },
-                { file: '*.eww', name: 'IAR' },
-                { file: 'STM32*', name: 'STM32CubeIDE' },
-                { file: 'Makefile', name: 'GCC' },
-                { file: '*.cproject', name: 'Eclipse' }
-            ];
-
-            for (const tc of toolchainFiles) {
-                if (await this.hasMatchingFile(projectDir, tc.file)) {
-                    toolchains.push(tc.name);
-                }
-            }
-
-            if (toolchains.length === 0) {
-                toolchains.push('Generic');
-            }
-
-            return {
-                name: this.formatProjectName(projectName),
-                description: `STM32 Project: ${this.formatProjectName(projectName)}`,
-                path: projectDir,
-                toolchain: toolchains
-            };
-        } catch (error) {
-            console.error(`Error analyzing project directory ${projectDir}:`, error);
-            return null;
-        }
-    }
-
     private async hasMatchingFile(dir: string, pattern: string): Promise<boolean> {
         try {
             const files = await fs.readdir(dir);
@@ -618,23 +1298,31 @@ export class PackageManager {
         return null;
     }
 
-    private async updateProjectConfiguration(projectPath: string, projectName: string): Promise<void> {
-        // Update project files with the new project name if needed
+    private async updateProjectConfiguration(packagePath: string, sourceProjectPath: string, projectPath: string, sharedRoot: string, projectName: string, keepFiles?: Set<string>): Promise<string[]> {
         try {
-            // This could be extended to update specific configuration files
-            console.log(`Project ${projectName} imported to ${projectPath}`);
+            const updater = new ProjectConfigUpdater(packagePath, sourceProjectPath, projectPath, sharedRoot);
+            const result = await updater.update(projectName, keepFiles);
+            log.info(`Project ${projectName} imported to ${projectPath} (${result.updatedFiles.length} project file(s) updated)`);
+            return result.updatedFiles;
         } catch (error) {
-            console.error('Error updating project configuration:', error);
+            log.error('Error updating project configuration:', error);
+            return [];
         }
     }
 
-    // NEW HELPERS
     private async findProjectCategories(boardPath: string): Promise<string[]> {
         const entries = await fs.readdir(boardPath, { withFileTypes: true });
-        const isCategory = (name: string): boolean => {
-            return /^(Examples(?!\w)|Examples_[A-Za-z0-9_]+|Templates(?!\w)|Templates_[A-Za-z0-9_]+|Applications|Demonstrations)$/i.test(name);
-        };
-        return entries.filter(e => e.isDirectory() && isCategory(e.name)).map(e => e.name);
+        return entries.filter(e => e.isDirectory() && isProjectCategory(e.name)).map(e => e.name);
+    }
+
+    private async findReadme(projectDir: string): Promise<string | undefined> {
+        try {
+            const entries = await fs.readdir(projectDir, { withFileTypes: true });
+            const readme = entries.find(e => e.isFile() && /^readme(\.txt|\.md)?$/i.test(e.name));
+            return readme ? path.join(projectDir, readme.name) : undefined;
+        } catch (error) {
+            return undefined;
+        }
     }
 
     private async discoverProjects(root: string, maxDepth: number): Promise<string[]> {
@@ -664,7 +1352,7 @@ export class PackageManager {
         try {
             await walk(root, 0);
         } catch (error) {
-            console.error(`Error discovering projects under ${root}:`, error);
+            log.error(`Error discovering projects under ${root}:`, error);
         }
 
         return discovered;
@@ -713,7 +1401,93 @@ export class PackageManager {
         addIf(names.includes('mdk-arm') || await this.hasMatchingFile(projectDir, '*.uvprojx'), 'Keil');
         addIf(names.includes('ewarm') || await this.hasMatchingFile(projectDir, '*.eww') || await this.hasMatchingFile(projectDir, '*.ewp'), 'IAR');
         addIf(await this.hasMatchingFile(projectDir, 'Makefile'), 'GCC');
+        addIf(toolchains.includes('STM32CubeIDE') || toolchains.includes('GCC'), CMAKE_TOOLCHAIN);
 
         return Array.from(new Set(toolchains));
     }
-} 
\ No newline at end of file
+}
+
+function reportPhase(options: OperationOptions, phase: OperationProgress['phase'], message: string, copier: FileCopier): void {
+    if (options.onProgress) {
+        options.onProgress({
+            phase,
+            message,
+            filesDone: copier.totalFiles,
+            filesTotal: copier.totalFiles,
+            bytesDone: copier.totalBytes,
+            bytesTotal: copier.totalBytes
+        });
+    }
+}
+
+export interface ReleaseName {
+    // STM32Cube_FW_U5
+    series: string;
+    version: number[];
+}
+
+// STM32Cube_FW_U5_V1.3.0 -> STM32Cube_FW_U5, [1, 3, 0]
+export function parseReleaseName(name: string): ReleaseName | undefined {
+    const match = name.match(/^(STM32Cube_FW_[A-Za-z0-9]+)_V(\d+(?:\.\d+)*)$/i);
+    return match ? { series: match[1], version: match[2].split('.').map(Number) } : undefined;
+}
+
+// Board subfolders holding examples: Examples, Examples_LL, Examples_HAL, Templates, Templates_LL, Applications, Demonstrations
+export function isProjectCategory(name: string): boolean {
+    return /^(Examples(?!\w)|Examples_[A-Za-z0-9_]+|Templates(?!\w)|Templates_[A-Za-z0-9_]+|Applications|Demonstrations)$/i.test(name);
+}
+
+export function compareVersions(a: number[], b: number[]): number {
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        const diff = (a[i] || 0) - (b[i] || 0);
+        if (diff !== 0) {
+            return diff;
+        }
+    }
+    return 0;
+}
+
+function isOutside(dir: string, file: string): boolean {
+    const relative = path.relative(dir, file);
+    return relative.startsWith('..') || path.isAbsolute(relative);
+}
+
+// Examples/GPIO/GPIO_IOToggle -> GPIO; projects directly under their category have no group
+function getProjectGroup(boardRelativePath: string): string | undefined {
+    const segments = boardRelativePath.split('/').filter(Boolean);
+    return segments.length > 2 ? segments[1] : undefined;
+}
+
+function isPdf(file: string): boolean {
+    return path.extname(file).toLowerCase() === '.pdf';
+}
+
+// NUCLEO-U575ZI-Q matches nucleo_u575zi_q.png and NUCLEO-U575ZI.jpg; generic names only count in the board folder
+function isBoardFile(file: string, boardId: string, inBoardFolder: boolean): boolean {
+    const normalize = (text: string) => text.toLowerCase().replace(/[^a-z0-9]/g, '');
+    const name = normalize(path.basename(file, path.extname(file)));
+    const ids = [boardId, boardId.replace(/-[A-Za-z0-9]{1,2}$/, '')].map(normalize);
+    return ids.some(id => id.length > 0 && name.includes(id))
+        || (inBoardFolder && BOARD_IMAGE_NAMES.some(n => name.includes(n)));
+}
+
+// Same category names as the books of a package descriptor
+function classifyDocument(fileName: string): string | undefined {
+    if (/sch(ematic)?/i.test(fileName)) {
+        return 'schematic';
+    }
+    if (/^um\d+|user.?manual/i.test(fileName)) {
+        return 'manual';
+    }
+    return undefined;
+}
+
+function uniquePaths(files: string[]): string[] {
+    return Array.from(new Set(files.map(f => path.resolve(f))));
+}
+
+// XML parser messages continue with line and column on further lines
+function descriptorReadError(file: string, error: unknown): DescriptorReadError {
+    const reason = (error instanceof Error ? error.message : String(error)).split('\n')[0];
+    return new DescriptorReadError(`Cannot read package descriptor ${path.basename(file)}: ${reason}`, file);
+}
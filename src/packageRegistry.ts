@@ -0,0 +1,60 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { PackageInfo } from './packageManager';
+
+const REGISTRY_KEY = 'stm32PackageManager.packages';
+
+/**
+ * Persisted list of imported STM32Cube packages, kept in the extension global state
+ * so that the Package Explorer and the import panel survive restarts.
+ */
+export class PackageRegistry {
+    private _onDidChange: vscode.EventEmitter<void> = new vscode.EventEmitter<void>();
+    readonly onDidChange: vscode.Event<void> = this._onDidChange.event;
+
+    constructor(private readonly state: vscode.Memento) {}
+
+    getPackages(): PackageInfo[] {
+        return this.state.get<PackageInfo[]>(REGISTRY_KEY, []);
+    }
+
+    getPackage(packagePath: string): PackageInfo | undefined {
+        const key = this.normalize(packagePath);
+        return this.getPackages().find(p => this.normalize(p.path) === key);
+    }
+
+    has(packagePath: string): boolean {
+        return this.getPackage(packagePath) !== undefined;
+    }
+
+    // Adds the package, or replaces the existing entry registered for the same path
+    async add(packageInfo: PackageInfo): Promise<void> {
+        const key = this.normalize(packageInfo.path);
+        const packages = this.getPackages().filter(p => this.normalize(p.path) !== key);
+        packages.push({
+            name: packageInfo.name,
+            version: packageInfo.version,
+            path: packageInfo.path,
+            description: packageInfo.description
+        });
+        packages.sort((a, b) => a.name.localeCompare(b.name) || a.version.localeCompare(b.version));
+        await this.state.update(REGISTRY_KEY, packages);
+        this._onDidChange.fire();
+    }
+
+    async remove(packagePath: string): Promise<void> {
+        const key = this.normalize(packagePath);
+        const packages = this.getPackages().filter(p => this.normalize(p.path) !== key);
+        await this.state.update(REGISTRY_KEY, packages);
+        this._onDidChange.fire();
+    }
+
+    dispose(): void {
+        this._onDidChange.dispose();
+    }
+
+    private normalize(packagePath: string): string {
+        const resolved = path.resolve(packagePath);
+        return process.platform === 'win32' ? resolved.toLowerCase() : resolved;
+    }
+}
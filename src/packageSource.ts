@@ -0,0 +1,104 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { PackageInfo, PackageManager } from './packageManager';
+import { PackageRegistry } from './packageRegistry';
+import { OperationCancelledError } from './fileCopier';
+import { log } from './logger';
+
+/**
+ * Folder that .zip packages are extracted into, ~/STM32Cube/Repository unless
+ * stm32PackageManager.packagesDirectory is set.
+ */
+export function getPackagesDirectory(): string {
+    const configured = vscode.workspace.getConfiguration('stm32PackageManager').get<string>('packagesDirectory', '');
+    return configured.trim() || PackageManager.getDefaultSearchRoots()[0];
+}
+
+/**
+ * Lets the user pick an extracted package folder or an ST .zip archive, installs the
+ * archive if needed and registers the package. Returns undefined when nothing was added.
+ */
+export async function selectPackage(packageManager: PackageManager, registry: PackageRegistry): Promise<PackageInfo | undefined> {
+    const uri = await showPackageDialog();
+    if (!uri) {
+        return undefined;
+    }
+
+    const selected = uri.fsPath;
+    const packageInfo = /\.zip$/i.test(selected)
+        ? await installArchive(packageManager, registry, selected)
+        : await packageManager.analyzePackage(selected);
+    if (packageInfo) {
+        await registry.add(packageInfo);
+    }
+    return packageInfo;
+}
+
+// Only macOS can show files and folders in one dialog, elsewhere ask which one first
+async function showPackageDialog(): Promise<vscode.Uri | undefined> {
+    let selectFiles = true;
+    let selectFolders = true;
+    if (process.platform !== 'darwin') {
+        const kind = await vscode.window.showQuickPick(
+            [
+                { label: 'Package Folder', description: 'An extracted STM32Cube_FW_* folder', archive: false },
+                { label: 'Package Archive (.zip)', description: 'Extracted into ' + getPackagesDirectory(), archive: true }
+            ],
+            { placeHolder: 'Add an STM32Cube package from' }
+        );
+        if (!kind) {
+            return undefined;
+        }
+        selectFiles = kind.archive;
+        selectFolders = !kind.archive;
+    }
+
+    const uris = await vscode.window.showOpenDialog({
+        canSelectMany: false,
+        canSelectFiles: selectFiles,
+        canSelectFolders: selectFolders,
+        filters: selectFiles ? { 'STM32Cube Package': ['zip'] } : undefined,
+        openLabel: 'Select STM32 Package'
+    });
+    return uris && uris[0];
+}
+
+async function installArchive(packageManager: PackageManager, registry: PackageRegistry, archivePath: string): Promise<PackageInfo | undefined> {
+    const packagesDir = getPackagesDirectory();
+    try {
+        const packageInfo = await vscode.window.withProgress(
+            {
+                location: vscode.ProgressLocation.Notification,
+                title: `Installing ${path.basename(archivePath)}`,
+                cancellable: true
+            },
+            (progress, token) => {
+                let reported = 0;
+                return packageManager.installPackageArchive(
+                    archivePath,
+                    packagesDir,
+                    registry.getPackages().map(p => p.path),
+                    {
+                        token,
+                        onProgress: p => {
+                            const percent = p.bytesTotal > 0 ? Math.floor(p.bytesDone / p.bytesTotal * 100) : 0;
+                            progress.report({
+                                message: p.message,
+                                increment: Math.max(0, percent - reported)
+                            });
+                            reported = Math.max(reported, percent);
+                        }
+                    }
+                );
+            }
+        );
+        log.info(`Installed ${packageInfo.name} (${packageInfo.version}) to ${packageInfo.path}`);
+        return packageInfo;
+    } catch (error) {
+        if (error instanceof OperationCancelledError) {
+            vscode.window.showInformationMessage('Package installation cancelled.');
+            return undefined;
+        }
+        throw error;
+    }
+}
@@ -0,0 +1,288 @@
+import { parseString } from 'xml2js';
+
+export interface PdscBook {
+    name: string;
+    title: string;
+    // overview, manual, schematic, layout...
+    category?: string;
+}
+
+export interface PdscBoard {
+    name: string;
+    vendor?: string;
+    revision?: string;
+    description?: string;
+    // Package-relative image paths
+    imageSmall?: string;
+    imageLarge?: string;
+    mountedDevices: { name: string; vendor?: string }[];
+    compatibleDevices: { name?: string; family?: string; subFamily?: string }[];
+    books: PdscBook[];
+}
+
+export interface PdscMemory {
+    name: string;
+    access?: string;
+    start: number;
+    size: number;
+    isDefault: boolean;
+    isStartup: boolean;
+}
+
+export interface PdscDevice {
+    name: string;
+    family?: string;
+    subFamily?: string;
+    description?: string;
+    core?: string;
+    fpu?: string;
+    clock?: number;
+    memories: PdscMemory[];
+    svd?: string;
+}
+
+export interface PdscExample {
+    name: string;
+    // Package-relative folder of the example
+    folder: string;
+    // Documentation file relative to the example folder, usually readme.txt
+    doc?: string;
+    description?: string;
+    boardName?: string;
+    boardVendor?: string;
+    // Toolchain environments as listed in <project>, e.g. uv, iar, stm32cubeide
+    environments: { name: string; load?: string }[];
+    categories: string[];
+    keywords: string[];
+}
+
+export interface PdscComponent {
+    cclass: string;
+    cgroup: string;
+    csub?: string;
+    cvariant?: string;
+    cversion?: string;
+    bundle?: string;
+    condition?: string;
+    description?: string;
+    files: { name: string; category?: string; condition?: string }[];
+}
+
+export interface PdscCondition {
+    id: string;
+    description?: string;
+    // Attribute sets of the <require>, <accept> and <deny> entries
+    require: { [attribute: string]: string }[];
+    accept: { [attribute: string]: string }[];
+    deny: { [attribute: string]: string }[];
+}
+
+export interface PackageDescriptor {
+    name: string;
+    vendor?: string;
+    version?: string;
+    description?: string;
+    url?: string;
+    boards: PdscBoard[];
+    devices: PdscDevice[];
+    examples: PdscExample[];
+    components: PdscComponent[];
+    conditions: PdscCondition[];
+}
+
+/**
+ * Parses a CMSIS-Pack description (.pdsc). Device attributes are inherited down the
+ * family / subFamily / device / variant hierarchy, so each returned device is complete.
+ */
+export async function parsePdsc(content: string): Promise<PackageDescriptor> {
+    const result = await new Promise<any>((resolve, reject) => {
+        parseString(content, (err: any, parsed: any) => err ? reject(err) : resolve(parsed));
+    });
+
+    const pkg = result.package || result;
+    const releases = first(pkg.releases);
+
+    return {
+        name: text(pkg.name) || attr(pkg, 'name') || 'Unknown Package',
+        vendor: text(pkg.vendor),
+        version: releases ? attr(first(releases.release), 'version') : attr(pkg, 'version'),
+        description: text(pkg.description),
+        url: text(pkg.url),
+        boards: list(first(pkg.boards), 'board').map(parseBoard),
+        devices: parseDevices(first(pkg.devices)),
+        examples: list(first(pkg.examples), 'example').map(parseExample),
+        components: parseComponents(first(pkg.components)),
+        conditions: list(first(pkg.conditions), 'condition').map(parseCondition)
+    };
+}
+
+function parseBoard(node: any): PdscBoard {
+    const image = first(node.image);
+    return {
+        name: attr(node, 'name') || 'Unknown Board',
+        vendor: attr(node, 'vendor'),
+        revision: attr(node, 'revision'),
+        description: text(node.description),
+        imageSmall: image ? attr(image, 'small') : undefined,
+        imageLarge: image ? attr(image, 'large') : undefined,
+        mountedDevices: list(node, 'mountedDevice').map(d => ({ name: attr(d, 'Dname') || '', vendor: attr(d, 'Dvendor') })),
+        compatibleDevices: list(node, 'compatibleDevice').map(d => ({
+            name: attr(d, 'Dname'),
+            family: attr(d, 'Dfamily'),
+            subFamily: attr(d, 'DsubFamily')
+        })),
+        books: list(node, 'book').map(b => ({
+            name: attr(b, 'name') || '',
+            title: attr(b, 'title') || attr(b, 'name') || '',
+            category: attr(b, 'category')
+        }))
+    };
+}
+
+interface InheritedDeviceProps {
+    family?: string;
+    subFamily?: string;
+    description?: string;
+    core?: string;
+    fpu?: string;
+    clock?: number;
+    memories: PdscMemory[];
+    svd?: string;
+}
+
+function parseDevices(devicesNode: any): PdscDevice[] {
+    const devices: PdscDevice[] = [];
+
+    const inherit = (node: any, parent: InheritedDeviceProps): InheritedDeviceProps => {
+        const processor = first(node.processor);
+        const debug = first(node.debug);
+        const memories = list(node, 'memory').map(parseMemory);
+        return {
+            family: parent.family,
+            subFamily: parent.subFamily,
+            description: text(node.description) || parent.description,
+            core: (processor && attr(processor, 'Dcore')) || parent.core,
+            fpu: (processor && attr(processor, 'Dfpu')) || parent.fpu,
+            clock: (processor && toNumber(attr(processor, 'Dclock'))) || parent.clock,
+            // Memories declared lower in the hierarchy replace inherited ones with the same name
+            memories: parent.memories.filter(m => !memories.some(n => n.name === m.name)).concat(memories),
+            svd: (debug && attr(debug, 'svd')) || parent.svd
+        };
+    };
+
+    const addDevice = (node: any, props: InheritedDeviceProps, nameAttr: string) => {
+        const own = inherit(node, props);
+        const variants = list(node, 'variant');
+        if (variants.length > 0) {
+            variants.forEach(v => addDevice(v, own, 'Dvariant'));
+            return;
+        }
+        devices.push({ name: attr(node, nameAttr) || '', ...own });
+    };
+
+    for (const family of list(devicesNode, 'family')) {
+        const familyProps = inherit(family, { family: attr(family, 'Dfamily'), memories: [] });
+        for (const subFamily of list(family, 'subFamily')) {
+            const subProps = inherit(subFamily, { ...familyProps, subFamily: attr(subFamily, 'DsubFamily') });
+            list(subFamily, 'device').forEach(d => addDevice(d, subProps, 'Dname'));
+        }
+        list(family, 'device').forEach(d => addDevice(d, familyProps, 'Dname'));
+    }
+
+    return devices;
+}
+
+function parseMemory(node: any): PdscMemory {
+    return {
+        name: attr(node, 'name') || attr(node, 'id') || '',
+        access: attr(node, 'access'),
+        start: toNumber(attr(node, 'start')) || 0,
+        size: toNumber(attr(node, 'size')) || 0,
+        isDefault: attr(node, 'default') === '1' || attr(node, 'default') === 'true',
+        isStartup: attr(node, 'startup') === '1' || attr(node, 'startup') === 'true'
+    };
+}
+
+function parseExample(node: any): PdscExample {
+    const board = first(node.board);
+    const project = first(node.project);
+    const attributes = first(node.attributes);
+    return {
+        name: attr(node, 'name') || '',
+        folder: (attr(node, 'folder') || '').replace(/\\/g, '/').replace(/\/$/, ''),
+        doc: attr(node, 'doc'),
+        description: text(node.description),
+        boardName: board ? attr(board, 'name') : undefined,
+        boardVendor: board ? attr(board, 'vendor') : undefined,
+        environments: list(project, 'environment').map(e => ({ name: attr(e, 'name') || '', load: attr(e, 'load') })),
+        categories: attributes ? (attributes.category || []).map((c: any) => text([c]) || '').filter(Boolean) : [],
+        keywords: attributes ? (attributes.keyword || []).map((k: any) => text([k]) || '').filter(Boolean) : []
+    };
+}
+
+function parseComponents(componentsNode: any): PdscComponent[] {
+    const components: PdscComponent[] = [];
+    const add = (node: any, bundle?: any) => {
+        components.push({
+            cclass: attr(node, 'Cclass') || (bundle && attr(bundle, 'Cclass')) || '',
+            cgroup: attr(node, 'Cgroup') || '',
+            csub: attr(node, 'Csub'),
+            cvariant: attr(node, 'Cvariant'),
+            cversion: attr(node, 'Cversion') || (bundle && attr(bundle, 'Cversion')),
+            bundle: bundle ? attr(bundle, 'Cbundle') : undefined,
+            condition: attr(node, 'condition'),
+            description: text(node.description),
+            files: list(first(node.files), 'file').map(f => ({
+                name: attr(f, 'name') || '',
+                category: attr(f, 'category'),
+                condition: attr(f, 'condition')
+            }))
+        });
+    };
+
+    list(componentsNode, 'component').forEach(c => add(c));
+    for (const bundle of list(componentsNode, 'bundle')) {
+        list(bundle, 'component').forEach(c => add(c, bundle));
+    }
+    return components;
+}
+
+function parseCondition(node: any): PdscCondition {
+    return {
+        id: attr(node, 'id') || '',
+        description: text(node.description),
+        require: list(node, 'require').map(n => ({ ...(n.$ || {}) })),
+        accept: list(node, 'accept').map(n => ({ ...(n.$ || {}) })),
+        deny: list(node, 'deny').map(n => ({ ...(n.$ || {}) }))
+    };
+}
+
+// xml2js helpers: children are arrays, attributes live in $, text content in _ when attributes exist
+function first(value: any): any {
+    return Array.isArray(value) ? value[0] : value;
+}
+
+function list(node: any, name: string): any[] {
+    return node && Array.isArray(node[name]) ? node[name] : [];
+}
+
+function attr(node: any, name: string): string | undefined {
+    return node && node.$ && node.$[name] !== undefined ? String(node.$[name]) : undefined;
+}
+
+function text(value: any): string | undefined {
+    const node = first(value);
+    if (node === undefined || node === null) {
+        return undefined;
+    }
+    const content = typeof node === 'string' ? node : node._;
+    return typeof content === 'string' ? content.replace(/\s+/g, ' ').trim() || undefined : undefined;
+}
+
+function toNumber(value?: string): number | undefined {
+    if (value === undefined) {
+        return undefined;
+    }
+    const parsed = Number(value.trim());
+    return isNaN(parsed) ? undefined : parsed;
+}
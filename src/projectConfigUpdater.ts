@@ -0,0 +1,167 @@
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import { log } from './logger';
+
+// Toolchain files whose paths and project name are rewritten after an import
+const PROJECT_FILE_PATTERNS = [/^\.cproject$/i, /^\.project$/i, /\.uvprojx$/i, /\.ewp$/i, /^makefile$/i];
+
+// Folders copied from the package root, never searched for project files
+const SHARED_ROOTS = ['Drivers', 'Middlewares'];
+
+export interface ProjectConfigUpdateResult {
+    updatedFiles: string[];
+}
+
+/**
+ * Fixes up the toolchain files of an example after it has been copied out of the package:
+ * relative references to the package-level Drivers/Middlewares folders are pointed at the
+ * copies placed directly under the imported project, and the project is renamed.
+ */
+export class ProjectConfigUpdater {
+    constructor(
+        private readonly packagePath: string,
+        private readonly sourceProjectPath: string,
+        private readonly targetPath: string,
+        // Folder holding the copied Drivers and Middlewares; a batch import shares one above the projects
+        private readonly sharedRoot: string = targetPath
+    ) {}
+
+    // Files in keepFiles (absolute paths) are left as they are
+    async update(projectName: string, keepFiles: Set<string> = new Set()): Promise<ProjectConfigUpdateResult> {
+        const updatedFiles: string[] = [];
+        const files = (await this.findProjectFiles(this.targetPath, 0)).filter(file => !keepFiles.has(file));
+
+        for (const file of files) {
+            const original = await fs.readFile(file, 'utf8');
+            const rel = path.relative(this.targetPath, file);
+            const sourceDir = path.dirname(path.join(this.sourceProjectPath, rel));
+            const targetDir = path.dirname(file);
+            const name = path.basename(file).toLowerCase();
+
+            let content = original;
+            if (name === '.cproject') {
+                content = this.rewriteCproject(content, sourceDir, targetDir, projectName);
+            } else if (name === '.project') {
+                content = this.rewriteEclipseProject(content, sourceDir, targetDir, projectName);
+            } else if (name.endsWith('.uvprojx')) {
+                content = this.rewriteUpChains(content, sourceDir, targetDir);
+                content = content.replace(/<OutputName>[^<]*<\/OutputName>/g, `<OutputName>${escapeXml(toIdentifier(projectName))}</OutputName>`);
+            } else if (name.endsWith('.ewp')) {
+                content = this.rewriteUpChains(content, sourceDir, targetDir);
+                content = content.replace(
+                    /(<name>IlinkOutputFile<\/name>\s*<state>)[^<]*?(\.[A-Za-z]+)?(<\/state>)/g,
+                    (_m, open: string, ext: string | undefined, close: string) => `${open}${escapeXml(toIdentifier(projectName))}${ext || '.out'}${close}`
+                );
+            } else {
+                content = this.rewriteUpChains(content, sourceDir, targetDir);
+                content = content.replace(/^(TARGET\s*[:?]?=\s*).*$/m, `$1${toIdentifier(projectName)}`);
+            }
+
+            if (content !== original) {
+                await fs.writeFile(file, content, 'utf8');
+                updatedFiles.push(file);
+                log.info(`Updated project file: ${file}`);
+            }
+        }
+
+        return { updatedFiles };
+    }
+
+    // Include paths in .cproject are relative to the build folder unless prefixed with ${ProjDirPath}
+    private rewriteCproject(content: string, sourceDir: string, targetDir: string, projectName: string): string {
+        const projectRelative = /\$\{ProjDirPath\}[\\/]((?:\.\.[\\/])+)(?=(?:Drivers|Middlewares)\b)/g;
+        content = content.replace(projectRelative, (match, ups: string) => {
+            const replacement = this.rewriteChain(ups, sourceDir, targetDir);
+            return replacement === undefined ? match : `\${ProjDirPath}/${replacement}`;
+        });
+        content = this.rewriteUpChains(content, path.join(sourceDir, 'Debug'), path.join(targetDir, 'Debug'));
+
+        const oldName = (content.match(/<project\b[^>]*\bname="([^"]*)"/) || [])[1];
+        if (oldName) {
+            const newName = escapeXml(toIdentifier(projectName));
+            content = content
+                .replace(/(<project\b[^>]*\bname=")[^"]*(")/, `$1${newName}$2`)
+                .replace(/(<project\b[^>]*\bid=")[^".]*(\.)/, `$1${newName}$2`);
+        }
+        return content;
+    }
+
+    // Linked resources in .project use PARENT-<n>-PROJECT_LOC/Drivers/... locations
+    private rewriteEclipseProject(content: string, sourceDir: string, targetDir: string, projectName: string): string {
+        const depth = this.depthBelowTarget(targetDir);
+        content = content.replace(
+            /PARENT-(\d+)-PROJECT_LOC(%7D|\})?([\\/])(?=(?:Drivers|Middlewares)\b)/g,
+            (match, count: string, close: string | undefined, sep: string) => {
+                const resolved = path.resolve(sourceDir, ...Array(Number(count)).fill('..'));
+                if (!samePath(resolved, this.packagePath)) {
+                    return match;
+                }
+                return depth === 0
+                    ? `PROJECT_LOC${close || ''}${sep}`
+                    : `PARENT-${depth}-PROJECT_LOC${close || ''}${sep}`;
+            }
+        );
+
+        // The first <name> of a .project file is the project name
+        return content.replace(/<name>[^<]*<\/name>/, `<name>${escapeXml(toIdentifier(projectName))}</name>`);
+    }
+
+    // Rewrites "../../../Drivers/..." style chains that climbed from baseSourceDir to the package root
+    private rewriteUpChains(content: string, baseSourceDir: string, baseTargetDir: string): string {
+        return content.replace(/((?:\.\.[\\/])+)(?=(?:Drivers|Middlewares)\b)/g, (match, ups: string) => {
+            const replacement = this.rewriteChain(ups, baseSourceDir, baseTargetDir);
+            return replacement === undefined ? match : replacement;
+        });
+    }
+
+    private rewriteChain(ups: string, baseSourceDir: string, baseTargetDir: string): string | undefined {
+        const sep = ups.includes('\\') ? '\\' : '/';
+        const count = ups.split(/[\\/]/).filter(Boolean).length;
+        const resolved = path.resolve(baseSourceDir, ...Array(count).fill('..'));
+        if (!samePath(resolved, this.packagePath)) {
+            return undefined;
+        }
+        const depth = this.depthBelowTarget(baseTargetDir);
+        return depth === 0 ? '' : Array(depth).fill('..').join(sep) + sep;
+    }
+
+    private depthBelowTarget(dir: string): number {
+        const rel = path.relative(this.sharedRoot, dir);
+        return rel ? rel.split(/[\\/]/).length : 0;
+    }
+
+    private async findProjectFiles(dir: string, depth: number): Promise<string[]> {
+        const found: string[] = [];
+        const entries = await fs.readdir(dir, { withFileTypes: true });
+        for (const entry of entries) {
+            const full = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                if (depth < 2 && !(depth === 0 && SHARED_ROOTS.includes(entry.name))) {
+                    found.push(...await this.findProjectFiles(full, depth + 1));
+                }
+            } else if (PROJECT_FILE_PATTERNS.some(re => re.test(entry.name))) {
+                found.push(full);
+            }
+        }
+        return found;
+    }
+}
+
+// Project names end up in build output names and Makefile targets, so keep them shell- and XML-friendly
+function toIdentifier(name: string): string {
+    return name.trim().replace(/[^A-Za-z0-9_.-]+/g, '_') || 'Project';
+}
+
+function escapeXml(value: string): string {
+    return value
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function samePath(a: string, b: string): boolean {
+    const na = path.resolve(a);
+    const nb = path.resolve(b);
+    return process.platform === 'win32' ? na.toLowerCase() === nb.toLowerCase() : na === nb;
+}
@@ -0,0 +1,162 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { PackageManager } from './packageManager';
+import { MANIFEST_FILE, findImportedProjects } from './importManifest';
+import { IocConfiguration, formatFrequency } from './iocParser';
+
+export type ConfigurationItemKind = 'project' | 'mcu' | 'group' | 'entry' | 'empty';
+
+export type ConfigurationGroup = 'clocks' | 'peripherals' | 'middleware' | 'pins';
+
+const GROUP_LABELS: { [group in ConfigurationGroup]: string } = {
+    clocks: 'Clocks',
+    peripherals: 'Peripherals',
+    middleware: 'Middleware',
+    pins: 'Pins'
+};
+
+const GROUP_ICONS: { [group in ConfigurationGroup]: string } = {
+    clocks: 'watch',
+    peripherals: 'circuit-board',
+    middleware: 'extensions',
+    pins: 'plug'
+};
+
+/**
+ * "Project Configuration" view: the STM32CubeMX configuration (.ioc) of every imported
+ * project in the workspace, grouped into MCU, clocks, peripherals, middleware and pins.
+ */
+export class ProjectConfigurationProvider implements vscode.TreeDataProvider<ConfigurationItem> {
+    private _onDidChangeTreeData: vscode.EventEmitter<ConfigurationItem | undefined | null | void> = new vscode.EventEmitter<ConfigurationItem | undefined | null | void>();
+    readonly onDidChangeTreeData: vscode.Event<ConfigurationItem | undefined | null | void> = this._onDidChangeTreeData.event;
+
+    constructor(context: vscode.ExtensionContext, private readonly _packageManager: PackageManager) {
+        // Imports, deletions and edits in STM32CubeMX all change one of these files
+        const watcher = vscode.workspace.createFileSystemWatcher(`**/{*.ioc,${MANIFEST_FILE}}`);
+        context.subscriptions.push(
+            watcher,
+            watcher.onDidCreate(() => this.refresh()),
+            watcher.onDidChange(() => this.refresh()),
+            watcher.onDidDelete(() => this.refresh()),
+            vscode.workspace.onDidChangeWorkspaceFolders(() => this.refresh())
+        );
+    }
+
+    refresh(element?: ConfigurationItem): void {
+        this._onDidChangeTreeData.fire(element);
+    }
+
+    getTreeItem(element: ConfigurationItem): vscode.TreeItem {
+        return element;
+    }
+
+    async getChildren(element?: ConfigurationItem): Promise<ConfigurationItem[]> {
+        if (!element) {
+            return this.getProjectItems();
+        }
+        if (element.kind === 'project') {
+            return this.getSectionItems(element.configuration);
+        }
+        if (element.kind === 'group' && element.configuration && element.group) {
+            return getGroupEntries(element.configuration, element.group);
+        }
+        return [];
+    }
+
+    private async getProjectItems(): Promise<ConfigurationItem[]> {
+        const projects = await findImportedProjects((vscode.workspace.workspaceFolders || []).map(f => f.uri.fsPath));
+        if (projects.length === 0) {
+            return [new ConfigurationItem('No imported STM32 projects in the workspace', 'empty')];
+        }
+        const items: ConfigurationItem[] = [];
+        for (const projectDir of projects) {
+            const configuration = await this._packageManager.getProjectConfiguration(projectDir);
+            const item = new ConfigurationItem(path.basename(projectDir), 'project', vscode.TreeItemCollapsibleState.Collapsed, configuration);
+            item.description = configuration ? configuration.mcu : 'no .ioc';
+            item.tooltip = configuration && configuration.file ? `${projectDir}\n${configuration.file}` : projectDir;
+            item.resourceUri = vscode.Uri.file(projectDir);
+            items.push(item);
+        }
+        return items;
+    }
+
+    private getSectionItems(configuration?: IocConfiguration): ConfigurationItem[] {
+        if (!configuration) {
+            return [new ConfigurationItem('No STM32CubeMX configuration (.ioc) found', 'empty')];
+        }
+
+        const mcu = new ConfigurationItem('MCU', 'mcu', vscode.TreeItemCollapsibleState.None, configuration);
+        mcu.description = [configuration.mcu, configuration.package].filter(Boolean).join(', ');
+        if (configuration.file) {
+            // Opens the .ioc as text; STM32CubeMX itself is not started
+            mcu.command = { command: 'vscode.open', title: 'Open .ioc', arguments: [vscode.Uri.file(configuration.file)] };
+            mcu.tooltip = configuration.file;
+        }
+
+        const items = [mcu];
+        for (const group of Object.keys(GROUP_LABELS) as ConfigurationGroup[]) {
+            const count = getGroupEntries(configuration, group).length;
+            if (count > 0) {
+                const item = new ConfigurationItem(GROUP_LABELS[group], 'group', vscode.TreeItemCollapsibleState.Collapsed, configuration, group);
+                item.description = group === 'clocks' ? getSystemClock(configuration) : String(count);
+                items.push(item);
+            }
+        }
+        return items;
+    }
+}
+
+export class ConfigurationItem extends vscode.TreeItem {
+    constructor(
+        label: string,
+        public readonly kind: ConfigurationItemKind,
+        collapsibleState: vscode.TreeItemCollapsibleState = vscode.TreeItemCollapsibleState.None,
+        public readonly configuration?: IocConfiguration,
+        public readonly group?: ConfigurationGroup
+    ) {
+        super(label, collapsibleState);
+
+        switch (kind) {
+            case 'project':
+                this.contextValue = 'stm32ImportedProject';
+                this.iconPath = new vscode.ThemeIcon('project');
+                break;
+            case 'mcu':
+                this.iconPath = new vscode.ThemeIcon('chip');
+                break;
+            case 'group':
+                this.iconPath = new vscode.ThemeIcon(GROUP_ICONS[group!]);
+                break;
+            case 'empty':
+                this.iconPath = new vscode.ThemeIcon('info');
+                break;
+        }
+    }
+}
+
+function getGroupEntries(configuration: IocConfiguration, group: ConfigurationGroup): ConfigurationItem[] {
+    const entry = (label: string, description?: string) => {
+        const item = new ConfigurationItem(label, 'entry');
+        item.description = description;
+        return item;
+    };
+    switch (group) {
+        case 'clocks':
+            return configuration.clocks.map(c => entry(c.name, formatFrequency(c.hz)));
+        case 'peripherals':
+            return configuration.peripherals.map(ip => entry(ip));
+        case 'middleware':
+            return configuration.middleware.map(ip => entry(ip));
+        case 'pins':
+            return configuration.pins.map(pin => {
+                const item = entry(pin.name, [pin.signal || pin.mode, pin.label].filter(Boolean).join(' — '));
+                item.tooltip = [`Signal: ${pin.signal || '-'}`, `Label: ${pin.label || '-'}`, `Mode: ${pin.mode || '-'}`].join('\n');
+                return item;
+            });
+    }
+}
+
+function getSystemClock(configuration: IocConfiguration): string | undefined {
+    const sysclk = configuration.clocks.find(c => c.name.toUpperCase() === 'SYSCLK');
+    return sysclk ? `SYSCLK ${formatFrequency(sysclk.hz)}` : undefined;
+}
@@ -0,0 +1,200 @@
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import { PackageManager, ProjectInfo } from './packageManager';
+import { OperationCancelledError, OperationOptions, throwIfCancelled } from './fileCopier';
+import { McuResolver, findFiles } from './mcuResolver';
+import { getDeviceDefine } from './stm32Families';
+import { hashFile, readManifest, toRelative, writeManifest } from './importManifest';
+import { parseIocKeys } from './iocParser';
+import { log } from './logger';
+
+// Vendor folders below Middlewares that hold one component each
+const MIDDLEWARE_VENDORS = ['ST', 'Third_Party'];
+
+export interface MiddlewareInfo {
+    // Component folder, e.g. FreeRTOS or STM32_USBX_Library
+    name: string;
+    vendor: string;
+    // Forward-slash path below the package, e.g. Middlewares/Third_Party/FreeRTOS
+    relativePath: string;
+}
+
+export interface NewProjectRequest {
+    packagePath: string;
+    boardId: string;
+    // A project of a Templates or Templates_* category of the board
+    template: ProjectInfo;
+    location: string;
+    name: string;
+    toolchain?: string;
+    // MCU variant of the board's device line; the template's MCU when absent
+    partNumber?: string;
+    // Package-relative folders of the middlewares to include
+    middlewares?: string[];
+}
+
+/**
+ * Creates a new project from a board's HAL or LL template rather than from an example:
+ * the template is imported under the new name together with the selected middlewares, and
+ * the linker script and .ioc are adjusted to the chosen MCU variant.
+ */
+export class ProjectCreator {
+    constructor(private readonly packageManager: PackageManager) {}
+
+    // HAL templates (Templates) first, then LL and other variants (Templates_LL, Templates_TrustZone...)
+    async getTemplates(packagePath: string, boardId: string): Promise<ProjectInfo[]> {
+        const projects = await this.packageManager.getProjectsForBoard(packagePath, boardId);
+        return projects
+            .filter(p => /^Templates(_|$)/i.test(p.category || ''))
+            .sort((a, b) => (a.category || '').localeCompare(b.category || '') || a.name.localeCompare(b.name));
+    }
+
+    async getMiddlewares(packagePath: string): Promise<MiddlewareInfo[]> {
+        const middlewares: MiddlewareInfo[] = [];
+        for (const vendor of MIDDLEWARE_VENDORS) {
+            const entries = await fs.readdir(path.join(packagePath, 'Middlewares', vendor), { withFileTypes: true }).catch(() => [] as fs.Dirent[]);
+            for (const entry of entries.filter(e => e.isDirectory())) {
+                middlewares.push({ name: entry.name, vendor, relativePath: `Middlewares/${vendor}/${entry.name}` });
+            }
+        }
+        return middlewares.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Part numbers the template can be built for without changing its device define: the
+     * template's own MCU, the variants its .ioc names (STM32U575Z(G-I)TxQ) and the devices
+     * of the package descriptor with the same define (STM32U575xx).
+     */
+    async getDeviceVariants(packagePath: string, template: ProjectInfo): Promise<string[]> {
+        const variants: string[] = [];
+        const iocFiles = await findFiles(template.path, /\.ioc$/i, 1, ['drivers', 'middlewares']);
+        if (iocFiles.length > 0) {
+            const values = parseIocKeys(await fs.readFile(iocFiles[0], 'utf8'));
+            if (values['Mcu.UserName']) {
+                variants.push(values['Mcu.UserName']);
+            }
+            if (values['Mcu.Name']) {
+                variants.push(...expandPartNumber(values['Mcu.Name']));
+            }
+        }
+
+        const define = variants.length > 0 ? getDeviceDefine(variants[0]) : undefined;
+        const descriptor = await this.packageManager.getPackageDescriptor(packagePath);
+        if (define && descriptor) {
+            variants.push(...descriptor.devices.map(d => d.name).filter(name => getDeviceDefine(name) === define));
+        }
+
+        const unique = new Map<string, string>();
+        variants.filter(v => v && !/[()]/.test(v)).forEach(v => unique.set(v.toUpperCase(), unique.get(v.toUpperCase()) || v));
+        return Array.from(unique.values());
+    }
+
+    async create(request: NewProjectRequest, options: OperationOptions = {}): Promise<string> {
+        const targetPath = await this.packageManager.importProject(
+            request.packagePath,
+            request.boardId,
+            request.template.name,
+            request.location,
+            request.name,
+            request.template.path,
+            request.toolchain,
+            { ...options, partNumber: request.partNumber, middlewares: request.middlewares }
+        );
+
+        try {
+            const written: string[] = [];
+            throwIfCancelled(options.token);
+            if (request.partNumber) {
+                written.push(...await this.applyDeviceVariant(request.packagePath, targetPath, request.partNumber));
+            }
+            const renamed = await this.renameIoc(targetPath, request.name);
+            if (renamed) {
+                written.push(renamed.file);
+            }
+
+            const manifest = await readManifest(targetPath);
+            if (manifest && written.length > 0) {
+                const files = { ...manifest.files };
+                if (renamed) {
+                    delete files[toRelative(targetPath, renamed.previous)];
+                }
+                for (const file of written.filter(f => !renamed || f !== renamed.previous)) {
+                    files[toRelative(targetPath, file)] = await hashFile(file);
+                }
+                const { version, importedAt, ...rest } = manifest;
+                await writeManifest(targetPath, { ...rest, files });
+            }
+            log.info(`Created ${request.name} from ${request.template.name} with ${(request.middlewares || []).length} middleware(s)`);
+            return targetPath;
+        } catch (error) {
+            // The import created the folder, so a half-adjusted project is not left behind
+            log.info(`Project creation ${error instanceof OperationCancelledError ? 'cancelled' : 'failed'}, removing ${targetPath}`);
+            await fs.remove(targetPath);
+            throw error;
+        }
+    }
+
+    // STM32CubeMX names the .ioc after the project; templates ship Templates.ioc or similar
+    private async renameIoc(targetPath: string, name: string): Promise<{ previous: string; file: string } | undefined> {
+        const iocFiles = await findFiles(targetPath, /\.ioc$/i, 0);
+        if (iocFiles.length !== 1) {
+            return undefined;
+        }
+        const previous = iocFiles[0];
+        const file = path.join(targetPath, `${name}.ioc`);
+        let content = await fs.readFile(previous, 'utf8');
+        for (const [key, value] of [['ProjectManager.ProjectName', name], ['ProjectManager.ProjectFileName', `${name}.ioc`]]) {
+            const line = new RegExp(`^${key.replace(/\./g, '\\.')}=.*$`, 'm');
+            content = line.test(content) ? content.replace(line, `${key}=${value}`) : content;
+        }
+        await fs.writeFile(file, content, 'utf8');
+        if (path.resolve(previous) !== path.resolve(file)) {
+            await fs.remove(previous);
+        }
+        return { previous, file };
+    }
+
+    // Sets the flash size in the GCC linker scripts and the part number in the .ioc and STM32CubeIDE project
+    private async applyDeviceVariant(packagePath: string, targetPath: string, partNumber: string): Promise<string[]> {
+        const changed: string[] = [];
+        const device = await new McuResolver(packagePath, await this.packageManager.getPackageDescriptor(packagePath)).resolveDevice(partNumber);
+
+        if (device.flashSize) {
+            const length = `${Math.round(device.flashSize / 1024)}K`;
+            for (const file of await findFiles(targetPath, /\.ld$/i, 3, ['drivers', 'middlewares'])) {
+                const content = await fs.readFile(file, 'utf8');
+                const updated = content.replace(/^(\s*FLASH\s*\([^)]*\)\s*:\s*ORIGIN\s*=\s*\w+\s*,\s*LENGTH\s*=\s*)\w+/m, `$1${length}`);
+                if (updated !== content) {
+                    await fs.writeFile(file, updated, 'utf8');
+                    changed.push(file);
+                }
+            }
+        }
+
+        const replacements: [RegExp, RegExp, string][] = [
+            [/\.ioc$/i, /^Mcu\.UserName=.*$/m, `Mcu.UserName=${partNumber}`],
+            [/^\.cproject$/, /(superClass="com\.st\.stm32cube\.ide\.mcu\.gnu\.managedbuild\.option\.target_mcu"[^>]*value=")[^"]*"/g, `$1${partNumber}"`]
+        ];
+        for (const [filePattern, pattern, replacement] of replacements) {
+            for (const file of await findFiles(targetPath, filePattern, 2, ['drivers', 'middlewares'])) {
+                const content = await fs.readFile(file, 'utf8');
+                const updated = content.replace(pattern, replacement);
+                if (updated !== content) {
+                    await fs.writeFile(file, updated, 'utf8');
+                    changed.push(file);
+                }
+            }
+        }
+        log.info(`Configured ${targetPath} for ${partNumber}${device.flashSize ? ` (${device.flashSize / 1024} KB flash)` : ''}`);
+        return changed;
+    }
+}
+
+// STM32U575Z(G-I)TxQ -> STM32U575ZGTxQ, STM32U575ZITxQ
+function expandPartNumber(name: string): string[] {
+    const match = /^(.*?)\(([^)]+)\)(.*)$/.exec(name);
+    if (!match) {
+        return [name];
+    }
+    return match[2].split('-').flatMap(option => expandPartNumber(`${match[1]}${option}${match[3]}`));
+}
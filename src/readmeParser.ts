@@ -0,0 +1,172 @@
+export type ReadmeBlock =
+    | { type: 'paragraph'; text: string }
+    | { type: 'note'; text: string }
+    | { type: 'list'; items: ReadmeListItem[] };
+
+export interface ReadmeListItem {
+    text: string;
+    // File or folder named at the start of a "Directory contents" entry
+    path?: string;
+}
+
+export interface ReadmeSection {
+    // e.g. Example Description, Directory contents, How to use it ?
+    title: string;
+    blocks: ReadmeBlock[];
+}
+
+export interface ParsedReadme {
+    title?: string;
+    brief?: string;
+    sections: ReadmeSection[];
+}
+
+/**
+ * Parses the readme.txt shipped with STM32Cube examples. These are Doxygen pages: an
+ * @page title, a @verbatim banner with @brief, then "@par <Section>" paragraphs with
+ * "-" lists and @note remarks. Files without @par markers become a single section.
+ */
+export function parseReadme(content: string): ParsedReadme {
+    const readme: ParsedReadme = { sections: [] };
+    const lines = content.replace(/\r\n?/g, '\n').split('\n');
+
+    let current: ReadmeSection | undefined;
+    let body: string[] = [];
+    let inVerbatim = false;
+
+    const flush = () => {
+        if (current) {
+            current.blocks = parseBlocks(body);
+            if (current.blocks.length > 0 || current.title) {
+                readme.sections.push(current);
+            }
+        }
+        body = [];
+    };
+
+    for (const rawLine of lines) {
+        const line = rawLine.replace(/\t/g, '    ');
+        const trimmed = line.trim();
+
+        if (/^@verbatim\b/.test(trimmed)) {
+            inVerbatim = true;
+            continue;
+        }
+        if (/^@endverbatim\b/.test(trimmed)) {
+            inVerbatim = false;
+            continue;
+        }
+        if (inVerbatim) {
+            const brief = trimmed.match(/^\*?\s*@brief\s+(.*)$/);
+            if (brief) {
+                readme.brief = brief[1].trim();
+            }
+            continue;
+        }
+
+        const page = trimmed.match(/^@page\s+\S+\s*(.*)$/);
+        if (page) {
+            readme.title = page[1].trim() || readme.title;
+            continue;
+        }
+
+        const par = trimmed.match(/^@par\s+(.*)$/);
+        if (par) {
+            flush();
+            current = { title: par[1].trim(), blocks: [] };
+            continue;
+        }
+
+        // Comment delimiters and the copyright footer of the Doxygen block
+        if (/^\/\*\*?$/.test(trimmed) || /^\*\/$/.test(trimmed) || /^\*.*(\(C\) COPYRIGHT|&copy;)/i.test(trimmed)) {
+            continue;
+        }
+        if (!current) {
+            if (trimmed) {
+                current = { title: '', blocks: [] };
+            } else {
+                continue;
+            }
+        }
+        body.push(line);
+    }
+    flush();
+
+    return readme;
+}
+
+function parseBlocks(lines: string[]): ReadmeBlock[] {
+    const blocks: ReadmeBlock[] = [];
+    let paragraph: string[] = [];
+    let list: ReadmeListItem[] | undefined;
+    let note: string[] | undefined;
+
+    const endParagraph = () => {
+        if (paragraph.length > 0) {
+            blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+            paragraph = [];
+        }
+    };
+    const endList = () => {
+        if (list && list.length > 0) {
+            blocks.push({ type: 'list', items: list });
+        }
+        list = undefined;
+    };
+    const endNote = () => {
+        if (note) {
+            blocks.push({ type: 'note', text: note.join(' ') });
+        }
+        note = undefined;
+    };
+
+    for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed) {
+            endParagraph();
+            endNote();
+            continue;
+        }
+
+        const noteMatch = trimmed.match(/^@note\s*(.*)$/);
+        if (noteMatch) {
+            endParagraph();
+            endList();
+            endNote();
+            note = noteMatch[1] ? [noteMatch[1]] : [];
+            continue;
+        }
+        if (note) {
+            note.push(trimmed);
+            continue;
+        }
+
+        const item = trimmed.match(/^(?:[-*+o]|\d+[.)])\s+(.*)$/);
+        if (item) {
+            endParagraph();
+            list = list || [];
+            list.push(toListItem(item[1]));
+            continue;
+        }
+
+        // Indented lines continue the previous list entry, anything else ends the list
+        if (list && /^\s{2,}/.test(line)) {
+            const last = list[list.length - 1];
+            last.text = `${last.text} ${trimmed}`.trim();
+            continue;
+        }
+        endList();
+        paragraph.push(trimmed);
+    }
+    endParagraph();
+    endList();
+    endNote();
+
+    return blocks;
+}
+
+// "GPIO/GPIO_IOToggle/Src/main.c      Main program" -> path and description
+function toListItem(text: string): ReadmeListItem {
+    const match = text.match(/^([\w.\-]+(?:\/[\w.\-]+)+\/?|[\w\-]+\.[A-Za-z]\w*)\s{2,}(.*)$/);
+    return match ? { path: match[1], text: match[2].trim() } : { text: text.trim() };
+}
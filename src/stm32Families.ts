@@ -0,0 +1,50 @@
+export interface Stm32FamilyInfo {
+    // Family prefix such as STM32U5
+    family: string;
+    // GCC -mcpu value
+    core: string;
+    // GCC -mfpu value, absent for cores without an FPU
+    fpu?: string;
+    floatAbi: 'soft' | 'hard';
+}
+
+// Longer prefixes first so that STM32WBA wins over STM32WB and STM32H7RS over STM32H7
+const FAMILIES: Stm32FamilyInfo[] = [
+    { family: 'STM32H7RS', core: 'cortex-m7', fpu: 'fpv5-d16', floatAbi: 'hard' },
+    { family: 'STM32WBA', core: 'cortex-m33', fpu: 'fpv5-sp-d16', floatAbi: 'hard' },
+    { family: 'STM32MP1', core: 'cortex-m4', fpu: 'fpv4-sp-d16', floatAbi: 'hard' },
+    { family: 'STM32C0', core: 'cortex-m0plus', floatAbi: 'soft' },
+    { family: 'STM32F0', core: 'cortex-m0', floatAbi: 'soft' },
+    { family: 'STM32F1', core: 'cortex-m3', floatAbi: 'soft' },
+    { family: 'STM32F2', core: 'cortex-m3', floatAbi: 'soft' },
+    { family: 'STM32F3', core: 'cortex-m4', fpu: 'fpv4-sp-d16', floatAbi: 'hard' },
+    { family: 'STM32F4', core: 'cortex-m4', fpu: 'fpv4-sp-d16', floatAbi: 'hard' },
+    { family: 'STM32F7', core: 'cortex-m7', fpu: 'fpv5-sp-d16', floatAbi: 'hard' },
+    { family: 'STM32G0', core: 'cortex-m0plus', floatAbi: 'soft' },
+    { family: 'STM32G4', core: 'cortex-m4', fpu: 'fpv4-sp-d16', floatAbi: 'hard' },
+    { family: 'STM32H5', core: 'cortex-m33', fpu: 'fpv5-sp-d16', floatAbi: 'hard' },
+    { family: 'STM32H7', core: 'cortex-m7', fpu: 'fpv5-d16', floatAbi: 'hard' },
+    { family: 'STM32L0', core: 'cortex-m0plus', floatAbi: 'soft' },
+    { family: 'STM32L1', core: 'cortex-m3', floatAbi: 'soft' },
+    { family: 'STM32L4', core: 'cortex-m4', fpu: 'fpv4-sp-d16', floatAbi: 'hard' },
+    { family: 'STM32L5', core: 'cortex-m33', fpu: 'fpv5-sp-d16', floatAbi: 'hard' },
+    { family: 'STM32U0', core: 'cortex-m0plus', floatAbi: 'soft' },
+    { family: 'STM32U5', core: 'cortex-m33', fpu: 'fpv5-sp-d16', floatAbi: 'hard' },
+    { family: 'STM32WB', core: 'cortex-m4', fpu: 'fpv4-sp-d16', floatAbi: 'hard' },
+    { family: 'STM32WL', core: 'cortex-m4', floatAbi: 'soft' }
+];
+
+/**
+ * Looks up core and FPU settings from any name that starts with a family prefix:
+ * a part number (STM32U575ZITxQ), a device define (STM32U575xx) or a family (STM32U5xx).
+ */
+export function getFamilyInfo(name: string): Stm32FamilyInfo | undefined {
+    const upper = name.toUpperCase();
+    return FAMILIES.find(f => upper.startsWith(f.family));
+}
+
+// Device define used by the CMSIS device headers, e.g. STM32U575ZITxQ -> STM32U575xx
+export function getDeviceDefine(mcu: string): string | undefined {
+    const match = mcu.toUpperCase().match(/^(STM32[A-Z]+\d+)/);
+    return match ? `${match[1]}xx` : undefined;
+}
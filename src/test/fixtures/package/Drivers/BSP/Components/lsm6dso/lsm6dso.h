@@ -0,0 +1 @@
+/* Sensor driver */
@@ -0,0 +1 @@
+/* Flash driver, not used by the example */
@@ -0,0 +1,2 @@
+#include "stm32u5xx_nucleo.h"
+#include "../Components/lsm6dso/lsm6dso.h"
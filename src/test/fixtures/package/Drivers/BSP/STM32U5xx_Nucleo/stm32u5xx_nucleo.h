@@ -0,0 +1 @@
+/* Nucleo BSP */
@@ -0,0 +1 @@
+/* Device header */
@@ -0,0 +1 @@
+/* HAL */
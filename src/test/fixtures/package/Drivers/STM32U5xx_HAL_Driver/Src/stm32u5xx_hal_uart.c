@@ -0,0 +1 @@
+/* HAL UART, not used by the example */
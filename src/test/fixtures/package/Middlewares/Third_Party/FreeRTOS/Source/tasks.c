@@ -0,0 +1 @@
+/* FreeRTOS, not used by the example */
@@ -0,0 +1 @@
+#include "stm32u5xx_hal.h"
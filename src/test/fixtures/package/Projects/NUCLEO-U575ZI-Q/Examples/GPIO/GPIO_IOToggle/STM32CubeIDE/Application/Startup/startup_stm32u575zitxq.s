@@ -0,0 +1 @@
+/* Startup for STM32CubeIDE */
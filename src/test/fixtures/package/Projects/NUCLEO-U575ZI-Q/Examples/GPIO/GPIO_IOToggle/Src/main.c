@@ -0,0 +1,6 @@
+#include "main.h"
+
+int main(void)
+{
+    return 0;
+}
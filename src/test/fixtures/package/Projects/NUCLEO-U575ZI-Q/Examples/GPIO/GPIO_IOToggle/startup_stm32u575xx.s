@@ -0,0 +1 @@
+/* Startup for the Makefile build */
@@ -0,0 +1,105 @@
+import * as assert from 'assert';
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import { readBuildSettings } from '../../buildSettings';
+import { ProjectConfigUpdater } from '../../projectConfigUpdater';
+import { createTempDir, EXAMPLE_FIXTURE, PACKAGE_FIXTURE } from './helpers';
+
+suite('readBuildSettings', () => {
+    let tempDir: string;
+    let projectDir: string;
+
+    // readBuildSettings expects an imported project, so relocate a copy of the example first
+    setup(async () => {
+        tempDir = await createTempDir();
+        projectDir = path.join(tempDir, 'GPIO_IOToggle');
+        await fs.copy(EXAMPLE_FIXTURE, projectDir);
+        await new ProjectConfigUpdater(PACKAGE_FIXTURE, EXAMPLE_FIXTURE, projectDir).update('GPIO_IOToggle');
+    });
+
+    teardown(async () => {
+        await fs.remove(tempDir);
+    });
+
+    test('prefers the Makefile', async () => {
+        const settings = await readBuildSettings(projectDir);
+
+        assert.strictEqual(settings.origin, 'Makefile');
+        assert.deepStrictEqual(settings.sources, [
+            'Src/main.c',
+            'Drivers/STM32U5xx_HAL_Driver/Src/stm32u5xx_hal.c',
+            'Drivers/STM32U5xx_HAL_Driver/Src/stm32u5xx_hal_gpio.c',
+            'Drivers/BSP/STM32U5xx_Nucleo/stm32u5xx_nucleo.c',
+            'startup_stm32u575xx.s'
+        ]);
+        assert.deepStrictEqual(settings.includes, [
+            'Inc',
+            'Drivers/STM32U5xx_HAL_Driver/Inc',
+            'Drivers/CMSIS/Device/ST/STM32U5xx/Include',
+            'Drivers/BSP/STM32U5xx_Nucleo'
+        ]);
+        assert.deepStrictEqual(settings.defines, ['USE_HAL_DRIVER', 'STM32U575xx']);
+        assert.strictEqual(settings.linkerScript, 'STM32U575ZITXQ_FLASH.ld');
+        assert.strictEqual(settings.startupFile, 'startup_stm32u575xx.s');
+        assert.strictEqual(settings.cpu, 'cortex-m33');
+        assert.strictEqual(settings.fpu, 'fpv5-sp-d16');
+        assert.strictEqual(settings.floatAbi, 'hard');
+    });
+
+    test('falls back to the STM32CubeIDE project and reads only its Debug configuration', async () => {
+        await fs.remove(path.join(projectDir, 'Makefile'));
+        const settings = await readBuildSettings(projectDir);
+
+        assert.strictEqual(settings.origin, 'STM32CubeIDE');
+        assert.deepStrictEqual(settings.sources, [
+            'Src/main.c',
+            'Drivers/STM32U5xx_HAL_Driver/Src/stm32u5xx_hal.c',
+            'Drivers/STM32U5xx_HAL_Driver/Src/stm32u5xx_hal_gpio.c',
+            'STM32CubeIDE/Application/Startup/startup_stm32u575zitxq.s'
+        ]);
+        assert.deepStrictEqual(settings.includes, ['Inc', 'Drivers/STM32U5xx_HAL_Driver/Inc', 'Drivers/CMSIS/Device/ST/STM32U5xx/Include']);
+        assert.deepStrictEqual(settings.defines, ['USE_HAL_DRIVER', 'STM32U575xx']);
+        assert.strictEqual(settings.linkerScript, 'STM32CubeIDE/STM32U575ZITXQ_FLASH.ld');
+        assert.strictEqual(settings.startupFile, 'STM32CubeIDE/Application/Startup/startup_stm32u575zitxq.s');
+        assert.strictEqual(settings.mcu, 'STM32U575ZITxQ');
+        assert.strictEqual(settings.fpu, 'fpv5-sp-d16');
+        // Not in the .cproject, completed from the MCU family
+        assert.strictEqual(settings.cpu, 'cortex-m33');
+        assert.strictEqual(settings.floatAbi, 'hard');
+    });
+
+    test('reads the Keil project when Keil is asked for', async () => {
+        const settings = await readBuildSettings(projectDir, 'Keil');
+
+        assert.strictEqual(settings.origin, 'Keil');
+        assert.deepStrictEqual(settings.sources, [
+            'Src/main.c',
+            'MDK-ARM/startup_stm32u575xx.s',
+            'Drivers/STM32U5xx_HAL_Driver/Src/stm32u5xx_hal_gpio.c'
+        ]);
+        assert.deepStrictEqual(settings.includes, ['Inc', 'Drivers/STM32U5xx_HAL_Driver/Inc', 'Drivers/CMSIS/Device/ST/STM32U5xx/Include']);
+        assert.deepStrictEqual(settings.defines, ['USE_HAL_DRIVER', 'STM32U575xx']);
+        assert.strictEqual(settings.startupFile, 'MDK-ARM/startup_stm32u575xx.s');
+        assert.strictEqual(settings.mcu, 'STM32U575ZITxQ');
+        assert.strictEqual(settings.cpu, 'cortex-m33');
+    });
+
+    test('reads the IAR project when IAR is asked for', async () => {
+        const settings = await readBuildSettings(projectDir, 'IAR');
+
+        assert.strictEqual(settings.origin, 'IAR');
+        assert.deepStrictEqual(settings.sources, ['Src/main.c', 'Drivers/STM32U5xx_HAL_Driver/Src/stm32u5xx_hal.c']);
+        // $TOOLKIT_DIR$ paths belong to the IAR installation and are skipped
+        assert.deepStrictEqual(settings.includes, ['Inc', 'Drivers/CMSIS/Device/ST/STM32U5xx/Include']);
+        assert.deepStrictEqual(settings.defines, ['USE_HAL_DRIVER', 'STM32U575xx']);
+        assert.strictEqual(settings.mcu, 'STM32U575ZI');
+        assert.strictEqual(settings.startupFile, undefined);
+    });
+
+    test('reports no origin for a folder without toolchain files', async () => {
+        const emptyDir = path.join(tempDir, 'Empty');
+        await fs.ensureDir(emptyDir);
+
+        assert.deepStrictEqual(await readBuildSettings(emptyDir), { sources: [], includes: [], defines: [], origin: 'none' });
+    });
+});
@@ -0,0 +1,88 @@
+import * as assert from 'assert';
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import { CMakeGenerator, TOOLCHAIN_FILE } from '../../cmakeGenerator';
+import { ProjectConfigUpdater } from '../../projectConfigUpdater';
+import { createTempDir, EXAMPLE_FIXTURE, PACKAGE_FIXTURE } from './helpers';
+
+suite('CMakeGenerator', () => {
+    let tempDir: string;
+    let projectDir: string;
+
+    const read = (file: string) => fs.readFile(path.join(projectDir, file), 'utf8');
+
+    setup(async () => {
+        tempDir = await createTempDir();
+        projectDir = path.join(tempDir, 'GPIO_IOToggle');
+        await fs.copy(EXAMPLE_FIXTURE, projectDir);
+        await new ProjectConfigUpdater(PACKAGE_FIXTURE, EXAMPLE_FIXTURE, projectDir).update('GPIO_IOToggle');
+    });
+
+    teardown(async () => {
+        await fs.remove(tempDir);
+    });
+
+    test('writes CMakeLists.txt from the Makefile settings', async () => {
+        const settings = await new CMakeGenerator(projectDir).generate('GPIO IOToggle');
+        assert.strictEqual(settings && settings.origin, 'Makefile');
+
+        const cmakeLists = await read('CMakeLists.txt');
+        assert.ok(cmakeLists.includes('project(GPIO_IOToggle C CXX ASM)'));
+        assert.ok(cmakeLists.includes('    ${CMAKE_SOURCE_DIR}/Drivers/STM32U5xx_HAL_Driver/Src/stm32u5xx_hal_gpio.c\n'));
+        assert.ok(cmakeLists.includes('    ${CMAKE_SOURCE_DIR}/startup_stm32u575xx.s\n'));
+        assert.ok(cmakeLists.includes('    ${CMAKE_SOURCE_DIR}/Drivers/CMSIS/Device/ST/STM32U5xx/Include\n'));
+        assert.ok(cmakeLists.includes('    USE_HAL_DRIVER\n    STM32U575xx\n'));
+        assert.ok(cmakeLists.includes('    -T${CMAKE_SOURCE_DIR}/STM32U575ZITXQ_FLASH.ld\n'));
+    });
+
+    test('writes the core flags into the toolchain file and the presets', async () => {
+        await new CMakeGenerator(projectDir).generate('GPIO_IOToggle');
+
+        assert.ok((await read(TOOLCHAIN_FILE)).includes('set(TARGET_FLAGS "-mcpu=cortex-m33 -mthumb -mfpu=fpv5-sp-d16 -mfloat-abi=hard")'));
+        const presets = JSON.parse(await read('CMakePresets.json'));
+        assert.strictEqual(presets.configurePresets[0].toolchainFile, `\${sourceDir}/${TOOLCHAIN_FILE}`);
+        assert.deepStrictEqual(presets.buildPresets.map((p: { name: string }) => p.name), ['Debug', 'Release']);
+    });
+
+    test('leaves a note when the project names no linker script', async () => {
+        const makefile = path.join(projectDir, 'Makefile');
+        await fs.writeFile(makefile, (await fs.readFile(makefile, 'utf8')).replace(/^LDSCRIPT = .*$/m, ''));
+
+        await new CMakeGenerator(projectDir).generate('GPIO_IOToggle');
+        const cmakeLists = await read('CMakeLists.txt');
+        assert.ok(cmakeLists.includes('# No linker script was found in the original project'));
+        assert.ok(!cmakeLists.includes('target_link_options'));
+    });
+
+    test('leaves files in keepFiles alone', async () => {
+        const cmakeLists = path.join(projectDir, 'CMakeLists.txt');
+        await fs.writeFile(cmakeLists, '# edited by hand\n');
+
+        await new CMakeGenerator(projectDir).generate('GPIO_IOToggle', new Set([cmakeLists]));
+
+        assert.strictEqual(await fs.readFile(cmakeLists, 'utf8'), '# edited by hand\n');
+        assert.ok(await fs.pathExists(path.join(projectDir, 'CMakePresets.json')));
+    });
+
+    test('builds the sources and headers of requested middlewares but not their ports', async () => {
+        const freertos = path.join(projectDir, 'Middlewares', 'Third_Party', 'FreeRTOS');
+        await fs.copy(path.join(PACKAGE_FIXTURE, 'Middlewares', 'Third_Party', 'FreeRTOS'), freertos);
+        await fs.outputFile(path.join(freertos, 'Source', 'include', 'FreeRTOS.h'), '');
+        await fs.outputFile(path.join(freertos, 'Source', 'portable', 'GCC', 'ARM_CM33_NTZ', 'port.c'), '');
+
+        await new CMakeGenerator(projectDir).generate('GPIO_IOToggle', new Set(), [freertos]);
+
+        const cmakeLists = await read('CMakeLists.txt');
+        assert.ok(cmakeLists.includes('    ${CMAKE_SOURCE_DIR}/Middlewares/Third_Party/FreeRTOS/Source/tasks.c\n'));
+        assert.ok(cmakeLists.includes('    ${CMAKE_SOURCE_DIR}/Middlewares/Third_Party/FreeRTOS/Source/include\n'));
+        assert.ok(!cmakeLists.includes('port.c'));
+    });
+
+    test('skips a folder without a Makefile or STM32CubeIDE project', async () => {
+        const emptyDir = path.join(tempDir, 'Empty');
+        await fs.ensureDir(emptyDir);
+
+        assert.strictEqual(await new CMakeGenerator(emptyDir).generate('Empty'), undefined);
+        assert.ok(!await fs.pathExists(path.join(emptyDir, 'CMakeLists.txt')));
+    });
+});
@@ -0,0 +1,137 @@
+import * as assert from 'assert';
+import * as path from 'path';
+import {
+    DependencyResolver,
+    formatBytes,
+    parseMakefileVariables,
+    resolveEclipsePath,
+    resolveIarPath
+} from '../../dependencyResolver';
+import { EXAMPLE_FIXTURE, PACKAGE_FIXTURE } from './helpers';
+
+const example = (...segments: string[]) => path.join(EXAMPLE_FIXTURE, ...segments);
+const drivers = (...segments: string[]) => path.join(PACKAGE_FIXTURE, 'Drivers', ...segments);
+
+const HAL_INC = drivers('STM32U5xx_HAL_Driver', 'Inc');
+const HAL_SRC = drivers('STM32U5xx_HAL_Driver', 'Src', 'stm32u5xx_hal.c');
+const GPIO_SRC = drivers('STM32U5xx_HAL_Driver', 'Src', 'stm32u5xx_hal_gpio.c');
+const CMSIS_INC = drivers('CMSIS', 'Device', 'ST', 'STM32U5xx', 'Include');
+const BSP_DIR = drivers('BSP', 'STM32U5xx_Nucleo');
+
+suite('DependencyResolver', () => {
+    const resolver = new DependencyResolver(PACKAGE_FIXTURE);
+
+    test('reads the Makefile of a GCC project', async () => {
+        const dependencies = await resolver.resolve(EXAMPLE_FIXTURE, 'GCC');
+
+        assert.deepStrictEqual(dependencies.projectFiles, [example('Makefile')]);
+        // -I$(EXTRA_INCLUDES) and $(EXTRA_SOURCES) cannot be resolved and are left out
+        assert.deepStrictEqual(dependencies.includeDirs, [example('Inc'), HAL_INC, CMSIS_INC, BSP_DIR]);
+        assert.deepStrictEqual(dependencies.sourceFiles, [
+            example('Src', 'main.c'),
+            HAL_SRC,
+            GPIO_SRC,
+            path.join(BSP_DIR, 'stm32u5xx_nucleo.c'),
+            example('startup_stm32u575xx.s')
+        ]);
+    });
+
+    test('reads the .cproject include paths and .project links of a STM32CubeIDE project', async () => {
+        const dependencies = await resolver.resolve(EXAMPLE_FIXTURE, 'STM32CubeIDE');
+
+        assert.deepStrictEqual(dependencies.projectFiles.sort(), [example('STM32CubeIDE', '.cproject'), example('STM32CubeIDE', '.project')]);
+        // Plain paths are relative to the Debug folder; workspace_loc paths are skipped
+        assert.deepStrictEqual(dependencies.includeDirs, [example('Inc'), HAL_INC, CMSIS_INC]);
+        assert.deepStrictEqual(dependencies.sourceFiles, [example('Src', 'main.c'), HAL_SRC, GPIO_SRC]);
+    });
+
+    test('reads the include paths and files of a Keil project', async () => {
+        const dependencies = await resolver.resolve(EXAMPLE_FIXTURE, 'Keil');
+
+        assert.deepStrictEqual(dependencies.projectFiles, [example('MDK-ARM', 'Project.uvprojx')]);
+        assert.deepStrictEqual(dependencies.includeDirs, [example('Inc'), HAL_INC, CMSIS_INC]);
+        assert.deepStrictEqual(dependencies.sourceFiles, [
+            example('Src', 'main.c'),
+            example('MDK-ARM', 'startup_stm32u575xx.s'),
+            GPIO_SRC
+        ]);
+    });
+
+    test('reads the $PROJ_DIR$ paths of an IAR project', async () => {
+        const dependencies = await resolver.resolve(EXAMPLE_FIXTURE, 'IAR');
+
+        assert.deepStrictEqual(dependencies.projectFiles, [example('EWARM', 'Project.ewp')]);
+        assert.deepStrictEqual(dependencies.includeDirs, [example('Inc'), CMSIS_INC]);
+        assert.deepStrictEqual(dependencies.sourceFiles, [example('Src', 'main.c'), HAL_SRC]);
+    });
+
+    test('reads every toolchain file when no toolchain is given', async () => {
+        const dependencies = await resolver.resolve(EXAMPLE_FIXTURE);
+        assert.strictEqual(dependencies.projectFiles.length, 5);
+    });
+
+    test('plans only the referenced shared folders plus the BSP components they include', async () => {
+        const plan = await resolver.createCopyPlan(await resolver.resolve(EXAMPLE_FIXTURE, 'GCC'));
+
+        assert.ok(plan);
+        // The BSP source is covered by its folder; the UART driver, the unused component and Middlewares are not copied
+        assert.deepStrictEqual(plan.entries.map(e => `${e.relativePath}${e.isDirectory ? '/' : ''}`), [
+            'Drivers/BSP/Components/lsm6dso/',
+            'Drivers/BSP/STM32U5xx_Nucleo/',
+            'Drivers/CMSIS/Device/ST/STM32U5xx/Include/',
+            'Drivers/STM32U5xx_HAL_Driver/Inc/',
+            'Drivers/STM32U5xx_HAL_Driver/Src/stm32u5xx_hal.c',
+            'Drivers/STM32U5xx_HAL_Driver/Src/stm32u5xx_hal_gpio.c'
+        ]);
+        assert.strictEqual(plan.totalFiles, 7);
+        assert.strictEqual(plan.totalBytes, plan.entries.reduce((sum, e) => sum + e.bytes, 0));
+        assert.ok(resolver.formatSummary(plan).startsWith('Dependency copy: 7 files, '));
+    });
+
+    test('returns no plan when nothing shared is referenced', async () => {
+        const plan = await resolver.createCopyPlan({
+            includeDirs: [example('Inc'), drivers('STM32U5xx_HAL_Driver', 'Missing')],
+            sourceFiles: [example('Src', 'main.c')],
+            projectFiles: []
+        });
+        assert.strictEqual(plan, null);
+    });
+});
+
+suite('dependencyResolver helpers', () => {
+    const projectDir = path.resolve('/work', 'Examples', 'GPIO', 'STM32CubeIDE');
+
+    test('parseMakefileVariables joins continuation lines and appends +=', () => {
+        const variables = parseMakefileVariables([
+            'C_SOURCES = a.c \\',
+            '  b.c # trailing comment',
+            'C_SOURCES += c.c',
+            'OPT := -Og',
+            'OPT = -O2',
+            'ifeq ($(DEBUG), 1)'
+        ].join('\r\n'));
+
+        assert.deepStrictEqual(variables, { C_SOURCES: ['a.c', 'b.c', 'c.c'], OPT: ['-O2'] });
+    });
+
+    test('resolveEclipsePath handles PARENT-n, ${ProjDirPath} and relative values', () => {
+        const buildDir = path.join(projectDir, 'Debug');
+        assert.strictEqual(resolveEclipsePath('PARENT-2-PROJECT_LOC/Drivers/CMSIS', projectDir, buildDir), path.resolve('/work', 'Examples', 'Drivers', 'CMSIS'));
+        assert.strictEqual(resolveEclipsePath('$%7BPARENT-1-PROJECT_LOC%7D/Src/main.c', projectDir, buildDir), path.resolve('/work', 'Examples', 'GPIO', 'Src', 'main.c'));
+        assert.strictEqual(resolveEclipsePath('${ProjDirPath}/../Inc', projectDir, buildDir), path.resolve('/work', 'Examples', 'GPIO', 'Inc'));
+        assert.strictEqual(resolveEclipsePath('"../../Inc"', projectDir, buildDir), path.resolve('/work', 'Examples', 'GPIO', 'Inc'));
+        assert.strictEqual(resolveEclipsePath('${workspace_loc:/${ProjName}/Inc}', projectDir, buildDir), undefined);
+        assert.strictEqual(resolveEclipsePath('  ', projectDir, buildDir), undefined);
+    });
+
+    test('resolveIarPath only resolves $PROJ_DIR$ paths', () => {
+        assert.strictEqual(resolveIarPath('$PROJ_DIR$\\..\\Inc', projectDir), path.resolve('/work', 'Examples', 'GPIO', 'Inc'));
+        assert.strictEqual(resolveIarPath('$TOOLKIT_DIR$\\inc', projectDir), undefined);
+    });
+
+    test('formatBytes picks a readable unit', () => {
+        assert.strictEqual(formatBytes(512), '512 B');
+        assert.strictEqual(formatBytes(1536), '1.5 KB');
+        assert.strictEqual(formatBytes(5 * 1024 * 1024), '5.0 MB');
+    });
+});
@@ -0,0 +1,66 @@
+import * as assert from 'assert';
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import { DriverUpgrader } from '../../driverUpgrader';
+import { readManifest, writeManifest } from '../../importManifest';
+import { createTempDir, PACKAGE_FIXTURE } from './helpers';
+
+suite('DriverUpgrader', () => {
+    let tempDir: string;
+    let newPackage: string;
+    let projectDir: string;
+
+    const newPackageInfo = () => ({ name: 'STM32Cube_FW_U5', version: '1.4.0', path: newPackage });
+
+    // A project importing the HAL driver from the fixture package, and a newer package changing two of its files
+    setup(async () => {
+        tempDir = await createTempDir();
+        newPackage = path.join(tempDir, 'STM32Cube_FW_U5_V1.4.0');
+        await fs.copy(path.join(PACKAGE_FIXTURE, 'Drivers', 'STM32U5xx_HAL_Driver'), path.join(newPackage, 'Drivers', 'STM32U5xx_HAL_Driver'));
+        for (const file of ['stm32u5xx_hal.c', 'stm32u5xx_hal_gpio.c']) {
+            await fs.appendFile(path.join(newPackage, 'Drivers', 'STM32U5xx_HAL_Driver', 'Src', file), '/* V1.4.0 */\n');
+        }
+
+        projectDir = path.join(tempDir, 'GPIO_IOToggle');
+        await fs.copy(path.join(PACKAGE_FIXTURE, 'Drivers', 'STM32U5xx_HAL_Driver'), path.join(projectDir, 'Drivers', 'STM32U5xx_HAL_Driver'));
+        await writeManifest(projectDir, {
+            packagePath: PACKAGE_FIXTURE,
+            packageVersion: '1.3.0',
+            boardId: 'NUCLEO-U575ZI-Q',
+            projectPath: path.join(PACKAGE_FIXTURE, 'Projects', 'NUCLEO-U575ZI-Q', 'Examples', 'GPIO', 'GPIO_IOToggle'),
+            files: {}
+        });
+    });
+
+    teardown(async () => {
+        await fs.remove(tempDir);
+    });
+
+    test('moves the manifest to the new package when every change is applied', async () => {
+        const upgrader = new DriverUpgrader(projectDir);
+        const plan = await upgrader.plan(newPackage);
+        assert.deepStrictEqual(plan.changes.map(c => [c.relativePath, c.kind]), [
+            ['Drivers/STM32U5xx_HAL_Driver/Src/stm32u5xx_hal_gpio.c', 'changed'],
+            ['Drivers/STM32U5xx_HAL_Driver/Src/stm32u5xx_hal.c', 'changed']
+        ]);
+
+        assert.strictEqual(await upgrader.apply(plan, plan.changes, newPackageInfo()), true);
+
+        const manifest = await readManifest(projectDir);
+        assert.strictEqual(manifest!.packagePath, newPackage);
+        assert.strictEqual(manifest!.packageVersion, '1.4.0');
+        assert.deepStrictEqual(Object.keys(manifest!.files).sort(), plan.changes.map(c => c.relativePath).sort());
+    });
+
+    test('keeps the previous package when only some changes are applied', async () => {
+        const upgrader = new DriverUpgrader(projectDir);
+        const plan = await upgrader.plan(newPackage);
+
+        assert.strictEqual(await upgrader.apply(plan, plan.changes.slice(0, 1), newPackageInfo()), false);
+
+        const manifest = await readManifest(projectDir);
+        assert.strictEqual(manifest!.packagePath, PACKAGE_FIXTURE);
+        assert.strictEqual(manifest!.packageVersion, '1.3.0');
+        assert.deepStrictEqual(Object.keys(manifest!.files), [plan.changes[0].relativePath]);
+    });
+});
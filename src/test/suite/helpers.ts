@@ -0,0 +1,111 @@
+import * as fs from 'fs-extra';
+import * as os from 'os';
+import * as path from 'path';
+import * as zlib from 'zlib';
+import { log } from '../../logger';
+
+// Fixtures are not compiled, so resolve them from the source tree (out/test/suite -> src/test/fixtures)
+export const FIXTURES = path.resolve(__dirname, '..', '..', '..', 'src', 'test', 'fixtures');
+
+// Trimmed STM32CubeU5 package and the example imported from it
+export const PACKAGE_FIXTURE = path.join(FIXTURES, 'package');
+export const EXAMPLE_FIXTURE = path.join(PACKAGE_FIXTURE, 'Projects', 'NUCLEO-U575ZI-Q', 'Examples', 'GPIO', 'GPIO_IOToggle');
+
+// The core logs every file it rewrites or generates; keep the test output to warnings
+suiteSetup(() => log.setLevel('warn'));
+suiteTeardown(() => log.setLevel('info'));
+
+export function fixture(...segments: string[]): string {
+    return path.join(FIXTURES, ...segments);
+}
+
+export async function createTempDir(): Promise<string> {
+    return fs.mkdtemp(path.join(os.tmpdir(), 'stm32-test-'));
+}
+
+export interface TestZipEntry {
+    // Written verbatim, so names like ../evil.txt can be used to test zip-slip handling
+    name: string;
+    content?: string;
+    deflate?: boolean;
+}
+
+/**
+ * Writes a small zip archive. With zip64 set, every size and offset is moved into the Zip64
+ * extra fields and end of central directory record, as archives larger than 4 GB store them.
+ * CRCs are left at zero since ZipArchive does not check them.
+ */
+export async function writeZip(file: string, entries: TestZipEntry[], zip64 = false): Promise<void> {
+    const chunks: Buffer[] = [];
+    const central: Buffer[] = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name, 'utf8');
+        const data = Buffer.from(entry.content || '', 'utf8');
+        const stored = entry.deflate ? zlib.deflateRawSync(data) : data;
+        const method = entry.deflate ? 8 : 0;
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(zip64 ? 45 : 20, 4);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt32LE(stored.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        chunks.push(local, name, stored);
+
+        const extra = Buffer.alloc(zip64 ? 28 : 0);
+        if (zip64) {
+            extra.writeUInt16LE(0x0001, 0);
+            extra.writeUInt16LE(24, 2);
+            extra.writeBigUInt64LE(BigInt(data.length), 4);
+            extra.writeBigUInt64LE(BigInt(stored.length), 12);
+            extra.writeBigUInt64LE(BigInt(offset), 20);
+        }
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014b50, 0);
+        header.writeUInt16LE(zip64 ? 45 : 20, 4);
+        header.writeUInt16LE(zip64 ? 45 : 20, 6);
+        header.writeUInt16LE(method, 10);
+        header.writeUInt32LE(zip64 ? 0xffffffff : stored.length, 20);
+        header.writeUInt32LE(zip64 ? 0xffffffff : data.length, 24);
+        header.writeUInt16LE(name.length, 28);
+        header.writeUInt16LE(extra.length, 30);
+        header.writeUInt32LE(zip64 ? 0xffffffff : offset, 42);
+        central.push(header, name, extra);
+
+        offset += local.length + name.length + stored.length;
+    }
+
+    const directory = Buffer.concat(central);
+    chunks.push(directory);
+
+    if (zip64) {
+        const record = Buffer.alloc(56);
+        record.writeUInt32LE(0x06064b50, 0);
+        record.writeBigUInt64LE(BigInt(44), 4);
+        record.writeUInt16LE(45, 12);
+        record.writeUInt16LE(45, 14);
+        record.writeBigUInt64LE(BigInt(entries.length), 24);
+        record.writeBigUInt64LE(BigInt(entries.length), 32);
+        record.writeBigUInt64LE(BigInt(directory.length), 40);
+        record.writeBigUInt64LE(BigInt(offset), 48);
+
+        const locator = Buffer.alloc(20);
+        locator.writeUInt32LE(0x07064b50, 0);
+        locator.writeBigUInt64LE(BigInt(offset + directory.length), 8);
+        locator.writeUInt32LE(1, 16);
+        chunks.push(record, locator);
+    }
+
+    const eocd = Buffer.alloc(22);
+    eocd.writeUInt32LE(0x06054b50, 0);
+    eocd.writeUInt16LE(zip64 ? 0xffff : entries.length, 8);
+    eocd.writeUInt16LE(zip64 ? 0xffff : entries.length, 10);
+    eocd.writeUInt32LE(zip64 ? 0xffffffff : directory.length, 12);
+    eocd.writeUInt32LE(zip64 ? 0xffffffff : offset, 16);
+    chunks.push(eocd);
+
+    await fs.writeFile(file, Buffer.concat(chunks));
+}
@@ -0,0 +1,62 @@
+import * as assert from 'assert';
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import { checkImportTarget, hashFile, isUnmodified, MANIFEST_FILE, readManifest, writeManifest } from '../../importManifest';
+import { createTempDir } from './helpers';
+
+suite('importManifest', () => {
+    let tempDir: string;
+
+    setup(async () => {
+        tempDir = await createTempDir();
+        await fs.outputFile(path.join(tempDir, 'Src', 'main.c'), 'int main(void) { return 0; }\n');
+        await fs.outputFile(path.join(tempDir, 'Makefile'), 'TARGET = Blinky\n');
+    });
+
+    teardown(async () => {
+        await fs.remove(tempDir);
+    });
+
+    const stamp = async () => writeManifest(tempDir, {
+        packagePath: '/packages/STM32Cube_FW_U5_V1.3.0',
+        boardId: 'NUCLEO-U575ZI-Q',
+        projectPath: 'Projects/NUCLEO-U575ZI-Q/Examples/GPIO/GPIO_IOToggle',
+        files: {
+            'Src/main.c': await hashFile(path.join(tempDir, 'Src', 'main.c')),
+            'Makefile': await hashFile(path.join(tempDir, 'Makefile'))
+        }
+    });
+
+    test('reports a missing target as not existing', async () => {
+        assert.deepStrictEqual(await checkImportTarget(path.join(tempDir, 'Missing')), {
+            targetPath: path.join(tempDir, 'Missing'),
+            exists: false,
+            modifiedFiles: []
+        });
+    });
+
+    test('treats every file of a folder without a manifest as modified', async () => {
+        const status = await checkImportTarget(tempDir);
+
+        assert.strictEqual(status.manifest, undefined);
+        assert.deepStrictEqual(status.modifiedFiles.sort(), ['Makefile', 'Src/main.c']);
+    });
+
+    test('lists only the files that changed since the import', async () => {
+        await stamp();
+        await fs.appendFile(path.join(tempDir, 'Makefile'), 'OPT = -O2\n');
+        await fs.outputFile(path.join(tempDir, 'Src', 'user.c'), '');
+
+        const status = await checkImportTarget(tempDir);
+
+        assert.strictEqual(status.manifest!.boardId, 'NUCLEO-U575ZI-Q');
+        assert.deepStrictEqual(status.modifiedFiles.sort(), ['Makefile', 'Src/user.c']);
+        assert.ok(await isUnmodified(tempDir, 'Src/main.c', status.manifest));
+        assert.ok(!await isUnmodified(tempDir, 'Src/missing.c', status.manifest));
+    });
+
+    test('ignores manifests of another version', async () => {
+        await fs.writeJson(path.join(tempDir, MANIFEST_FILE), { version: 99, files: {} });
+        assert.strictEqual(await readManifest(tempDir), undefined);
+    });
+});
@@ -0,0 +1,63 @@
+import * as assert from 'assert';
+import * as path from 'path';
+import { formatFrequency, parseIoc, parseIocKeys, readIoc } from '../../iocParser';
+import { EXAMPLE_FIXTURE } from './helpers';
+
+suite('iocParser', () => {
+    const iocFile = path.join(EXAMPLE_FIXTURE, 'GPIO_IOToggle.ioc');
+
+    test('reads the MCU and project settings', async () => {
+        const configuration = await readIoc(iocFile);
+        assert.strictEqual(configuration.file, iocFile);
+        // Mcu.UserName wins over the part range in Mcu.Name
+        assert.strictEqual(configuration.mcu, 'STM32U575ZITxQ');
+        assert.strictEqual(configuration.family, 'STM32U5');
+        assert.strictEqual(configuration.package, 'LQFP144');
+        assert.strictEqual(configuration.projectName, 'GPIO_IOToggle');
+        assert.strictEqual(configuration.toolchain, 'STM32CubeIDE');
+        assert.strictEqual(configuration.firmwarePackage, 'STM32Cube FW_U5 V1.3.0');
+        assert.strictEqual(configuration.cubeMxVersion, '6.9.0');
+        assert.strictEqual(configuration.sysclkSource, 'RCC_SYSCLKSOURCE_PLLCLK');
+    });
+
+    test('splits hardware IPs from middleware and third-party packs', async () => {
+        const configuration = await readIoc(iocFile);
+        assert.deepStrictEqual(configuration.peripherals, ['GPIO', 'RCC', 'SYS', 'USART1']);
+        assert.deepStrictEqual(configuration.middleware, ['CORTEX_M33_NS', 'FREERTOS', 'X-CUBE-AI']);
+    });
+
+    test('lists assigned pins in port order and leaves out virtual pins', async () => {
+        const configuration = await readIoc(iocFile);
+        assert.deepStrictEqual(configuration.pins.map(p => p.name), ['PA2', 'PA9', 'PA10', 'PB7', 'PC13', 'PC14-OSC32_IN (PC14)']);
+        assert.deepStrictEqual(configuration.pins[3], { name: 'PB7', signal: 'GPIO_Output', label: 'LED_BLUE', mode: undefined });
+        // The key of this pin has escaped spaces
+        assert.strictEqual(configuration.pins[5].signal, 'RCC_OSC32_IN');
+        assert.strictEqual(configuration.pins[5].mode, 'LSE-External-Oscillator');
+    });
+
+    test('orders bus clocks first and skips unset ones', async () => {
+        const configuration = await readIoc(iocFile);
+        assert.deepStrictEqual(configuration.clocks.map(c => `${c.name}=${c.hz}`), [
+            'SYSCLK=160000000',
+            'HCLK=160000000',
+            'APB1=160000000',
+            'LSE=32768',
+            'MSI=4000000'
+        ]);
+    });
+
+    test('unescapes keys and values and skips comments', () => {
+        const values = parseIocKeys('#Comment=ignored\nPA0\\ (WKUP).Signal=GPIO\\:Input\nSPI1.Mode=A\\=B\nEmpty=\n');
+        assert.deepStrictEqual(values, { 'PA0 (WKUP).Signal': 'GPIO:Input', 'SPI1.Mode': 'A=B', 'Empty': '' });
+    });
+
+    test('falls back to Mcu.Name without a user name', () => {
+        assert.strictEqual(parseIoc('Mcu.Name=STM32F407V(E-G)Tx\r\n').mcu, 'STM32F407V(E-G)Tx');
+    });
+
+    test('formats frequencies', () => {
+        assert.strictEqual(formatFrequency(160000000), '160 MHz');
+        assert.strictEqual(formatFrequency(32768), '32.768 kHz');
+        assert.strictEqual(formatFrequency(500), '500 Hz');
+    });
+});
@@ -0,0 +1,113 @@
+import * as assert from 'assert';
+import * as fs from 'fs-extra';
+import { PackageDescriptor, parsePdsc } from '../../pdscParser';
+import { fixture } from './helpers';
+
+suite('parsePdsc', () => {
+    let descriptor: PackageDescriptor;
+
+    suiteSetup(async () => {
+        descriptor = await parsePdsc(await fs.readFile(fixture('STMicroelectronics.STM32U5xx_Test.pdsc'), 'utf8'));
+    });
+
+    test('reads the package header and takes the version from the first release', () => {
+        assert.strictEqual(descriptor.name, 'STM32U5xx_Test');
+        assert.strictEqual(descriptor.vendor, 'STMicroelectronics');
+        assert.strictEqual(descriptor.version, '1.3.0');
+        assert.strictEqual(descriptor.description, 'STM32U5 test package for the descriptor parser');
+        assert.strictEqual(descriptor.url, 'https://www.st.com/');
+    });
+
+    test('reads boards with images, devices and books', () => {
+        assert.strictEqual(descriptor.boards.length, 1);
+        const board = descriptor.boards[0];
+        assert.strictEqual(board.name, 'NUCLEO-U575ZI-Q');
+        assert.strictEqual(board.revision, 'Rev.C');
+        assert.strictEqual(board.imageSmall, 'Documents/nucleo_small.png');
+        assert.strictEqual(board.imageLarge, 'Documents/nucleo_large.png');
+        assert.deepStrictEqual(board.mountedDevices, [{ name: 'STM32U575ZITxQ', vendor: 'STMicroelectronics:13' }]);
+        assert.deepStrictEqual(board.compatibleDevices, [{ name: undefined, family: 'STM32U5', subFamily: 'STM32U575' }]);
+        // Books without a title fall back to their name
+        assert.deepStrictEqual(board.books.map(b => [b.category, b.title]), [
+            ['overview', 'Overview'],
+            ['manual', 'Documents/um2861.pdf']
+        ]);
+    });
+
+    test('inherits device attributes down the family hierarchy', () => {
+        assert.deepStrictEqual(descriptor.devices.map(d => d.name), ['STM32U575ZITxQ', 'STM32U575AIIxQ', 'STM32U575AGIxQ']);
+
+        const device = descriptor.devices[0];
+        assert.strictEqual(device.family, 'STM32U5 Series');
+        assert.strictEqual(device.subFamily, 'STM32U575');
+        assert.strictEqual(device.core, 'Cortex-M33');
+        assert.strictEqual(device.fpu, 'SP_FPU');
+        assert.strictEqual(device.svd, 'CMSIS/SVD/STM32U575.svd');
+        assert.strictEqual(device.description, 'Ultra-low-power STM32U5 MCUs');
+
+        // The device's own Flash replaces the family one, SRAM is inherited
+        const flash = device.memories.find(m => m.name === 'Flash')!;
+        const sram = device.memories.find(m => m.name === 'SRAM')!;
+        assert.strictEqual(device.memories.length, 2);
+        assert.strictEqual(flash.size, 0x200000);
+        assert.ok(flash.isDefault && flash.isStartup);
+        assert.strictEqual(sram.start, 0x20000000);
+        assert.strictEqual(sram.access, 'rwx');
+    });
+
+    test('creates one device per variant', () => {
+        const [, full, reduced] = descriptor.devices;
+        assert.strictEqual(full.clock, 160000000);
+        assert.strictEqual(reduced.clock, 120000000);
+        assert.strictEqual(reduced.core, 'Cortex-M33');
+        assert.strictEqual(reduced.memories.find(m => m.name === 'Flash')!.size, 0x100000);
+    });
+
+    test('reads examples with their environments and attributes', () => {
+        assert.strictEqual(descriptor.examples.length, 1);
+        const example = descriptor.examples[0];
+        assert.strictEqual(example.name, 'GPIO_IOToggle');
+        // Backslashes become forward slashes and the trailing separator is dropped
+        assert.strictEqual(example.folder, 'Projects/NUCLEO-U575ZI-Q/Examples/GPIO/GPIO_IOToggle');
+        assert.strictEqual(example.doc, 'readme.txt');
+        assert.strictEqual(example.boardName, 'NUCLEO-U575ZI-Q');
+        assert.deepStrictEqual(example.environments, [
+            { name: 'uv', load: 'MDK-ARM/Project.uvprojx' },
+            { name: 'iar', load: 'EWARM/Project.eww' },
+            { name: 'stm32cubeide', load: 'STM32CubeIDE/.project' }
+        ]);
+        assert.deepStrictEqual(example.categories, ['Examples', 'GPIO']);
+        assert.deepStrictEqual(example.keywords, ['Output', 'Toggle']);
+    });
+
+    test('reads components and takes missing attributes from their bundle', () => {
+        assert.strictEqual(descriptor.components.length, 2);
+        const [startup, gpio] = descriptor.components;
+        assert.strictEqual(startup.condition, 'STM32U5 HAL');
+        assert.strictEqual(startup.bundle, undefined);
+        assert.deepStrictEqual(startup.files[1], {
+            name: 'Drivers/CMSIS/Device/ST/STM32U5xx/Source/Templates/system_stm32u5xx.c',
+            category: 'source',
+            condition: 'STM32U5 HAL'
+        });
+
+        assert.strictEqual(gpio.cclass, 'Device');
+        assert.strictEqual(gpio.cversion, '1.3.0');
+        assert.strictEqual(gpio.bundle, 'STM32Cube HAL');
+        assert.strictEqual(gpio.csub, 'GPIO');
+    });
+
+    test('reads conditions with their attribute sets', () => {
+        assert.deepStrictEqual(descriptor.conditions, [{
+            id: 'STM32U5 HAL',
+            description: 'STM32U5 device with the CMSIS core',
+            require: [{ Dvendor: 'STMicroelectronics:13', Dname: 'STM32U5*' }],
+            accept: [{ Cclass: 'CMSIS', Cgroup: 'CORE' }],
+            deny: [{ Cclass: 'Device', Cgroup: 'LL' }]
+        }]);
+    });
+
+    test('rejects malformed XML', async () => {
+        await assert.rejects(parsePdsc('<package><name>Broken</package>'));
+    });
+});
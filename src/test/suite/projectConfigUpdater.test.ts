@@ -0,0 +1,92 @@
+import * as assert from 'assert';
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import { ProjectConfigUpdater } from '../../projectConfigUpdater';
+import { createTempDir, EXAMPLE_FIXTURE, PACKAGE_FIXTURE } from './helpers';
+
+suite('ProjectConfigUpdater', () => {
+    let tempDir: string;
+    let targetPath: string;
+
+    const read = (...segments: string[]) => fs.readFile(path.join(targetPath, ...segments), 'utf8');
+
+    setup(async () => {
+        tempDir = await createTempDir();
+        targetPath = path.join(tempDir, 'My_Project');
+        await fs.copy(EXAMPLE_FIXTURE, targetPath);
+    });
+
+    teardown(async () => {
+        await fs.remove(tempDir);
+    });
+
+    test('points the Makefile at Drivers inside the project and renames the target', async () => {
+        await new ProjectConfigUpdater(PACKAGE_FIXTURE, EXAMPLE_FIXTURE, targetPath).update('My Project');
+
+        const makefile = await read('Makefile');
+        assert.ok(makefile.includes('-IDrivers/STM32U5xx_HAL_Driver/Inc \\'));
+        assert.ok(makefile.includes('C_SOURCES += Drivers/BSP/STM32U5xx_Nucleo/stm32u5xx_nucleo.c'));
+        assert.ok(makefile.includes('\nTARGET = My_Project\n'));
+        assert.ok(!makefile.includes('../'));
+    });
+
+    test('rewrites .cproject include paths relative to the Debug folder and to ${ProjDirPath}', async () => {
+        await new ProjectConfigUpdater(PACKAGE_FIXTURE, EXAMPLE_FIXTURE, targetPath).update('My Project');
+
+        const cproject = await read('STM32CubeIDE', '.cproject');
+        assert.ok(cproject.includes('value="../../Inc"'));
+        assert.ok(cproject.includes('value="../../Drivers/STM32U5xx_HAL_Driver/Inc"'));
+        assert.ok(cproject.includes('value="${ProjDirPath}/../Drivers/CMSIS/Device/ST/STM32U5xx/Include"'));
+        assert.ok(cproject.includes('<project id="My_Project.null.1" name="My_Project"/>'));
+    });
+
+    test('rewrites .project links that climbed to the package root', async () => {
+        await new ProjectConfigUpdater(PACKAGE_FIXTURE, EXAMPLE_FIXTURE, targetPath).update('My Project');
+
+        const project = await read('STM32CubeIDE', '.project');
+        assert.ok(project.includes('<name>My_Project</name>'));
+        assert.ok(project.includes('<locationURI>PARENT-1-PROJECT_LOC/Src/main.c</locationURI>'));
+        assert.ok(project.includes('<locationURI>PARENT-1-PROJECT_LOC/Drivers/STM32U5xx_HAL_Driver/Src/stm32u5xx_hal.c</locationURI>'));
+        assert.ok(project.includes('<location>PARENT-1-PROJECT_LOC/Drivers/STM32U5xx_HAL_Driver/Src/stm32u5xx_hal_gpio.c</location>'));
+        // Link names are left alone
+        assert.ok(project.includes('<name>Drivers/STM32U5xx_HAL_Driver/stm32u5xx_hal.c</name>'));
+    });
+
+    test('rewrites Keil and IAR paths and output names', async () => {
+        await new ProjectConfigUpdater(PACKAGE_FIXTURE, EXAMPLE_FIXTURE, targetPath).update('My Project');
+
+        const uvprojx = await read('MDK-ARM', 'Project.uvprojx');
+        assert.ok(uvprojx.includes('<IncludePath>..\\Inc;..\\Drivers\\STM32U5xx_HAL_Driver\\Inc;..\\Drivers\\CMSIS\\Device\\ST\\STM32U5xx\\Include</IncludePath>'));
+        assert.ok(uvprojx.includes('<FilePath>..\\Drivers\\STM32U5xx_HAL_Driver\\Src\\stm32u5xx_hal_gpio.c</FilePath>'));
+        assert.ok(uvprojx.includes('<OutputName>My_Project</OutputName>'));
+
+        const ewp = await read('EWARM', 'Project.ewp');
+        assert.ok(ewp.includes('<state>$PROJ_DIR$\\..\\Drivers\\CMSIS\\Device\\ST\\STM32U5xx\\Include</state>'));
+        assert.ok(ewp.includes('<name>$PROJ_DIR$\\..\\Drivers\\STM32U5xx_HAL_Driver\\Src\\stm32u5xx_hal.c</name>'));
+        assert.ok(ewp.includes('<state>My_Project.out</state>'));
+    });
+
+    test('points at a shared Drivers folder above the project', async () => {
+        await new ProjectConfigUpdater(PACKAGE_FIXTURE, EXAMPLE_FIXTURE, targetPath, tempDir).update('My Project');
+
+        assert.ok((await read('Makefile')).includes('-I../Drivers/STM32U5xx_HAL_Driver/Inc \\'));
+        assert.ok((await read('STM32CubeIDE', '.cproject')).includes('value="../../../Drivers/STM32U5xx_HAL_Driver/Inc"'));
+        assert.ok((await read('STM32CubeIDE', '.project')).includes('PARENT-2-PROJECT_LOC/Drivers/STM32U5xx_HAL_Driver/Src/stm32u5xx_hal.c'));
+        assert.ok((await read('MDK-ARM', 'Project.uvprojx')).includes('<FilePath>..\\..\\Drivers\\'));
+    });
+
+    test('reports the updated files and leaves kept files untouched', async () => {
+        const makefile = path.join(targetPath, 'Makefile');
+        const original = await fs.readFile(makefile, 'utf8');
+
+        const result = await new ProjectConfigUpdater(PACKAGE_FIXTURE, EXAMPLE_FIXTURE, targetPath).update('My Project', new Set([makefile]));
+
+        assert.strictEqual(await fs.readFile(makefile, 'utf8'), original);
+        assert.deepStrictEqual(result.updatedFiles.map(f => path.relative(targetPath, f).replace(/\\/g, '/')).sort(), [
+            'EWARM/Project.ewp',
+            'MDK-ARM/Project.uvprojx',
+            'STM32CubeIDE/.cproject',
+            'STM32CubeIDE/.project'
+        ]);
+    });
+});
@@ -0,0 +1,74 @@
+import * as assert from 'assert';
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import { parseReadme } from '../../readmeParser';
+import { EXAMPLE_FIXTURE } from './helpers';
+
+suite('parseReadme', () => {
+    test('reads the title, brief and sections of a Cube example readme', async () => {
+        const readme = parseReadme(await fs.readFile(path.join(EXAMPLE_FIXTURE, 'readme.txt'), 'utf8'));
+
+        assert.strictEqual(readme.title, 'GPIO IO Toggle example');
+        assert.strictEqual(readme.brief, 'Description of the GPIO IO Toggle example.');
+        assert.deepStrictEqual(readme.sections.map(s => s.title), [
+            'Example Description',
+            'Keywords',
+            'Directory contents',
+            'How to use it ?'
+        ]);
+
+        assert.deepStrictEqual(readme.sections[0].blocks, [
+            { type: 'paragraph', text: 'How to configure and use GPIOs through the HAL API.' },
+            {
+                type: 'paragraph',
+                text: 'PB7 IO (configured in output pushpull mode) toggles in a forever loop. On NUCLEO-U575ZI-Q board this IO is connected to LED2.'
+            },
+            {
+                type: 'note',
+                text: 'Care must be taken when using HAL_Delay(), this function provides accurate delay (in milliseconds) based on variable incremented in SysTick ISR.'
+            }
+        ]);
+    });
+
+    test('splits directory entries into path and description', async () => {
+        const readme = parseReadme(await fs.readFile(path.join(EXAMPLE_FIXTURE, 'readme.txt'), 'utf8'));
+
+        assert.deepStrictEqual(readme.sections[2].blocks, [{
+            type: 'list',
+            items: [
+                { path: 'GPIO/GPIO_IOToggle/Inc/main.h', text: 'Header for main.c module' },
+                { path: 'GPIO/GPIO_IOToggle/Src/main.c', text: 'Main program' },
+                { path: 'readme.txt', text: 'This file' }
+            ]
+        }]);
+    });
+
+    test('joins indented lines to the list entry above and drops the copyright footer', async () => {
+        const readme = parseReadme(await fs.readFile(path.join(EXAMPLE_FIXTURE, 'readme.txt'), 'utf8'));
+
+        assert.deepStrictEqual(readme.sections[3].blocks, [
+            { type: 'paragraph', text: 'In order to make the program work, you must do the following :' },
+            {
+                type: 'list',
+                items: [
+                    { text: 'Open your preferred toolchain' },
+                    { text: 'Rebuild all files and load your image into target memory (STM32CubeIDE, EWARM or MDK-ARM)' },
+                    { text: 'Run the example' }
+                ]
+            }
+        ]);
+    });
+
+    test('puts plain text without @par markers into one untitled section', () => {
+        const readme = parseReadme('This example shows\r\nhow to blink a LED.\r\n\r\n- Build it\r\n- Flash it\r\n');
+
+        assert.strictEqual(readme.title, undefined);
+        assert.deepStrictEqual(readme.sections, [{
+            title: '',
+            blocks: [
+                { type: 'paragraph', text: 'This example shows how to blink a LED.' },
+                { type: 'list', items: [{ text: 'Build it' }, { text: 'Flash it' }] }
+            ]
+        }]);
+    });
+});
@@ -0,0 +1,82 @@
+import * as assert from 'assert';
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import { ProjectConfigUpdater } from '../../projectConfigUpdater';
+import { VsCodeConfigGenerator } from '../../vscodeConfigGenerator';
+import { createTempDir, EXAMPLE_FIXTURE, PACKAGE_FIXTURE } from './helpers';
+
+suite('VsCodeConfigGenerator', () => {
+    let tempDir: string;
+    let projectDir: string;
+
+    const readJson = async (file: string) => JSON.parse(await fs.readFile(path.join(projectDir, '.vscode', file), 'utf8'));
+
+    setup(async () => {
+        tempDir = await createTempDir();
+        projectDir = path.join(tempDir, 'GPIO_IOToggle');
+        await fs.copy(EXAMPLE_FIXTURE, projectDir);
+        await new ProjectConfigUpdater(PACKAGE_FIXTURE, EXAMPLE_FIXTURE, projectDir).update('GPIO_IOToggle');
+    });
+
+    teardown(async () => {
+        await fs.remove(tempDir);
+    });
+
+    test('configures IntelliSense, make tasks and Cortex-Debug for a Makefile project', async () => {
+        const written = await new VsCodeConfigGenerator(projectDir).generate({
+            projectName: 'GPIO_IOToggle',
+            mcuHint: 'STM32U575ZITxQ',
+            packagePath: PACKAGE_FIXTURE
+        });
+        assert.deepStrictEqual(written.map(f => path.basename(f)), ['STM32U575.svd', 'c_cpp_properties.json', 'tasks.json', 'launch.json']);
+
+        const configuration = (await readJson('c_cpp_properties.json')).configurations[0];
+        assert.ok(configuration.includePath.includes('${workspaceFolder}/Drivers/STM32U5xx_HAL_Driver/Inc'));
+        assert.deepStrictEqual(configuration.defines, ['USE_HAL_DRIVER', 'STM32U575xx']);
+        assert.deepStrictEqual(configuration.compilerArgs, ['-mcpu=cortex-m33', '-mthumb', '-mfpu=fpv5-sp-d16', '-mfloat-abi=hard']);
+
+        const build = (await readJson('tasks.json')).tasks[0];
+        assert.strictEqual(build.command, 'make');
+        assert.deepStrictEqual(build.args, ['-j']);
+
+        // The SVD file is copied out of the package so debugging does not depend on it
+        const launch = (await readJson('launch.json')).configurations[0];
+        assert.strictEqual(launch.device, 'STM32U575ZI');
+        assert.strictEqual(launch.executable, '${workspaceFolder}/build/GPIO_IOToggle.elf');
+        assert.strictEqual(launch.svdFile, '${workspaceFolder}/.vscode/STM32U575.svd');
+        assert.ok(await fs.pathExists(path.join(projectDir, '.vscode', 'STM32U575.svd')));
+    });
+
+    test('builds CMake imports through the presets', async () => {
+        await new VsCodeConfigGenerator(projectDir).generate({ projectName: 'GPIO_IOToggle', toolchain: 'CMake (GCC)' });
+
+        const configuration = (await readJson('c_cpp_properties.json')).configurations[0];
+        assert.strictEqual(configuration.configurationProvider, 'ms-vscode.cmake-tools');
+        assert.strictEqual((await readJson('tasks.json')).tasks[0].command, 'cmake --preset Debug && cmake --build --preset Debug');
+        assert.strictEqual((await readJson('launch.json')).configurations[0].executable, '${workspaceFolder}/build/Debug/GPIO_IOToggle.elf');
+    });
+
+    test('builds Keil imports with UV4 and takes the MCU from the project', async () => {
+        await new VsCodeConfigGenerator(projectDir).generate({ projectName: 'GPIO_IOToggle', toolchain: 'Keil' });
+
+        const build = (await readJson('tasks.json')).tasks[0];
+        assert.strictEqual(build.command, 'UV4');
+        assert.deepStrictEqual(build.args, ['-b', 'MDK-ARM/Project.uvprojx', '-j0', '-o', 'build.log']);
+        const launch = (await readJson('launch.json')).configurations[0];
+        assert.strictEqual(launch.executable, '${workspaceFolder}/MDK-ARM/GPIO_IOToggle/GPIO_IOToggle.axf');
+        assert.strictEqual(launch.device, 'STM32U575ZI');
+    });
+
+    test('keeps the files in keepFiles and overwrites the others', async () => {
+        const tasksFile = path.join(projectDir, '.vscode', 'tasks.json');
+        const launchFile = path.join(projectDir, '.vscode', 'launch.json');
+        await fs.outputFile(tasksFile, '{ "version": "2.0.0", "tasks": [] }\n');
+        await fs.outputFile(launchFile, '{ "version": "0.2.0", "configurations": [] }\n');
+
+        const written = await new VsCodeConfigGenerator(projectDir).generate({ projectName: 'GPIO_IOToggle' }, new Set([tasksFile]));
+
+        assert.deepStrictEqual(written.map(f => path.basename(f)), ['c_cpp_properties.json', 'launch.json']);
+        assert.strictEqual(await fs.readFile(tasksFile, 'utf8'), '{ "version": "2.0.0", "tasks": [] }\n');
+        assert.strictEqual((await readJson('launch.json')).configurations.length, 1);
+    });
+});
@@ -0,0 +1,79 @@
+import * as assert from 'assert';
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import { ZipArchive } from '../../zipArchive';
+import { createTempDir, writeZip } from './helpers';
+
+suite('ZipArchive', () => {
+    let tempDir: string;
+
+    setup(async () => {
+        tempDir = await createTempDir();
+    });
+
+    teardown(async () => {
+        await fs.remove(tempDir);
+    });
+
+    test('extracts stored and deflated entries below a prefix', async () => {
+        const file = path.join(tempDir, 'package.zip');
+        await writeZip(file, [
+            { name: 'STM32Cube_FW_U5_V1.3.0/' },
+            { name: 'STM32Cube_FW_U5_V1.3.0/package.xml', content: '<Package/>' },
+            { name: 'STM32Cube_FW_U5_V1.3.0/Drivers/readme.txt', content: 'HAL '.repeat(200), deflate: true },
+            { name: 'Other/ignored.txt', content: 'ignored' }
+        ]);
+
+        const archive = await ZipArchive.open(file);
+        try {
+            assert.strictEqual(archive.entries.length, 4);
+            assert.ok(archive.entries[0].isDirectory);
+            await archive.extract(path.join(tempDir, 'out'), 'STM32Cube_FW_U5_V1.3.0/');
+        } finally {
+            await archive.close();
+        }
+
+        assert.strictEqual(await fs.readFile(path.join(tempDir, 'out', 'package.xml'), 'utf8'), '<Package/>');
+        assert.strictEqual(await fs.readFile(path.join(tempDir, 'out', 'Drivers', 'readme.txt'), 'utf8'), 'HAL '.repeat(200));
+        assert.ok(!await fs.pathExists(path.join(tempDir, 'out', 'Other')));
+    });
+
+    test('reads sizes and offsets from the Zip64 records', async () => {
+        const file = path.join(tempDir, 'zip64.zip');
+        await writeZip(file, [
+            { name: 'first.txt', content: 'first' },
+            { name: 'second.txt', content: 'second entry', deflate: true }
+        ], true);
+
+        const archive = await ZipArchive.open(file);
+        try {
+            assert.deepStrictEqual(archive.entries.map(e => [e.name, e.size]), [['first.txt', 5], ['second.txt', 12]]);
+            assert.notStrictEqual(archive.entries[1].localHeaderOffset, 0xffffffff);
+            await archive.extract(tempDir);
+        } finally {
+            await archive.close();
+        }
+
+        assert.strictEqual(await fs.readFile(path.join(tempDir, 'second.txt'), 'utf8'), 'second entry');
+    });
+
+    test('rejects entries that point outside the target folder', async () => {
+        const file = path.join(tempDir, 'evil.zip');
+        await writeZip(file, [{ name: 'pack/../../evil.txt', content: 'evil' }]);
+
+        const archive = await ZipArchive.open(file);
+        try {
+            await assert.rejects(archive.extract(path.join(tempDir, 'a', 'out'), 'pack/'), /points outside the target folder/);
+        } finally {
+            await archive.close();
+        }
+        assert.ok(!await fs.pathExists(path.join(tempDir, 'evil.txt')));
+    });
+
+    test('reports files that are not zip archives', async () => {
+        const file = path.join(tempDir, 'broken.zip');
+        await fs.writeFile(file, 'not a zip archive');
+
+        await assert.rejects(ZipArchive.open(file), /broken\.zip is not a valid zip archive: end of central directory not found/);
+    });
+});
@@ -0,0 +1,163 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { PackageManager, compareVersions, parseReleaseName } from './packageManager';
+import { PackageRegistry } from './packageRegistry';
+import { DriverFileChange, DriverUpgrader } from './driverUpgrader';
+import { MANIFEST_FILE, findImportedProjects, readManifest } from './importManifest';
+import { OperationCancelledError } from './fileCopier';
+
+interface ChangeItem extends vscode.QuickPickItem {
+    change: DriverFileChange;
+}
+
+const DIFF_BUTTON: vscode.QuickInputButton = { iconPath: new vscode.ThemeIcon('diff'), tooltip: 'Show Changes' };
+
+/**
+ * "Upgrade HAL Drivers": compares the Drivers and Middlewares of an imported project with
+ * a newer registered version of its package, lets the user review the changed files as
+ * diffs and updates the selected ones in place.
+ */
+export async function upgradeDrivers(packageManager: PackageManager, registry: PackageRegistry, uri?: vscode.Uri): Promise<void> {
+    const projectDir = uri ? uri.fsPath : await pickImportedProject();
+    if (!projectDir) {
+        return;
+    }
+    const manifest = await readManifest(projectDir);
+    if (!manifest) {
+        vscode.window.showErrorMessage(`${path.basename(projectDir)} has no ${MANIFEST_FILE}; only projects imported by this extension can be upgraded.`);
+        return;
+    }
+
+    // Newer versions of the same series, or every other package when the series is unknown
+    const current = parseReleaseName(path.basename(manifest.packagePath));
+    const candidates = registry.getPackages().filter(p => {
+        if (path.resolve(p.path) === path.resolve(manifest.packagePath)) {
+            return false;
+        }
+        const release = parseReleaseName(path.basename(p.path));
+        return !current || (release !== undefined && release.series.toLowerCase() === current.series.toLowerCase()
+            && compareVersions(release.version, current.version) > 0);
+    });
+    if (candidates.length === 0) {
+        vscode.window.showInformationMessage(`No newer registered package than ${path.basename(manifest.packagePath)} found. Register the new package first.`);
+        return;
+    }
+    const target = await vscode.window.showQuickPick(
+        candidates.map(p => ({ label: path.basename(p.path), description: `${p.name} ${p.version}`, detail: p.path, packageInfo: p })),
+        { placeHolder: `Upgrade ${path.basename(projectDir)} from ${path.basename(manifest.packagePath)} to` }
+    );
+    if (!target) {
+        return;
+    }
+
+    const upgrader = new DriverUpgrader(projectDir);
+    try {
+        const plan = await vscode.window.withProgress(
+            { location: vscode.ProgressLocation.Notification, title: 'Comparing driver files...', cancellable: true },
+            (_progress, token) => upgrader.plan(target.packageInfo.path, { token })
+        );
+        if (plan.changes.length === 0) {
+            vscode.window.showInformationMessage(`The ${plan.unchangedFiles} driver files of ${path.basename(projectDir)} already match ${target.label}.`);
+            return;
+        }
+
+        const selected = await pickChanges(plan.changes, `${path.basename(projectDir)}: ${target.label}`, plan.unchangedFiles);
+        if (!selected || selected.length === 0) {
+            return;
+        }
+        // The drivers of a batch import are shared; upgrading them moves every project of the batch
+        if (plan.sharedWith.length > 0) {
+            const confirm = await vscode.window.showWarningMessage(
+                `The drivers in ${plan.driversRoot} are shared with ${plan.sharedWith.length} other project(s), which will use ${target.label} as well.`,
+                { modal: true, detail: plan.sharedWith.map(p => path.basename(p)).join(', ') },
+                'Upgrade All'
+            );
+            if (confirm !== 'Upgrade All') {
+                return;
+            }
+        }
+
+        const packageInfo = await packageManager.analyzePackage(target.packageInfo.path);
+        const restamped = await vscode.window.withProgress(
+            { location: vscode.ProgressLocation.Notification, title: 'Updating driver files...', cancellable: true },
+            (progress, token) => upgrader.apply(plan, selected, packageInfo, {
+                token,
+                onProgress: p => progress.report({ message: p.message })
+            })
+        );
+        const projects = [projectDir, ...plan.sharedWith].map(p => path.basename(p)).join(', ');
+        vscode.window.showInformationMessage(restamped
+            ? `Updated ${selected.length} driver file(s) of ${projects} to ${target.label}.`
+            : `Updated ${selected.length} of ${plan.changes.length} changed driver file(s) of ${projects} from ${target.label}. The projects still refer to ${path.basename(manifest.packagePath)} until the remaining files are upgraded.`);
+    } catch (error) {
+        if (error instanceof OperationCancelledError) {
+            vscode.window.showInformationMessage('Driver upgrade cancelled. Files updated so far were kept; the projects still refer to their previous package.');
+            return;
+        }
+        vscode.window.showErrorMessage(`Failed to upgrade drivers: ${error}`);
+    }
+}
+
+async function pickImportedProject(): Promise<string | undefined> {
+    const projects = await findImportedProjects((vscode.workspace.workspaceFolders || []).map(f => f.uri.fsPath));
+    if (projects.length === 0) {
+        vscode.window.showInformationMessage('No imported STM32 project found in the workspace.');
+        return undefined;
+    }
+    if (projects.length === 1) {
+        return projects[0];
+    }
+    const pick = await vscode.window.showQuickPick(
+        projects.map(p => ({ label: path.basename(p), detail: p })),
+        { placeHolder: 'Project whose drivers should be upgraded' }
+    );
+    return pick ? pick.detail : undefined;
+}
+
+// Changed and added files are preselected unless the project changed them; removals are opt-in
+function pickChanges(changes: DriverFileChange[], title: string, unchangedFiles: number): Promise<DriverFileChange[] | undefined> {
+    return new Promise(resolve => {
+        const quickPick = vscode.window.createQuickPick<ChangeItem>();
+        const items = changes.map(change => ({
+            label: change.relativePath,
+            description: change.locallyModified ? `${change.kind}, modified in the project` : change.kind,
+            buttons: [DIFF_BUTTON],
+            change
+        }));
+        quickPick.title = title;
+        quickPick.placeholder = `${changes.length} file(s) differ, ${unchangedFiles} unchanged. Select the files to update`;
+        quickPick.canSelectMany = true;
+        quickPick.ignoreFocusOut = true;
+        quickPick.matchOnDescription = true;
+        quickPick.items = items;
+        quickPick.selectedItems = items.filter(item => item.change.kind !== 'removed' && !item.change.locallyModified);
+
+        let result: DriverFileChange[] | undefined;
+        quickPick.onDidTriggerItemButton(e => showChange(e.item.change));
+        quickPick.onDidAccept(() => {
+            result = quickPick.selectedItems.map(item => item.change);
+            quickPick.hide();
+        });
+        quickPick.onDidHide(() => {
+            quickPick.dispose();
+            resolve(result);
+        });
+        quickPick.show();
+    });
+}
+
+async function showChange(change: DriverFileChange): Promise<void> {
+    const name = path.basename(change.relativePath);
+    if (change.kind === 'changed') {
+        await vscode.commands.executeCommand(
+            'vscode.diff',
+            vscode.Uri.file(change.projectFile),
+            vscode.Uri.file(change.packageFile),
+            `${name} (project ↔ new package)`,
+            { preview: true, preserveFocus: true }
+        );
+    } else {
+        const file = change.kind === 'added' ? change.packageFile : change.projectFile;
+        await vscode.window.showTextDocument(vscode.Uri.file(file), { preview: true, preserveFocus: true });
+    }
+}
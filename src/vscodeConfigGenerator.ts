@@ -0,0 +1,260 @@
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import { addMiddlewareSettings, BuildSettings, readBuildSettings } from './buildSettings';
+import { CMAKE_TOOLCHAIN } from './cmakeGenerator';
+import { findFiles, findSvdFile } from './mcuResolver';
+import { getDeviceDefine } from './stm32Families';
+import { log } from './logger';
+
+export interface VsCodeConfigOptions {
+    projectName: string;
+    // Toolchain chosen in the import panel, e.g. 'STM32CubeIDE' or 'CMake (GCC)'
+    toolchain?: string;
+    // MCU found in the board folder, used when the toolchain files do not name one
+    mcuHint?: string;
+    // MCU chosen by the user, e.g. a variant of a template's device; wins over the toolchain files
+    mcu?: string;
+    // Package the project was imported from, searched for an SVD file
+    packagePath?: string;
+    // SVD file already resolved for the device, skips the package search
+    svdFile?: string;
+    // Middleware folders copied on request, whose sources and headers the toolchain files do not list
+    middlewares?: string[];
+}
+
+interface BuildCommands {
+    // Commands run through the shell; args are quoted individually by VS Code
+    build: { command: string; args: string[] };
+    clean: { command: string; args: string[] };
+    executable: string;
+    problemMatcher: string;
+}
+
+/**
+ * Writes .vscode/c_cpp_properties.json, tasks.json and launch.json for an imported project
+ * so that IntelliSense, building, flashing and Cortex-Debug work right after the import.
+ * Files in keepFiles (absolute paths), such as ones the user changed, are not overwritten.
+ */
+export class VsCodeConfigGenerator {
+    constructor(private readonly projectDir: string) {}
+
+    async generate(options: VsCodeConfigOptions, keepFiles: Set<string> = new Set()): Promise<string[]> {
+        const settings = await addMiddlewareSettings(await readBuildSettings(this.projectDir, options.toolchain), this.projectDir, options.middlewares || []);
+        const mcu = options.mcu || settings.mcu || options.mcuHint;
+        const commands = await this.getBuildCommands(settings, options);
+        const written: string[] = [];
+        const svdFile = mcu ? await this.copySvdFile(mcu, options, keepFiles, written) : undefined;
+
+        const vscodeDir = path.join(this.projectDir, '.vscode');
+        await fs.ensureDir(vscodeDir);
+
+        const write = async (name: string, content: object) => {
+            const file = path.join(vscodeDir, name);
+            if (keepFiles.has(file)) {
+                log.info(`Keeping modified ${file}`);
+                return;
+            }
+            await fs.writeFile(file, JSON.stringify(content, null, 4) + '\n', 'utf8');
+            written.push(file);
+        };
+
+        await write('c_cpp_properties.json', this.createCppProperties(settings, mcu, options));
+        await write('tasks.json', this.createTasks(commands, mcu));
+        await write('launch.json', this.createLaunch(commands, mcu, svdFile));
+
+        log.info(`Wrote VS Code configuration for ${options.projectName} (${settings.origin}, MCU: ${mcu || 'unknown'})`);
+        return written;
+    }
+
+    private createCppProperties(settings: BuildSettings, mcu: string | undefined, options: VsCodeConfigOptions): object {
+        const defines = [...settings.defines];
+        const deviceDefine = mcu ? getDeviceDefine(mcu) : undefined;
+        if (defines.length === 0 && deviceDefine) {
+            defines.push('USE_HAL_DRIVER', deviceDefine);
+        }
+
+        const configuration: { [key: string]: any } = {
+            name: 'STM32',
+            includePath: settings.includes.map(i => i === '.' ? '${workspaceFolder}' : `\${workspaceFolder}/${i}`),
+            defines,
+            compilerPath: 'arm-none-eabi-gcc',
+            compilerArgs: [
+                settings.cpu ? `-mcpu=${settings.cpu}` : undefined,
+                '-mthumb',
+                settings.fpu ? `-mfpu=${settings.fpu}` : undefined,
+                settings.floatAbi ? `-mfloat-abi=${settings.floatAbi}` : undefined
+            ].filter(Boolean),
+            cStandard: 'c11',
+            cppStandard: 'c++17',
+            intelliSenseMode: 'gcc-arm'
+        };
+        if (configuration.includePath.length === 0) {
+            configuration.includePath = ['${workspaceFolder}/**'];
+        }
+        if (options.toolchain === CMAKE_TOOLCHAIN) {
+            configuration.configurationProvider = 'ms-vscode.cmake-tools';
+            configuration.compileCommands = '${workspaceFolder}/build/Debug/compile_commands.json';
+        }
+
+        return { configurations: [configuration], version: 4 };
+    }
+
+    private createTasks(commands: BuildCommands, mcu: string | undefined): object {
+        return {
+            version: '2.0.0',
+            tasks: [
+                {
+                    label: 'Build',
+                    type: 'shell',
+                    command: commands.build.command,
+                    args: commands.build.args,
+                    group: { kind: 'build', isDefault: true },
+                    problemMatcher: [commands.problemMatcher]
+                },
+                {
+                    label: 'Clean',
+                    type: 'shell',
+                    command: commands.clean.command,
+                    args: commands.clean.args,
+                    problemMatcher: []
+                },
+                {
+                    label: 'Flash',
+                    type: 'shell',
+                    detail: mcu ? `Program ${mcu} over SWD with STM32CubeProgrammer` : 'Program over SWD with STM32CubeProgrammer',
+                    command: 'STM32_Programmer_CLI',
+                    args: ['-c', 'port=SWD', '-w', `\${workspaceFolder}/${commands.executable}`, '-v', '-rst'],
+                    dependsOn: 'Build',
+                    problemMatcher: []
+                }
+            ]
+        };
+    }
+
+    private createLaunch(commands: BuildCommands, mcu: string | undefined, svdFile: string | undefined): object {
+        const configuration: { [key: string]: any } = {
+            name: 'Debug (ST-LINK)',
+            type: 'cortex-debug',
+            request: 'launch',
+            servertype: 'stlink',
+            cwd: '${workspaceFolder}',
+            executable: `\${workspaceFolder}/${commands.executable}`,
+            runToEntryPoint: 'main',
+            showDevDebugOutput: 'none',
+            preLaunchTask: 'Build'
+        };
+        if (mcu) {
+            configuration.device = toDeviceName(mcu);
+        }
+        if (svdFile) {
+            configuration.svdFile = `\${workspaceFolder}/${svdFile}`;
+        }
+        return { version: '0.2.0', configurations: [configuration] };
+    }
+
+    private async getBuildCommands(settings: BuildSettings, options: VsCodeConfigOptions): Promise<BuildCommands> {
+        const name = options.projectName.trim().replace(/[^A-Za-z0-9_.-]+/g, '_') || 'Project';
+
+        if (options.toolchain === CMAKE_TOOLCHAIN) {
+            return {
+                build: { command: 'cmake --preset Debug && cmake --build --preset Debug', args: [] },
+                clean: { command: 'cmake', args: ['--build', '--preset', 'Debug', '--target', 'clean'] },
+                executable: `build/Debug/${name}.elf`,
+                problemMatcher: '$gcc'
+            };
+        }
+
+        if (settings.origin === 'Keil') {
+            const uvprojx = await this.findRelative(/\.uvprojx$/i);
+            const projectDir = uvprojx ? path.posix.dirname(uvprojx) : 'MDK-ARM';
+            const outputDir = uvprojx ? await this.readTag(uvprojx, /<OutputDirectory>([^<]*)<\/OutputDirectory>/i) : undefined;
+            return {
+                build: { command: 'UV4', args: ['-b', uvprojx || 'MDK-ARM/Project.uvprojx', '-j0', '-o', 'build.log'] },
+                clean: { command: 'UV4', args: ['-c', uvprojx || 'MDK-ARM/Project.uvprojx', '-j0'] },
+                executable: path.posix.join(projectDir, outputDir || name, `${name}.axf`),
+                problemMatcher: '$armcc5'
+            };
+        }
+
+        if (settings.origin === 'IAR') {
+            const ewp = await this.findRelative(/\.ewp$/i);
+            const projectDir = ewp ? path.posix.dirname(ewp) : 'EWARM';
+            const exePath = ewp ? await this.readTag(ewp, /<name>ExePath<\/name>\s*<state>([^<]*)<\/state>/i) : undefined;
+            return {
+                build: { command: 'iarbuild', args: [ewp || 'EWARM/Project.ewp', '-build', '*'] },
+                clean: { command: 'iarbuild', args: [ewp || 'EWARM/Project.ewp', '-clean', '*'] },
+                executable: path.posix.join(projectDir, exePath || 'Debug/Exe', `${name}.out`),
+                problemMatcher: '$iar'
+            };
+        }
+
+        if (settings.origin === 'Makefile') {
+            const makefile = await this.findRelative(/^makefile$/i);
+            const makeDir = makefile ? path.posix.dirname(makefile) : '.';
+            const dirArgs = makeDir === '.' ? [] : ['-C', makeDir];
+            return {
+                build: { command: 'make', args: [...dirArgs, '-j'] },
+                clean: { command: 'make', args: [...dirArgs, 'clean'] },
+                executable: `${makeDir === '.' ? '' : makeDir + '/'}build/${name}.elf`,
+                problemMatcher: '$gcc'
+            };
+        }
+
+        // STM32CubeIDE projects are built headless by the IDE into <project>/Debug
+        const cproject = await this.findRelative(/^\.cproject$/i);
+        const cubeDir = cproject ? path.posix.dirname(cproject) : 'STM32CubeIDE';
+        return {
+            build: {
+                command: 'stm32cubeide',
+                args: ['--launcher.suppressErrors', '-nosplash', '-application', 'org.eclipse.cdt.managedbuilder.core.headlessbuild',
+                    '-data', '${workspaceFolder}/.metadata', '-import', `\${workspaceFolder}/${cubeDir}`, '-build', `${name}/Debug`]
+            },
+            clean: {
+                command: 'stm32cubeide',
+                args: ['--launcher.suppressErrors', '-nosplash', '-application', 'org.eclipse.cdt.managedbuilder.core.headlessbuild',
+                    '-data', '${workspaceFolder}/.metadata', '-cleanBuild', `${name}/Debug`]
+            },
+            executable: `${cubeDir}/Debug/${name}.elf`,
+            problemMatcher: '$gcc'
+        };
+    }
+
+    /**
+     * Copies the SVD file matching the MCU into the project so the debug configuration
+     * does not depend on the package staying in place.
+     */
+    private async copySvdFile(mcu: string, options: VsCodeConfigOptions, keepFiles: Set<string>, written: string[]): Promise<string | undefined> {
+        const svdFile = options.svdFile || (options.packagePath ? await findSvdFile(options.packagePath, mcu) : undefined);
+        if (!svdFile) {
+            log.info(`No SVD file for ${mcu} found in ${options.packagePath || 'the package'}`);
+            return undefined;
+        }
+
+        const relative = `.vscode/${path.basename(svdFile)}`;
+        const target = path.join(this.projectDir, relative);
+        if (!keepFiles.has(target)) {
+            await fs.copy(svdFile, target);
+            written.push(target);
+        }
+        return relative;
+    }
+
+    // First capture of pattern in a project-relative file, as a forward-slash path
+    private async readTag(relativeFile: string, pattern: RegExp): Promise<string | undefined> {
+        const content = await fs.readFile(path.join(this.projectDir, relativeFile), 'utf8');
+        const match = content.match(pattern);
+        const value = match ? match[1].trim().replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/$/, '') : '';
+        return value || undefined;
+    }
+
+    private async findRelative(pattern: RegExp): Promise<string | undefined> {
+        const files = await findFiles(this.projectDir, pattern, 1, ['drivers', 'middlewares']);
+        return files.length > 0 ? path.relative(this.projectDir, files[0]).replace(/\\/g, '/') : undefined;
+    }
+}
+
+// Cortex-Debug expects the part without package and temperature suffix, e.g. STM32U575ZI
+function toDeviceName(mcu: string): string {
+    const match = mcu.toUpperCase().match(/^(STM32[A-Z]+\d+[A-Z]{0,2})/);
+    return match ? match[1] : mcu;
+}
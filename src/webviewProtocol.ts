@@ -0,0 +1,136 @@
+import { BoardInfo, PackageInfo, ProjectInfo } from './packageManager';
+import { PackageImportPreferences } from './importPreferences';
+import { IocClock, IocConfiguration } from './iocParser';
+import { ParsedReadme } from './readmeParser';
+import { OperationCancelledError } from './fileCopier';
+
+/*
+ * Messages between the import panel webview (media/main.js) and PackageImportPanel.
+ * The webview sends a request with a new id; the extension answers it with exactly one
+ * response carrying the same id and either a result or an error. Updates the extension
+ * sends on its own, such as import progress, are events.
+ */
+
+// Form fields an error reply is shown next to
+export type WebviewField = 'repository' | 'board' | 'template' | 'location' | 'import';
+
+export interface WebviewBoard extends BoardInfo {
+    // Board pictures as webview URIs
+    imageUris: string[];
+}
+
+export interface WebviewConfiguration extends IocConfiguration {
+    clocks: (IocClock & { frequency: string })[];
+}
+
+export interface BatchImportResultMessage {
+    name: string;
+    targetPath?: string;
+    error?: string;
+    cancelled: boolean;
+}
+
+export interface WebviewRequests {
+    getPackages: { params: {}; result: { packages: PackageInfo[] } };
+    // Asks for a package folder or .zip; packageInfo is absent when the dialog is dismissed
+    addPackage: { params: {}; result: { packageInfo?: PackageInfo } };
+    scanPackages: { params: {}; result: {} };
+    loadBoards: { params: { packagePath: string }; result: { boards: WebviewBoard[]; preferences: PackageImportPreferences } };
+    loadProjects: { params: { packagePath: string; boardId: string }; result: { projects: ProjectInfo[] } };
+    loadReadme: { params: { projectPath: string }; result: { content?: string; readme?: ParsedReadme } };
+    loadConfiguration: { params: { projectPath: string }; result: { configuration?: WebviewConfiguration } };
+    openDocument: { params: { boardId: string; path: string }; result: {} };
+    browseLocation: { params: {}; result: { path?: string } };
+    cancelImport: { params: {}; result: {} };
+    importProject: {
+        params: {
+            packagePath: string;
+            boardId: string;
+            projectName: string;
+            projectPath?: string;
+            targetName?: string;
+            location?: string;
+            toolchain?: string;
+            openReadme?: boolean;
+        };
+        result: { targetPath: string };
+    };
+    // Partial failures are part of the result; only a batch that never started is an error
+    importProjects: {
+        params: {
+            packagePath: string;
+            boardId: string;
+            projects: { name: string; path: string }[];
+            location: string;
+            toolchain?: string;
+        };
+        result: { success: boolean; summary: string; results: BatchImportResultMessage[] };
+    };
+}
+
+export type WebviewRequestMethod = keyof WebviewRequests;
+
+export interface WebviewRequest<M extends WebviewRequestMethod = WebviewRequestMethod> {
+    type: 'request';
+    id: number;
+    method: M;
+    params: WebviewRequests[M]['params'];
+}
+
+export interface WebviewErrorReply {
+    message: string;
+    field?: WebviewField;
+    // Set when the user backed out; the webview shows no error for these
+    cancelled?: boolean;
+}
+
+export type WebviewResponse<M extends WebviewRequestMethod = WebviewRequestMethod> =
+    | { type: 'response'; id: number; method: M; result: WebviewRequests[M]['result'] }
+    | { type: 'response'; id: number; method: M; error: WebviewErrorReply };
+
+export interface WebviewEvents {
+    // The package registry changed outside the panel
+    packagesChanged: { packages: PackageInfo[] };
+    importProgress: { phase: string; message: string; percent: number };
+    // The import continues under another folder name chosen in the conflict dialog
+    targetNameChanged: { targetName: string };
+}
+
+export type WebviewEventName = keyof WebviewEvents;
+
+export interface WebviewEvent<E extends WebviewEventName = WebviewEventName> {
+    type: 'event';
+    event: E;
+    data: WebviewEvents[E];
+}
+
+/** Error of a webview request, shown in the form next to field. */
+export class WebviewRequestError extends Error {
+    constructor(message: string, public readonly field?: WebviewField, public readonly cancelled = false) {
+        super(message);
+        this.name = 'WebviewRequestError';
+    }
+}
+
+const REQUEST_METHODS: WebviewRequestMethod[] = [
+    'getPackages', 'addPackage', 'scanPackages', 'loadBoards', 'loadProjects', 'loadReadme',
+    'loadConfiguration', 'openDocument', 'browseLocation', 'cancelImport', 'importProject', 'importProjects'
+];
+
+export function isWebviewRequest(message: any): message is WebviewRequest {
+    return !!message
+        && message.type === 'request'
+        && typeof message.id === 'number'
+        && REQUEST_METHODS.includes(message.method)
+        && typeof message.params === 'object' && message.params !== null;
+}
+
+export function toErrorReply(error: unknown, field?: WebviewField): WebviewErrorReply {
+    if (error instanceof WebviewRequestError) {
+        return { message: error.message, field: error.field || field, cancelled: error.cancelled || undefined };
+    }
+    if (error instanceof OperationCancelledError) {
+        return { message: error.message, field, cancelled: true };
+    }
+    return { message: error instanceof Error ? error.message : String(error), field };
+}
@@ -0,0 +1,90 @@
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import { log } from './logger';
+
+// C/C++ for IntelliSense, Cortex-Debug for the generated launch.json
+export const RECOMMENDED_EXTENSIONS = ['ms-vscode.cpptools', 'marus25.cortex-debug'];
+
+interface WorkspaceFolder {
+    name?: string;
+    path: string;
+}
+
+interface WorkspaceFile {
+    folders: WorkspaceFolder[];
+    settings?: { [key: string]: unknown };
+    extensions?: { recommendations?: string[] };
+    [key: string]: unknown;
+}
+
+/**
+ * Writes a .code-workspace file that groups imported projects with the Drivers folder
+ * of the package they came from. The package folder is marked read-only so that
+ * navigating into HAL sources cannot change the installed package. An existing file
+ * is extended rather than replaced.
+ */
+export class WorkspaceFileGenerator {
+    constructor(private readonly workspaceFile: string) {}
+
+    async generate(projectPaths: string[], packagePath?: string): Promise<string> {
+        const workspace = await this.read();
+        const baseDir = path.dirname(this.workspaceFile);
+
+        for (const projectPath of projectPaths) {
+            this.addFolder(workspace, { path: toWorkspacePath(baseDir, projectPath) });
+        }
+
+        const driversPath = packagePath ? path.join(packagePath, 'Drivers') : undefined;
+        if (driversPath && await fs.pathExists(driversPath)) {
+            this.addFolder(workspace, {
+                name: `${path.basename(packagePath!)} Drivers (read-only)`,
+                path: driversPath.replace(/\\/g, '/')
+            });
+
+            // Glob patterns in files.readonlyInclude must be absolute outside a workspace folder
+            const settings = workspace.settings || {};
+            const readonly = (settings['files.readonlyInclude'] || {}) as { [glob: string]: boolean };
+            readonly[`${driversPath.replace(/\\/g, '/')}/**`] = true;
+            settings['files.readonlyInclude'] = readonly;
+            workspace.settings = settings;
+        }
+
+        const extensions = workspace.extensions || {};
+        const recommendations = extensions.recommendations || [];
+        extensions.recommendations = [...recommendations, ...RECOMMENDED_EXTENSIONS.filter(id => !recommendations.includes(id))];
+        workspace.extensions = extensions;
+
+        await fs.writeFile(this.workspaceFile, JSON.stringify(workspace, null, 4) + '\n', 'utf8');
+        log.info(`Wrote workspace file ${this.workspaceFile} (${workspace.folders.length} folders)`);
+        return this.workspaceFile;
+    }
+
+    private async read(): Promise<WorkspaceFile> {
+        if (!await fs.pathExists(this.workspaceFile)) {
+            return { folders: [] };
+        }
+        const content = await fs.readFile(this.workspaceFile, 'utf8');
+        try {
+            const workspace = JSON.parse(content);
+            return { ...workspace, folders: Array.isArray(workspace.folders) ? workspace.folders : [] };
+        } catch (error) {
+            // Hand-edited workspace files may contain comments; never overwrite those
+            throw new Error(`${path.basename(this.workspaceFile)} exists and could not be read as JSON`);
+        }
+    }
+
+    private addFolder(workspace: WorkspaceFile, folder: WorkspaceFolder): void {
+        const baseDir = path.dirname(this.workspaceFile);
+        const target = path.resolve(baseDir, folder.path);
+        if (!workspace.folders.some(f => path.resolve(baseDir, f.path) === target)) {
+            workspace.folders.push(folder);
+        }
+    }
+}
+
+// Projects next to the workspace file are stored relative to it so the folder can be moved
+function toWorkspacePath(baseDir: string, folder: string): string {
+    const relative = path.relative(baseDir, folder);
+    const inside = relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+    return (inside ? relative : folder).replace(/\\/g, '/');
+}
@@ -0,0 +1,212 @@
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import * as zlib from 'zlib';
+import { pipeline } from 'stream/promises';
+import { OperationOptions, OperationPhase, throwIfCancelled } from './fileCopier';
+
+export interface ZipEntry {
+    // Forward-slash path inside the archive; folders end with '/'
+    name: string;
+    isDirectory: boolean;
+    method: number;
+    compressedSize: number;
+    size: number;
+    localHeaderOffset: number;
+}
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+// Fixed end of central directory record plus the longest possible comment
+const MAX_EOCD_SEARCH = 22 + 0xffff;
+
+/**
+ * Minimal reader for .zip archives as distributed by ST: stored and deflated entries,
+ * including Zip64 archives larger than 4 GB. Entries are streamed to disk one at a time
+ * so progress can be reported and a cancellation stops the extraction between files.
+ */
+export class ZipArchive {
+    private constructor(private readonly file: string, private readonly fd: number, readonly entries: ZipEntry[]) {}
+
+    static async open(file: string): Promise<ZipArchive> {
+        const fd = await fs.open(file, 'r');
+        try {
+            return new ZipArchive(file, fd, await readCentralDirectory(fd, (await fs.fstat(fd)).size));
+        } catch (error) {
+            await fs.close(fd);
+            throw new Error(`${path.basename(file)} is not a valid zip archive: ${error instanceof Error ? error.message : error}`);
+        }
+    }
+
+    /**
+     * Extracts the entries whose name starts with prefix into destDir, with the prefix
+     * removed. Entries that would end up outside destDir are rejected.
+     */
+    async extract(destDir: string, prefix = '', phase: OperationPhase = 'extract', options: OperationOptions = {}): Promise<void> {
+        const entries = this.entries.filter(entry => entry.name.startsWith(prefix) && entry.name.length > prefix.length);
+        const filesTotal = entries.filter(entry => !entry.isDirectory).length;
+        const bytesTotal = entries.reduce((sum, entry) => sum + entry.size, 0);
+        const root = path.resolve(destDir);
+        let filesDone = 0;
+        let bytesDone = 0;
+        let lastReport = 0;
+
+        for (const entry of entries) {
+            throwIfCancelled(options.token);
+            const target = path.resolve(root, entry.name.substring(prefix.length));
+            if (target !== root && !target.startsWith(root + path.sep)) {
+                throw new Error(`Archive entry ${entry.name} points outside the target folder`);
+            }
+
+            if (entry.isDirectory) {
+                await fs.ensureDir(target);
+                continue;
+            }
+            await fs.ensureDir(path.dirname(target));
+            await this.extractEntry(entry, target);
+
+            filesDone++;
+            bytesDone += entry.size;
+            const now = Date.now();
+            if (options.onProgress && (filesDone === filesTotal || now - lastReport >= 100)) {
+                lastReport = now;
+                options.onProgress({
+                    phase,
+                    message: `Extracting ${path.basename(target)}`,
+                    filesDone,
+                    filesTotal,
+                    bytesDone,
+                    bytesTotal
+                });
+            }
+        }
+    }
+
+    async close(): Promise<void> {
+        await fs.close(this.fd);
+    }
+
+    private async extractEntry(entry: ZipEntry, target: string): Promise<void> {
+        if (entry.method !== METHOD_STORED && entry.method !== METHOD_DEFLATED) {
+            throw new Error(`${entry.name} uses an unsupported compression method (${entry.method})`);
+        }
+        if (entry.size === 0) {
+            await fs.writeFile(target, '');
+            return;
+        }
+
+        const start = await this.getDataOffset(entry);
+        const input = fs.createReadStream(this.file, { start, end: start + entry.compressedSize - 1 });
+        const output = fs.createWriteStream(target);
+        if (entry.method === METHOD_DEFLATED) {
+            await pipeline(input, zlib.createInflateRaw(), output);
+        } else {
+            await pipeline(input, output);
+        }
+    }
+
+    // The local header repeats the name and has its own extra field length
+    private async getDataOffset(entry: ZipEntry): Promise<number> {
+        const header = Buffer.alloc(30);
+        await fs.read(this.fd, header, 0, 30, entry.localHeaderOffset);
+        if (header.readUInt32LE(0) !== LOCAL_SIGNATURE) {
+            throw new Error(`Corrupt local header for ${entry.name}`);
+        }
+        return entry.localHeaderOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+    }
+}
+
+async function readCentralDirectory(fd: number, fileSize: number): Promise<ZipEntry[]> {
+    const tailSize = Math.min(fileSize, MAX_EOCD_SEARCH);
+    const tail = Buffer.alloc(tailSize);
+    await fs.read(fd, tail, 0, tailSize, fileSize - tailSize);
+
+    let eocd = -1;
+    for (let i = tailSize - 22; i >= 0; i--) {
+        if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd < 0) {
+        throw new Error('end of central directory not found');
+    }
+
+    let count = tail.readUInt16LE(eocd + 10);
+    let size = tail.readUInt32LE(eocd + 12);
+    let offset = tail.readUInt32LE(eocd + 16);
+
+    // Zip64: the real values live in a second record found through the locator
+    if (eocd >= 20 && tail.readUInt32LE(eocd - 20) === ZIP64_LOCATOR_SIGNATURE) {
+        const record = Buffer.alloc(56);
+        await fs.read(fd, record, 0, 56, readUInt64(tail, eocd - 20 + 8));
+        if (record.readUInt32LE(0) !== ZIP64_EOCD_SIGNATURE) {
+            throw new Error('corrupt Zip64 end of central directory');
+        }
+        count = readUInt64(record, 32);
+        size = readUInt64(record, 40);
+        offset = readUInt64(record, 48);
+    }
+
+    const directory = Buffer.alloc(size);
+    await fs.read(fd, directory, 0, size, offset);
+
+    const entries: ZipEntry[] = [];
+    let pos = 0;
+    for (let i = 0; i < count; i++) {
+        if (directory.readUInt32LE(pos) !== CENTRAL_SIGNATURE) {
+            throw new Error('corrupt central directory');
+        }
+        const flags = directory.readUInt16LE(pos + 8);
+        const nameLength = directory.readUInt16LE(pos + 28);
+        const extraLength = directory.readUInt16LE(pos + 30);
+        const commentLength = directory.readUInt16LE(pos + 32);
+        const name = directory.toString('utf8', pos + 46, pos + 46 + nameLength).replace(/\\/g, '/');
+        if (flags & 0x1) {
+            throw new Error(`${name} is encrypted`);
+        }
+
+        const entry: ZipEntry = {
+            name,
+            isDirectory: name.endsWith('/'),
+            method: directory.readUInt16LE(pos + 10),
+            compressedSize: directory.readUInt32LE(pos + 20),
+            size: directory.readUInt32LE(pos + 24),
+            localHeaderOffset: directory.readUInt32LE(pos + 42)
+        };
+        applyZip64Extra(entry, directory.subarray(pos + 46 + nameLength, pos + 46 + nameLength + extraLength));
+        entries.push(entry);
+        pos += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+// Values that did not fit into 32 bits are stored, in this order, in the 0x0001 extra field
+function applyZip64Extra(entry: ZipEntry, extra: Buffer): void {
+    let pos = 0;
+    while (pos + 4 <= extra.length) {
+        const id = extra.readUInt16LE(pos);
+        const length = extra.readUInt16LE(pos + 2);
+        if (id === 0x0001) {
+            let field = pos + 4;
+            for (const key of ['size', 'compressedSize', 'localHeaderOffset'] as const) {
+                if (entry[key] === 0xffffffff && field + 8 <= pos + 4 + length) {
+                    entry[key] = readUInt64(extra, field);
+                    field += 8;
+                }
+            }
+            return;
+        }
+        pos += 4 + length;
+    }
+}
+
+function readUInt64(buffer: Buffer, offset: number): number {
+    return buffer.readUInt32LE(offset) + buffer.readUInt32LE(offset + 4) * 0x100000000;
+}